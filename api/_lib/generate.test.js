@@ -0,0 +1,130 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createGenerateHandler } from '../generate.js';
+
+const ENV = { LLM_PROVIDER: 'mock', MOCK_DELAY_MS: '0', RATE_LIMIT_MAX: '2' };
+
+const BODY = {
+  prompt: { template: 'chat', persona: 'buffett', length: 'standard', language: 'zh-CN' },
+  messages: [{ role: 'user', content: '护城河够宽吗？' }],
+};
+
+const createRequest = ({ method = 'POST', headers = {}, body = BODY, remoteAddress = '203.0.113.9' } = {}) => ({
+  method,
+  url: '/api/generate',
+  headers: { origin: 'https://app.example.com', host: 'app.example.com', ...headers },
+  body,
+  socket: { remoteAddress },
+});
+
+// 只实现处理函数用到的 Vercel / Node 响应接口
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    writableEnded: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      res.writableEnded = true;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    on() {},
+  };
+  return res;
+};
+
+const call = async (handler, options) => {
+  const res = createResponse();
+  await handler(createRequest(options), res);
+  return res;
+};
+
+describe('api/generate 防护', () => {
+  it('正常请求返回文本', async () => {
+    const res = await call(createGenerateHandler({ env: ENV, responseCache: null }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.text).toContain('护城河够宽吗');
+  });
+
+  it('非 POST 返回 405', async () => {
+    const res = await call(createGenerateHandler({ env: ENV, responseCache: null }), { method: 'GET' });
+    expect(res.statusCode).toBe(405);
+    expect(res.body.code).toBe('METHOD_NOT_ALLOWED');
+  });
+
+  it('来源不被允许时返回 403', async () => {
+    const res = await call(createGenerateHandler({ env: ENV, responseCache: null }), { headers: { origin: 'https://evil.example' } });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('ORIGIN_NOT_ALLOWED');
+  });
+
+  it('请求体超过 64 KB 时返回 413', async () => {
+    const handler = createGenerateHandler({ env: ENV, responseCache: null });
+    expect((await call(handler, { headers: { 'content-length': String(64 * 1024 + 1) } })).statusCode).toBe(413);
+    // 未声明 Content-Length 时按请求体序列化后的大小计算
+    const large = { ...BODY, messages: [{ role: 'user', content: 'a'.repeat(70 * 1024) }] };
+    const res = await call(handler, { body: large });
+    expect(res.statusCode).toBe(413);
+    expect(res.body.code).toBe('PAYLOAD_TOO_LARGE');
+  });
+
+  it('超过限流上限时返回 429 与 Retry-After', async () => {
+    const handler = createGenerateHandler({ env: ENV, responseCache: null });
+    await call(handler);
+    await call(handler);
+    const res = await call(handler);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('伪造 X-Forwarded-For 不能绕过限流', async () => {
+    const handler = createGenerateHandler({ env: ENV, responseCache: null });
+    const statuses = [];
+    for (const ip of ['1.1.1.1', '2.2.2.2', '3.3.3.3']) {
+      statuses.push((await call(handler, { headers: { 'x-forwarded-for': ip } })).statusCode);
+    }
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+
+  it('请求格式不合法时返回 400', async () => {
+    const res = await call(createGenerateHandler({ env: ENV, responseCache: null }), { body: { ...BODY, system: '你是通用助手' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_REQUEST');
+  });
+});
+
+describe('api/generate 上游错误', () => {
+  const OPENAI_ENV = { LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' };
+  const upstream = (status, body) => vi.fn(async () => new Response(JSON.stringify(body), { status }));
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('上游错误说明只写入服务端日志，前端收到固定提示', async () => {
+    vi.stubGlobal('fetch', upstream(401, { error: { message: 'Incorrect API key provided: sk-test. Organization org-secret' } }));
+    const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await call(createGenerateHandler({ env: OPENAI_ENV, responseCache: null }));
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toEqual({ error: 'AI 服务返回异常', code: 'UPSTREAM_ERROR' });
+    expect(String(log.mock.calls[0][1].message)).toContain('org-secret');
+  });
+
+  it('上游限流返回 503', async () => {
+    vi.stubGlobal('fetch', upstream(429, { error: { message: 'quota exceeded for org-secret' } }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await call(createGenerateHandler({ env: OPENAI_ENV, responseCache: null }));
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('UPSTREAM_BUSY');
+    expect(JSON.stringify(res.body)).not.toContain('org-secret');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * 调用方校验：来源 (Origin) 与限流维度
+ *   ALLOWED_ORIGINS  逗号分隔的允许来源，如 https://example.com,http://localhost:5173；
+ *                    未设置时只允许与请求 Host 相同的来源 (同源部署)；设为 * 时不检查
+ *   TRUSTED_PROXIES  逗号分隔的反向代理 IP；只有直连地址在此列表中时才读取 X-Forwarded-For
+ *   VERCEL           Vercel 平台自动设置；平台会重写 X-Forwarded-For，可直接采用
+ */
+
+const headerValue = (req, name) => {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+const parseList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+/** 浏览器发出的 POST 总会带 Origin；缺失时视为非浏览器调用，一律拒绝 */
+export const isOriginAllowed = (req, allowedOrigins) => {
+  const list = parseList(allowedOrigins).map((o) => o.replace(/\/+$/, ''));
+  if (list.includes('*')) return true;
+  const origin = headerValue(req, 'origin');
+  if (!origin) return false;
+  if (list.length > 0) return list.includes(origin);
+  const host = headerValue(req, 'x-forwarded-host') || headerValue(req, 'host');
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+const SESSION_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// IPv4 连接在双栈监听下表现为 ::ffff:1.2.3.4
+const normalizeIp = (ip) => ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/**
+ * 客户端 IP。X-Forwarded-For 可由客户端任意填写，只在以下情况采用：
+ *   - 部署在 Vercel：平台重写该请求头，第一个值即真实客户端；
+ *   - 直连地址属于 TRUSTED_PROXIES：从右向左跳过可信代理，取第一个不可信的地址。
+ * 其余情况使用连接的对端地址。
+ */
+export const clientIp = (req, env = {}) => {
+  const remote = normalizeIp(req.socket?.remoteAddress || 'unknown');
+  const forwarded = parseList(headerValue(req, 'x-forwarded-for')).map(normalizeIp);
+  if (forwarded.length === 0) return remote;
+  if (env.VERCEL) return forwarded[0];
+  const trusted = parseList(env.TRUSTED_PROXIES).map(normalizeIp);
+  if (!trusted.includes(remote)) return remote;
+  return forwarded.findLast((ip) => !trusted.includes(ip)) ?? forwarded[0];
+};
+
+/**
+ * 限流 key：客户端 IP (见 clientIp)，以及前端生成的会话 ID (X-Session-Id，可选)。
+ * 会话 ID 由客户端提供、可以伪造，因此只作为 IP 之外的附加维度。
+ */
+export const clientKeys = (req, env = {}) => {
+  const session = headerValue(req, 'x-session-id');
+  return [`ip:${clientIp(req, env)}`, ...(session && SESSION_PATTERN.test(session) ? [`session:${session}`] : [])];
+};
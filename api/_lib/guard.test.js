@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { clientIp, clientKeys, isOriginAllowed } from './guard.js';
+
+const request = ({ headers = {}, remoteAddress = '203.0.113.9' } = {}) => ({ headers, socket: { remoteAddress } });
+
+describe('isOriginAllowed', () => {
+  it('未配置时只允许与 Host 同源', () => {
+    expect(isOriginAllowed(request({ headers: { origin: 'https://app.example.com', host: 'app.example.com' } }))).toBe(true);
+    expect(isOriginAllowed(request({ headers: { origin: 'https://evil.example', host: 'app.example.com' } }))).toBe(false);
+  });
+
+  it('缺少或无法解析 Origin 时拒绝', () => {
+    expect(isOriginAllowed(request({ headers: { host: 'app.example.com' } }))).toBe(false);
+    expect(isOriginAllowed(request({ headers: { origin: 'not a url', host: 'app.example.com' } }))).toBe(false);
+  });
+
+  it('按 ALLOWED_ORIGINS 白名单比对，忽略末尾斜杠', () => {
+    const allowed = 'https://a.example/, http://localhost:5173';
+    expect(isOriginAllowed(request({ headers: { origin: 'https://a.example' } }), allowed)).toBe(true);
+    expect(isOriginAllowed(request({ headers: { origin: 'http://localhost:5173' } }), allowed)).toBe(true);
+    expect(isOriginAllowed(request({ headers: { origin: 'https://b.example', host: 'b.example' } }), allowed)).toBe(false);
+  });
+
+  it('ALLOWED_ORIGINS 为 * 时不检查', () => {
+    expect(isOriginAllowed(request(), '*')).toBe(true);
+  });
+});
+
+describe('clientIp', () => {
+  const forwarded = (value, remoteAddress) => request({ headers: { 'x-forwarded-for': value }, remoteAddress });
+
+  it('未配置可信代理时忽略 X-Forwarded-For，防止伪造', () => {
+    expect(clientIp(forwarded('1.1.1.1', '203.0.113.9'))).toBe('203.0.113.9');
+    expect(clientIp(forwarded('1.1.1.1', '::ffff:203.0.113.9'))).toBe('203.0.113.9');
+  });
+
+  it('Vercel 上采用平台重写的第一个地址', () => {
+    expect(clientIp(forwarded('198.51.100.7, 10.0.0.1', '10.0.0.2'), { VERCEL: '1' })).toBe('198.51.100.7');
+  });
+
+  it('直连地址为可信代理时，从右向左取第一个不可信地址', () => {
+    const env = { TRUSTED_PROXIES: '10.0.0.1, 10.0.0.2' };
+    // 客户端自己填写的 6.6.6.6 位于真实地址左侧，不会被采用
+    expect(clientIp(forwarded('6.6.6.6, 198.51.100.7, 10.0.0.1', '10.0.0.2'), env)).toBe('198.51.100.7');
+    expect(clientIp(forwarded('10.0.0.1', '10.0.0.2'), env)).toBe('10.0.0.1');
+  });
+
+  it('直连地址不是可信代理时使用对端地址', () => {
+    expect(clientIp(forwarded('198.51.100.7', '203.0.113.9'), { TRUSTED_PROXIES: '10.0.0.2' })).toBe('203.0.113.9');
+  });
+});
+
+describe('clientKeys', () => {
+  it('附带格式合法的会话 ID', () => {
+    expect(clientKeys(request({ headers: { 'x-session-id': 'abc-12345678' } }))).toEqual(['ip:203.0.113.9', 'session:abc-12345678']);
+    expect(clientKeys(request({ headers: { 'x-session-id': 'bad id!' } }))).toEqual(['ip:203.0.113.9']);
+  });
+});
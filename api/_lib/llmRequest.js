@@ -0,0 +1,146 @@
+/**
+ * 与模型厂商无关的请求格式
+ *
+ *   前端发送：
+ *   {
+ *     prompt:    { template: 'diagnosis' | 'chat', persona, length, language, report? },  系统提示词描述 (见 src/lib/prompts.js)
+ *     messages:  [{ role: 'user' | 'assistant', content }],  对话历史，最后一条为用户消息
+ *     options?:  { temperature?, maxTokens?, json?: { schema } }
+ *   }
+ *   解析后交给 provider：{ system, messages, options }，system 由服务端按 prompt 生成
+ *
+ * json.schema 为标准 JSON Schema (小写类型名)，要求模型按该结构输出 JSON；各 provider 负责转换为自家格式。
+ * 旧版前端直接发送 Gemini 的 generateContent 请求体，这里一并兼容，转换后走同一条路径；
+ * 其中的 systemInstruction 被忽略，改用默认人设的诊断 (带 responseSchema 时) 或对话模板。
+ *
+ * 为避免接口被当作免费的通用模型代理，请求只能是本应用会发出的形态：
+ * 不接受自定义 system，人设 / 长度 / 语言只能取 aiPrompts.json 中的 id；长度与条数受限，
+ * options 只接受白名单字段；诊断模板必须使用应用内定义的 schema，对话模板不允许结构化输出。
+ */
+import { DIAGNOSIS_SCHEMA } from '../../src/lib/diagnosis.js';
+import { API_ERRORS } from '../../src/lib/apiErrors.js';
+import {
+  DEFAULT_AI_SETTINGS,
+  PERSONAS,
+  PROMPT_KINDS,
+  REPORT_LANGUAGES,
+  REPORT_LENGTHS,
+  buildSystemPrompt,
+} from '../../src/lib/prompts.js';
+import { REQUEST_LIMITS } from '../../src/lib/requestLimits.js';
+
+export { REQUEST_LIMITS };
+
+// 诊断使用的结构化输出 schema，按序列化结果比对
+const DIAGNOSIS_SCHEMA_JSON = JSON.stringify(DIAGNOSIS_SCHEMA);
+const OPTION_KEYS = ['temperature', 'maxTokens', 'json'];
+const PROMPT_KEYS = ['template', 'persona', 'length', 'language', 'report'];
+
+export const ROLES = ['user', 'assistant'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** 旧版 Gemini 请求体的特征：顶层 contents 数组 */
+export const isGeminiRequest = (body) => isPlainObject(body) && Array.isArray(body.contents);
+
+/** 递归改写 schema 中 type 字段的大小写 (Gemini 使用 'OBJECT'，JSON Schema 使用 'object') */
+export const mapSchemaTypes = (schema, transform) => {
+  if (Array.isArray(schema)) return schema.map((item) => mapSchemaTypes(item, transform));
+  if (!isPlainObject(schema)) return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? transform(value) : mapSchemaTypes(value, transform),
+  ]));
+};
+
+const partsText = (parts) => (Array.isArray(parts) ? parts.map((part) => part?.text ?? '').join('') : '');
+
+/** Gemini generateContent 请求体 → 通用请求 (systemInstruction 不予采用，见文件头) */
+export const fromGeminiRequest = (body) => {
+  const config = body.generationConfig ?? {};
+  const options = {};
+  if (config.temperature !== undefined) options.temperature = config.temperature;
+  if (config.maxOutputTokens !== undefined) options.maxTokens = config.maxOutputTokens;
+  if (config.responseSchema) options.json = { schema: mapSchemaTypes(config.responseSchema, (t) => t.toLowerCase()) };
+  return {
+    prompt: { template: options.json ? PROMPT_KINDS.DIAGNOSIS : PROMPT_KINDS.CHAT, ...DEFAULT_AI_SETTINGS },
+    messages: body.contents.map((content) => ({
+      role: content?.role === 'model' ? 'assistant' : 'user',
+      content: partsText(content?.parts),
+    })),
+    options,
+  };
+};
+
+/** 通用回复 → Gemini generateContent 响应体，供旧版前端读取 candidates[0].content.parts[0].text */
+export const toGeminiResponse = (text) => ({
+  candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+});
+
+const hasId = (list, id) => list.some((item) => item.id === id);
+
+const validatePrompt = (prompt) => {
+  if (!isPlainObject(prompt)) return 'prompt 必须为对象';
+  const unknown = Object.keys(prompt).filter((key) => !PROMPT_KEYS.includes(key));
+  if (unknown.length > 0) return `不支持的 prompt 字段：${unknown.join(', ')}`;
+  if (!Object.values(PROMPT_KINDS).includes(prompt.template)) return '不支持的提示词模板';
+  if (!hasId(PERSONAS, prompt.persona)) return '未知的分析师人设';
+  if (!hasId(REPORT_LENGTHS, prompt.length)) return '未知的报告长度';
+  if (!hasId(REPORT_LANGUAGES, prompt.language)) return '未知的输出语言';
+  if (prompt.report !== undefined) {
+    if (prompt.template !== PROMPT_KINDS.CHAT) return '只有对话模板可以附带 report';
+    if (typeof prompt.report !== 'string') return 'report 必须为字符串';
+  }
+  return null;
+};
+
+// system 为按 prompt 生成的系统提示词，对话模板含附带的 report
+const validateRequest = ({ template, system, messages, options }) => {
+  if (system.length > REQUEST_LIMITS.systemLength) return `系统提示词 (含此前的报告) 不能超过 ${REQUEST_LIMITS.systemLength} 字`;
+  if (!Array.isArray(messages) || messages.length === 0) return 'messages 不能为空';
+  if (messages.length > REQUEST_LIMITS.messageCount) return `messages 不能超过 ${REQUEST_LIMITS.messageCount} 条`;
+  if (!messages.every((m) => isPlainObject(m) && ROLES.includes(m.role) && typeof m.content === 'string')) {
+    return 'messages 中每条消息须包含 role (user / assistant) 与 content';
+  }
+  if (messages[messages.length - 1].role !== 'user') return '最后一条消息必须来自用户';
+  if (messages.some((m) => m.content.length > REQUEST_LIMITS.messageLength)) return `单条消息不能超过 ${REQUEST_LIMITS.messageLength} 字`;
+  const total = messages.reduce((sum, m) => sum + m.content.length, system.length);
+  if (total > REQUEST_LIMITS.totalLength) return `请求总长度不能超过 ${REQUEST_LIMITS.totalLength} 字`;
+
+  if (!isPlainObject(options)) return 'options 必须为对象';
+  const unknown = Object.keys(options).filter((key) => !OPTION_KEYS.includes(key));
+  if (unknown.length > 0) return `不支持的 options 字段：${unknown.join(', ')}`;
+  if (options.temperature !== undefined && !(options.temperature >= 0 && options.temperature <= 2)) return 'temperature 须在 0-2 之间';
+  if (options.maxTokens !== undefined && !(Number.isInteger(options.maxTokens) && options.maxTokens > 0 && options.maxTokens <= REQUEST_LIMITS.maxTokens)) {
+    return `maxTokens 须为 1-${REQUEST_LIMITS.maxTokens} 的整数`;
+  }
+  if (template === PROMPT_KINDS.DIAGNOSIS) {
+    if (JSON.stringify(options.json?.schema) !== DIAGNOSIS_SCHEMA_JSON) return '诊断请求须使用应用内定义的结构化输出 schema';
+  } else if (options.json !== undefined) {
+    return '对话请求不支持结构化输出';
+  }
+  return null;
+};
+
+/**
+ * 解析并校验请求体。
+ * 返回 { ok: true, request, legacy } 或 { ok: false, error: { code, message } }
+ */
+export const parseLlmRequest = (body) => {
+  if (!isPlainObject(body)) return { ok: false, error: { code: API_ERRORS.INVALID_REQUEST, message: '请求体必须是 JSON 对象' } };
+
+  const invalid = (message) => ({ ok: false, error: { code: API_ERRORS.INVALID_REQUEST, message } });
+  const legacy = isGeminiRequest(body);
+  if (!legacy && body.system !== undefined) return invalid('不接受自定义 system，请通过 prompt 指定模板与人设');
+  const { prompt, messages, options } = legacy
+    ? fromGeminiRequest(body)
+    : { prompt: body.prompt, messages: body.messages, options: body.options ?? {} };
+
+  const promptMessage = validatePrompt(prompt);
+  if (promptMessage) return invalid(promptMessage);
+  const request = { system: buildSystemPrompt(prompt), messages, options };
+  const message = validateRequest({ ...request, template: prompt.template });
+  if (message) return invalid(message);
+
+  return { ok: true, request, legacy };
+};
@@ -0,0 +1,23 @@
+/**
+ * provider 错误
+ * 上游返回非 2xx 或网络失败时抛出带 status 的 Error，由 api/generate.js 统一转换为 HTTP 响应。
+ * 上游给出 Retry-After (秒) 时一并带上 retryAfter，便于原样转告前端。
+ */
+
+export const providerError = (status, message, fields) => Object.assign(new Error(message), { status, ...fields });
+
+/** 读取上游错误响应中的说明文字；兼容 Gemini / OpenAI 的 { error: { message } } 与纯文本 */
+export const readUpstreamError = async (response) => {
+  const text = await response.text().catch(() => '');
+  let message = text;
+  try {
+    const data = JSON.parse(text);
+    message = data.error?.message ?? data.error ?? text;
+  } catch {
+    // 非 JSON 响应，保留原文
+  }
+  const retryAfter = Number(response.headers.get('retry-after'));
+  return providerError(response.status, `上游服务返回 ${response.status}${message ? `：${String(message).slice(0, 200)}` : ''}`, {
+    retryAfter: Number.isInteger(retryAfter) && retryAfter > 0 ? retryAfter : null,
+  });
+};
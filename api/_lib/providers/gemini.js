@@ -0,0 +1,70 @@
+/**
+ * Google Gemini provider
+ *   GEMINI_API_KEY       必填 (兼容旧的 VITE_GEMINI_API_KEY)
+ *   GEMINI_MODEL         可选，默认 gemini-2.5-flash-preview-09-2025
+ *   GEMINI_API_BASE_URL  可选，本地联调可指向 scripts/mock-upstream.js
+ */
+import { iterateSseStream } from '../../../src/lib/sse.js';
+import { mapSchemaTypes } from '../llmRequest.js';
+import { readUpstreamError } from './errors.js';
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-09-2025';
+
+// 一个流式分片可能包含多个 part，只取文本
+const extractText = (data) =>
+  (data.candidates?.[0]?.content?.parts ?? []).map((part) => part.text ?? '').join('');
+
+const toGeminiBody = ({ system, messages, options = {} }) => {
+  const generationConfig = {};
+  if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+  if (options.maxTokens !== undefined) generationConfig.maxOutputTokens = options.maxTokens;
+  if (options.json?.schema) {
+    generationConfig.responseMimeType = 'application/json';
+    generationConfig.responseSchema = mapSchemaTypes(options.json.schema, (t) => t.toUpperCase());
+  }
+  return {
+    contents: messages.map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+  };
+};
+
+export const createGeminiProvider = (env) => {
+  const apiKey = env.GEMINI_API_KEY || env.VITE_GEMINI_API_KEY;
+  const baseUrl = (env.GEMINI_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = env.GEMINI_MODEL || DEFAULT_MODEL;
+
+  const post = async (method, request, signal) => {
+    const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+    const response = await fetch(`${baseUrl}/models/${model}:${method}?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toGeminiBody(request)),
+      signal,
+    });
+    if (!response.ok) throw await readUpstreamError(response);
+    return response;
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    missingConfig: apiKey ? null : 'GEMINI_API_KEY',
+
+    async generate(request, { signal } = {}) {
+      const response = await post('generateContent', request, signal);
+      return extractText(await response.json());
+    },
+
+    async stream(request, { signal } = {}) {
+      const response = await post('streamGenerateContent', request, signal);
+      return (async function* () {
+        for await (const { data } of iterateSseStream(response.body)) {
+          const text = extractText(JSON.parse(data));
+          if (text) yield text;
+        }
+      })();
+    },
+  };
+};
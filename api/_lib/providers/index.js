@@ -0,0 +1,35 @@
+/**
+ * LLM provider 选择
+ *   LLM_PROVIDER = gemini (默认) | openai | mock
+ * 每个 provider 实现：
+ *   generate(request, { signal }) → Promise<string>                 一次性返回完整文本
+ *   stream(request, { signal })   → Promise<AsyncIterable<string>>  先确认上游可用，再逐段产出增量文本
+ *   name / model                  provider 与模型名，用于缓存键与 X-LLM-Model 响应头
+ *   missingConfig                 缺少的必填环境变量名，配置完整时为 null
+ * request 为通用请求格式 (见 ../llmRequest.js)；上游失败时抛出带 status 的错误 (见 ./errors.js)。
+ */
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/** 返回 { ok: true, provider } 或 { ok: false, error: { code, message } } */
+export const resolveProvider = (env) => {
+  const name = (env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+  const create = PROVIDERS[name];
+  if (!create) {
+    return { ok: false, error: { code: 'UNKNOWN_PROVIDER', message: `未知的 LLM_PROVIDER：${name}，可选 ${PROVIDER_NAMES.join(' / ')}` } };
+  }
+  const provider = create(env);
+  if (provider.missingConfig) {
+    return { ok: false, error: { code: 'MISSING_CONFIG', message: `服务器未配置 ${provider.missingConfig}` } };
+  }
+  return { ok: true, provider };
+};
@@ -0,0 +1,75 @@
+/**
+ * 本地模拟 provider：不联网、不需要 Key，输出只由请求内容决定，便于开发与测试完整的 AI 流程。
+ *   MOCK_DELAY_MS  可选，流式输出每段的间隔，默认 80
+ *
+ * - 要求 JSON 输出时，按 schema 生成一份结构完整的示例 (枚举取第一项，字符串取字段说明)
+ * - 普通对话复述最后一条用户消息
+ * - 最后一条消息包含 "MOCK_ERROR" 时模拟上游 500 错误
+ */
+import { providerError } from './errors.js';
+
+const DEFAULT_DELAY_MS = 80;
+const CHUNK_SIZE = 24;
+
+const sampleFromSchema = (schema, key = 'value') => {
+  if (!schema || typeof schema !== 'object') return null;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties ?? {}).map(([k, s]) => [k, sampleFromSchema(s, k)]));
+    case 'array':
+      return [sampleFromSchema(schema.items, key)];
+    case 'integer':
+      return schema.minimum ?? 3;
+    case 'number':
+      return schema.minimum ?? 10;
+    case 'boolean':
+      return false;
+    default:
+      return schema.description ? `【模拟】${schema.description}` : `【模拟】${key}`;
+  }
+};
+
+const buildReply = ({ messages, options = {} }) => {
+  const last = messages[messages.length - 1]?.content ?? '';
+  if (last.includes('MOCK_ERROR')) throw providerError(500, '模拟的上游错误');
+  if (options.json?.schema) return JSON.stringify(sampleFromSchema(options.json.schema));
+  const quote = last.length > 60 ? `${last.slice(0, 60)}…` : last;
+  return `【模拟回复】这是第 ${messages.filter((m) => m.role === 'user').length} 个问题。你刚才说：「${quote}」。记住，价格是你付出的，价值是你得到的。`;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const createMockProvider = (env) => {
+  const delay = Number(env.MOCK_DELAY_MS ?? DEFAULT_DELAY_MS);
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    missingConfig: null,
+
+    async generate(request) {
+      return buildReply(request);
+    },
+
+    async stream(request, { signal } = {}) {
+      const reply = buildReply(request);
+      return (async function* () {
+        for (let i = 0; i < reply.length; i += CHUNK_SIZE) {
+          if (i > 0) await wait(delay, signal);
+          yield reply.slice(i, i + CHUNK_SIZE);
+        }
+      })();
+    },
+  };
+};
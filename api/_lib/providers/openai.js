@@ -0,0 +1,67 @@
+/**
+ * OpenAI 兼容 provider (Chat Completions 接口)
+ * 同样适用于 Ollama、llama.cpp server、vLLM 等提供 /v1/chat/completions 的本地服务。
+ *   OPENAI_BASE_URL  可选，默认 https://api.openai.com/v1；Ollama 为 http://localhost:11434/v1
+ *   OPENAI_API_KEY   官方接口必填，本地服务通常可留空
+ *   OPENAI_MODEL     可选，默认 gpt-4o-mini
+ */
+import { iterateSseStream } from '../../../src/lib/sse.js';
+import { readUpstreamError } from './errors.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const toOpenAiBody = ({ system, messages, options = {} }, model, stream) => ({
+  model,
+  messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+  stream,
+  ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+  ...(options.maxTokens !== undefined ? { max_tokens: options.maxTokens } : {}),
+  ...(options.json?.schema
+    ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: options.json.schema } } }
+    : {}),
+});
+
+export const createOpenAiProvider = (env) => {
+  const apiKey = env.OPENAI_API_KEY;
+  const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = env.OPENAI_MODEL || DEFAULT_MODEL;
+
+  const post = async (request, stream, signal) => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(toOpenAiBody(request, model, stream)),
+      signal,
+    });
+    if (!response.ok) throw await readUpstreamError(response);
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+    // 默认地址是官方接口，必须有 Key；自定义地址视为本地服务
+    missingConfig: !apiKey && !env.OPENAI_BASE_URL ? 'OPENAI_API_KEY' : null,
+
+    async generate(request, { signal } = {}) {
+      const response = await post(request, false, signal);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? '';
+    },
+
+    async stream(request, { signal } = {}) {
+      const response = await post(request, true, signal);
+      return (async function* () {
+        for await (const { data } of iterateSseStream(response.body)) {
+          if (data === '[DONE]') return;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      })();
+    },
+  };
+};
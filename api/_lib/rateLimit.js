@@ -0,0 +1,45 @@
+/**
+ * 固定窗口限流
+ * 计数存储是可插拔的：任何实现了 increment(key, windowMs) → Promise<{ count, resetAt }> 的对象都可以传入，
+ * 例如基于 Redis / Vercel KV 的实现 (多实例部署时需要共享计数)。默认使用进程内存，
+ * 在 Serverless 环境下每个实例各自计数，只能作为基础防护。
+ */
+
+const SWEEP_THRESHOLD = 10000;
+
+/** 进程内存存储；条目过多时顺带清理已过期的窗口 */
+export const createMemoryStore = (now = Date.now) => {
+  const windows = new Map();
+
+  return {
+    async increment(key, windowMs) {
+      const time = now();
+      if (windows.size > SWEEP_THRESHOLD) {
+        for (const [k, w] of windows) if (w.resetAt <= time) windows.delete(k);
+      }
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= time) {
+        entry = { count: 0, resetAt: time + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
+
+/**
+ * 依次检查每个 key (如 IP 与会话)，任一超限即拒绝。
+ * 返回 { ok: true } 或 { ok: false, retryAfter }，retryAfter 单位为秒。
+ */
+export const createRateLimiter = ({ store = createMemoryStore(), limit, windowMs, now = Date.now }) => ({
+  async check(keys) {
+    for (const key of keys) {
+      const { count, resetAt } = await store.increment(key, windowMs);
+      if (count > limit) {
+        return { ok: false, retryAfter: Math.max(1, Math.ceil((resetAt - now()) / 1000)) };
+      }
+    }
+    return { ok: true };
+  },
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryStore, createRateLimiter } from './rateLimit.js';
+
+const createClock = (start = 0) => {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+describe('createRateLimiter', () => {
+  it('窗口内超过上限后拒绝，并给出剩余秒数', async () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ store: createMemoryStore(clock.now), limit: 2, windowMs: 60000, now: clock.now });
+    expect(await limiter.check(['ip:a'])).toEqual({ ok: true });
+    expect(await limiter.check(['ip:a'])).toEqual({ ok: true });
+    clock.advance(15000);
+    expect(await limiter.check(['ip:a'])).toEqual({ ok: false, retryAfter: 45 });
+  });
+
+  it('窗口结束后重新计数', async () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ store: createMemoryStore(clock.now), limit: 1, windowMs: 1000, now: clock.now });
+    await limiter.check(['ip:a']);
+    expect((await limiter.check(['ip:a'])).ok).toBe(false);
+    clock.advance(1000);
+    expect((await limiter.check(['ip:a'])).ok).toBe(true);
+  });
+
+  it('各 key 分别计数，任一超限即拒绝', async () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ store: createMemoryStore(clock.now), limit: 1, windowMs: 1000, now: clock.now });
+    expect((await limiter.check(['ip:a', 'session:s1'])).ok).toBe(true);
+    expect((await limiter.check(['ip:b'])).ok).toBe(true);
+    // 换了 IP 但沿用同一会话
+    expect((await limiter.check(['ip:c', 'session:s1'])).ok).toBe(false);
+  });
+});
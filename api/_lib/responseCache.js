@@ -0,0 +1,39 @@
+/**
+ * AI 响应缓存
+ * 存储是可插拔的：任何实现了 get(key) → Promise<string | null> 与 set(key, text) → Promise 的对象都可以传入，
+ * 例如基于 Redis / Vercel KV 的实现。默认使用进程内存，按写入先后淘汰并设有过期时间。
+ *   RESPONSE_CACHE         设为 memory 时启用，默认关闭
+ *   RESPONSE_CACHE_TTL_MS  过期时间，默认 3600000 (1 小时)
+ */
+
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+export const createMemoryCache = ({ maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.text;
+    },
+
+    async set(key, text) {
+      // Map 保持插入顺序，重新写入的键移到末尾，超出容量时淘汰最早的条目
+      entries.delete(key);
+      entries.set(key, { text, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+};
+
+/** 按环境变量创建缓存；未启用时返回 null */
+export const createCacheFromEnv = (env) => {
+  if ((env.RESPONSE_CACHE || '').trim().toLowerCase() !== 'memory') return null;
+  return createMemoryCache({ ttlMs: Number(env.RESPONSE_CACHE_TTL_MS) || DEFAULT_TTL_MS });
+};
@@ -2,59 +2,166 @@
  * Vercel Serverless Function: API 代理
  * 路径: /api/generate
  * 作用: 在服务端隐藏并使用 API Key，防止前端泄露
+ *
+ * 请求体为与厂商无关的通用格式 (见 _lib/llmRequest.js)，由 LLM_PROVIDER 选择的 provider 转发 (见 _lib/providers)。
+ * 两种响应模式：
+ *   POST /api/generate           一次性返回 { text }
+ *   POST /api/generate?stream=1  以 SSE 逐段推送：
+ *                                  data: {"text": "..."}         增量文本
+ *                                  event: error / data: {"error"} 中途出错
+ *                                  event: done  / data: {}        正常结束
+ * 旧版前端发送的 Gemini 请求体仍可使用，非流式时按 Gemini 响应格式返回。
+ *
+ * 防护 (依次检查)：来源校验 → 请求体大小 → 限流 → 请求格式校验。
+ * 失败时返回 4xx 与 { error, code }，code 取自 src/lib/apiErrors.js，前端据此给出具体提示。
+ *   RATE_LIMIT_MAX        每个窗口内单个 IP / 会话允许的请求数，默认 20
+ *   RATE_LIMIT_WINDOW_MS  限流窗口，默认 60000
+ *   ALLOWED_ORIGINS / TRUSTED_PROXIES  见 _lib/guard.js
+ *
+ * 响应缓存 (可选，见 _lib/responseCache.js)：以归一化请求 + provider/模型为键 (见 src/lib/requestKey.js)，
+ * 命中时不再请求上游，流式请求把缓存文本作为一段事件推送。请求头 Cache-Control: no-cache 跳过读取 (重新生成)，
+ * 新结果仍会写回缓存。响应头 X-Cache 标明 HIT / MISS，X-LLM-Model 标明实际使用的 provider:模型。
+ * 上游限流 (503 UPSTREAM_BUSY) 时转发上游的 Retry-After。
  */
 
 /* global process */
 
-export default async function handler(req, res) {
-  // 1. 只允许 POST 请求
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method Not Allowed' });
-  }
+import { formatSseEvent } from '../src/lib/sse.js';
+import { API_ERRORS } from '../src/lib/apiErrors.js';
+import { parseLlmRequest, toGeminiResponse } from './_lib/llmRequest.js';
+import { resolveProvider } from './_lib/providers/index.js';
+import { createMemoryStore, createRateLimiter } from './_lib/rateLimit.js';
+import { createCacheFromEnv } from './_lib/responseCache.js';
+import { buildRequestKey } from '../src/lib/requestKey.js';
+import { clientKeys, isOriginAllowed } from './_lib/guard.js';
 
-  
-  // 2. 从 Vercel 环境变量中获取 API Key
+const MAX_BODY_BYTES = 64 * 1024;
+
+const isStreamRequest = (req) => new URL(req.url, 'http://localhost').searchParams.get('stream') === '1';
+
+const sendError = (res, status, code, message) => res.status(status).json({ error: message, code });
+
+const bypassesCache = (req) => /\bno-cache\b/i.test(req.headers['cache-control'] ?? '');
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  'X-Accel-Buffering': 'no',
+};
+
+const bodySize = (req) => {
+  const declared = Number(req.headers['content-length']);
+  return Number.isFinite(declared) ? declared : new TextEncoder().encode(JSON.stringify(req.body ?? '')).length;
+};
 
-  // --- 核心配置 ---
 /**
- * API Key 获取逻辑：
- * 优先从环境变量获取（兼容 Vite 等构建工具），若无则由环境在运行时注入。
+ * 生成处理函数；rateLimitStore / responseCache 可替换为共享存储 (见 _lib/rateLimit.js、_lib/responseCache.js)，
+ * env 默认为 process.env，responseCache 默认按 RESPONSE_CACHE 创建，传 null 关闭。
+ * 限流器与缓存在模块级创建，同一实例的多次调用共享。
  */
-// const getApiKey = () => {
-//   try {
-//     // 尝试从 Vite 环境变量获取，或返回空字符串由平台注入
-//     return (typeof import.meta !== 'undefined' && import.meta.env?.VITE_GEMINI_API_KEY) || "";
-//   } catch (e) {
-//     return "";
-//   }
-// };
-
-// const apiKey = getApiKey(); 
-
-  const apiKey = process.env.VITE_GEMINI_API_KEY;
-
-  if (!apiKey) {
-    return res.status(500).json({ error: '服务器未配置 API KEY' });
-  }
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-
-  try {
-    // 3. 转发请求到 Google Gemini API
-    const googleResponse = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(req.body),
+export const createGenerateHandler = ({ env = process.env, rateLimitStore = createMemoryStore(), responseCache = createCacheFromEnv(env) } = {}) => {
+  const rateLimiter = createRateLimiter({
+    store: rateLimitStore,
+    limit: Number(env.RATE_LIMIT_MAX) || 20,
+    windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60000,
+  });
+
+  return async function handler(req, res) {
+    // 1. 只允许 POST 请求
+    if (req.method !== 'POST') {
+      return sendError(res, 405, API_ERRORS.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+
+    // 2. 来源、大小与频率检查，挡住把接口当作免费代理的调用
+    if (!isOriginAllowed(req, env.ALLOWED_ORIGINS)) {
+      return sendError(res, 403, API_ERRORS.ORIGIN_NOT_ALLOWED, '请求来源未被允许');
+    }
+    if (bodySize(req) > MAX_BODY_BYTES) {
+      return sendError(res, 413, API_ERRORS.PAYLOAD_TOO_LARGE, `请求体不能超过 ${MAX_BODY_BYTES / 1024} KB`);
+    }
+    const limited = await rateLimiter.check(clientKeys(req, env));
+    if (!limited.ok) {
+      res.setHeader('Retry-After', String(limited.retryAfter));
+      return sendError(res, 429, API_ERRORS.RATE_LIMITED, `请求过于频繁，请 ${limited.retryAfter} 秒后再试`);
+    }
+
+    const parsed = parseLlmRequest(req.body);
+    if (!parsed.ok) {
+      return sendError(res, 400, parsed.error.code, parsed.error.message);
+    }
+    const { request, legacy } = parsed;
+
+    // 3. 根据环境变量选择 provider (API Key 只存在于服务端)
+    const resolved = resolveProvider(env);
+    if (!resolved.ok) {
+      return sendError(res, 500, API_ERRORS.SERVER_MISCONFIGURED, resolved.error.message);
+    }
+    const { provider } = resolved;
+    const stream = isStreamRequest(req);
+    const model = `${provider.name}:${provider.model}`;
+    const cacheKey = responseCache ? buildRequestKey(request, model) : null;
+    res.setHeader('X-LLM-Model', model);
+
+    // 缓存命中：不计入上游调用，直接返回
+    const cached = cacheKey && !bypassesCache(req) ? await responseCache.get(cacheKey) : null;
+    if (cacheKey) res.setHeader('X-Cache', cached !== null ? 'HIT' : 'MISS');
+    if (cached !== null) {
+      if (!stream) return res.status(200).json(legacy ? toGeminiResponse(cached) : { text: cached });
+      res.writeHead(200, SSE_HEADERS);
+      res.write(formatSseEvent({ text: cached }));
+      res.write(formatSseEvent({}, 'done'));
+      return res.end();
+    }
+    // 只缓存完整且非空的结果，写入失败不影响本次响应
+    const remember = (text) => {
+      if (cacheKey && text) responseCache.set(cacheKey, text).catch((error) => console.error('Cache Error:', error));
+    };
+
+    // 客户端断开 (取消按钮) 时一并中止上游请求
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
     });
 
-    const data = await googleResponse.json();
+    try {
+      // 4. 非流式请求：等待完整结果
+      if (!stream) {
+        const text = await provider.generate(request, { signal: controller.signal });
+        remember(text);
+        return res.status(200).json(legacy ? toGeminiResponse(text) : { text });
+      }
+
+      // 5. 流式请求：上游确认可用后再写出事件流头部，之前的错误仍以普通 JSON 返回
+      const chunks = await provider.stream(request, { signal: controller.signal });
+      res.writeHead(200, SSE_HEADERS);
+
+      try {
+        let full = '';
+        for await (const text of chunks) {
+          full += text;
+          res.write(formatSseEvent({ text }));
+        }
+        res.write(formatSseEvent({}, 'done'));
+        remember(full);
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Stream Error:', error);
+        res.write(formatSseEvent({ error: '上游流式响应中断', code: API_ERRORS.STREAM_INTERRUPTED }, 'error'));
+      }
+      return res.end();
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('Proxy Error:', error);
+      // 上游限流单独标出，便于前端提示稍后再试；其余上游错误统一为 502。
+      // 上游的错误说明可能带有账户或配额信息，只记录在服务端日志中，不转发给前端
+      if (error.status === 429) {
+        if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+        return sendError(res, 503, API_ERRORS.UPSTREAM_BUSY, 'AI 服务繁忙');
+      }
+      return sendError(res, 502, API_ERRORS.UPSTREAM_ERROR, 'AI 服务返回异常');
+    }
+  };
+};
 
-    // 4. 将结果返回给前端
-    return res.status(googleResponse.status).json(data);
-  } catch (error) {
-    console.error('Proxy Error:', error);
-    return res.status(500).json({ error: '请求转发失败' });
-  }
-}
\ No newline at end of file
+export default createGenerateHandler();
@@ -0,0 +1,87 @@
+/**
+ * 本地模拟的 Gemini 上游，用于在无网络、无 API Key 的情况下联调 Gemini provider 的 HTTP 转发。
+ * 只需跑通 AI 流程时，直接设置 LLM_PROVIDER=mock 更简单 (见 api/_lib/providers/mock.js)。
+ *
+ *   node scripts/mock-upstream.js            # 默认监听 8787
+ *   GEMINI_API_BASE_URL=http://localhost:8787/v1beta GEMINI_API_KEY=mock vercel dev
+ *
+ * generateContent 一次性返回完整文本；streamGenerateContent?alt=sse 每 150ms 推送一段。
+ * 请求带有 responseSchema 时返回结构化诊断 JSON (见 src/lib/diagnosis.js)，否则返回一段点评。
+ * 请求体中包含 "MOCK_ERROR" 时返回 500，用于验证错误处理。
+ */
+
+/* global process */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const CHUNK_DELAY_MS = 150;
+
+const REPLY = [
+  '好的生意就像一座被护城河环绕的城堡。',
+  '你给出的增长率相当乐观，请记住：高增长很少能持续十年。',
+  '折现率反映的是机会成本，而非你希望得到的回报。',
+  '只有当价格远低于价值时才出手——安全边际是投资的基石。',
+];
+
+const DIAGNOSIS = JSON.stringify({
+  moat: { score: 4, summary: '品牌与渠道构成了不错的护城河，但还称不上无法逾越。' },
+  management: { score: 3, summary: '管理层资本配置中规中矩，回购与分红的纪律有待观察。' },
+  balanceSheet: { score: 5, summary: '净现金充裕，几乎没有偿债压力。' },
+  assumptions: { score: 2, summary: '十年 15% 的增长相当乐观，永续价值占比偏高。' },
+  adjustments: [
+    { param: 'growth', value: 10, reason: '把高速增长率降到更可持续的水平' },
+    { param: 'discount', value: 11, reason: '为不确定性多留一点余地' },
+  ],
+  verdict: { rating: 'hold', summary: '好公司，但价格需要再给我一些安全边际。' },
+});
+
+// 结构化响应按固定长度切片，模拟 JSON 逐段到达
+const splitText = (text, size = 60) => Array.from({ length: Math.ceil(text.length / size) }, (_, i) => text.slice(i * size, (i + 1) * size));
+
+const toChunk = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+const readBody = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(body));
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const body = await readBody(req);
+  console.log(`${req.method} ${url.pathname}`);
+
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+  if (body.includes('MOCK_ERROR')) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { code: 500, message: 'mock upstream error', status: 'INTERNAL' } }));
+    return;
+  }
+
+  const parts = body.includes('responseSchema') ? splitText(DIAGNOSIS) : REPLY;
+
+  if (url.pathname.endsWith(':generateContent')) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(toChunk(parts.join(''))));
+    return;
+  }
+
+  if (url.pathname.endsWith(':streamGenerateContent')) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const text of parts) {
+      if (res.destroyed) return;
+      res.write(`data: ${JSON.stringify(toChunk(text))}\r\n\r\n`);
+      await new Promise((resolve) => setTimeout(resolve, CHUNK_DELAY_MS));
+    }
+    res.end();
+    return;
+  }
+
+  res.writeHead(404).end();
+});
+
+server.listen(PORT, () => console.log(`Mock upstream listening on http://localhost:${PORT}/v1beta`));
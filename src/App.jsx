@@ -1,7 +1,47 @@
-import React, { useState, useMemo } from 'react';
-import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-import { Settings, ShieldCheck, MessageSquare, Edit3, BarChart3, AlertCircle, Sparkles, BookOpen, TrendingUp, Zap } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Settings, ShieldCheck, MessageSquare, Edit3, AlertCircle, Sparkles, BookOpen, TrendingUp, Zap, Printer, FileDown, Square, RefreshCw, Languages } from 'lucide-react';
 import { Analytics } from '@vercel/analytics/react';
+import { computeValuation, SAFETY_MARGIN } from './lib/valuation.js';
+import { SCHEDULE_MODES, resolveGrowthSchedule } from './lib/growthSchedule.js';
+import ParamSlider from './components/ParamSlider.jsx';
+import GrowthSchedulePanel from './components/GrowthSchedulePanel.jsx';
+import ReverseDcfPanel from './components/ReverseDcfPanel.jsx';
+import SensitivityTable from './components/SensitivityTable.jsx';
+import MonteCarloPanel from './components/MonteCarloPanel.jsx';
+import ScenarioPanel from './components/ScenarioPanel.jsx';
+import EquityBridgePanel from './components/EquityBridgePanel.jsx';
+import DiscountRateBuilder from './components/DiscountRateBuilder.jsx';
+import OwnerEarningsPanel from './components/OwnerEarningsPanel.jsx';
+import ImportPanel from './components/ImportPanel.jsx';
+import ModelComparisonPanel from './components/ModelComparisonPanel.jsx';
+import ValuationMetaPanel from './components/ValuationMetaPanel.jsx';
+import LibraryPanel from './components/LibraryPanel.jsx';
+import InvestmentMemo from './components/InvestmentMemo.jsx';
+import ProjectionExportPanel from './components/ProjectionExportPanel.jsx';
+import ProjectionChartPanel from './components/ProjectionChartPanel.jsx';
+import ChatPanel from './components/ChatPanel.jsx';
+import AnalystSettings from './components/AnalystSettings.jsx';
+import DiagnosisCards from './components/DiagnosisCards.jsx';
+import { MARKET_MODES, resolveMarketCap } from './lib/market.js';
+import { hasFxConversion, quoteToValuation, valuationToQuote } from './lib/currency.js';
+import { PARAM_LIMITS } from './lib/params.js';
+import { computeEquityBridge, enterpriseFromEquity } from './lib/bridge.js';
+import { RATE_SOURCE_NAMES, computeDiscountRate } from './lib/discountRate.js';
+import { computeOwnerEarnings, normalizeEarnings } from './lib/ownerEarnings.js';
+import { toFinancialRows } from './lib/financialImport.js';
+import { SAFETY_BASES, SCENARIO_COLORS, SCENARIO_IDS, createDefaultScenarios, evaluateScenarios, isDefaultScenarioName } from './lib/scenarios.js';
+import { DEFAULT_MODEL_STATE } from './lib/modelState.js';
+import { readShareHash, buildShareHash, buildShareUrl } from './lib/shareLink.js';
+import { buildExportFileName, exportElementToPdf } from './lib/memoExport.js';
+import { generate, isAbortError } from './lib/aiClient.js';
+import { createAiCache } from './lib/aiCache.js';
+import { API_ERRORS, describeApiError } from './lib/apiErrors.js';
+import { buildDiagnosisRequest, parseDiagnosis, reportToText } from './lib/diagnosis.js';
+import { CHAT_ROLES, createMessage, describeValuationContext, buildChatRequest } from './lib/chat.js';
+import { loadAiSettings, persistAiSettings, findPersona, buildPromptFields, buildDiagnosisPrompt } from './lib/prompts.js';
+import { loadLibrary, persistLibrary, saveValuation, duplicateEntry, removeEntry, restoreVersion } from './lib/library.js';
+import { LOCALE_OPTIONS, createI18n, loadLocale, persistLocale, scaleValue } from './lib/i18n.js';
+import { I18nContext, useI18n } from './lib/i18nContext.js';
 
 /**
  * 核心安全性说明：
@@ -12,181 +52,547 @@ import { Analytics } from '@vercel/analytics/react';
  */
 
 const App = () => {
-  const [params, setParams] = useState({
-    fcf: 10,
-    growth: 15,
-    discount: 10,
-    perpetual: 3.0
-  });
+  // 界面语言 (见 lib/i18n.js)，作为偏好单独保存；模型数据始终以亿为单位，不随语言变化
+  const [locale, setLocale] = useState(() => loadLocale());
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const changeLocale = (next) => {
+    setLocale(next);
+    persistLocale(next);
+  };
+
+  // 首次加载时若 URL 中带有分享数据，则以其作为初始状态
+  const [initialShare] = useState(() => readShareHash(window.location.hash));
+  const initialModel = initialShare?.ok ? initialShare.state : DEFAULT_MODEL_STATE;
+
+  const [meta, setMeta] = useState(initialModel.meta);
+  const [params, setParams] = useState(initialModel.params);
+  // 估值货币、金额单位与报价汇率 (见 lib/currency.js)，随估值保存，决定界面上的货币符号与金额单位
+  const [currency, setCurrency] = useState(initialModel.currency);
+  const i18n = useMemo(() => createI18n(locale, currency), [locale, currency]);
+  const { t, tError, formatNumber, formatMoney, formatPrice } = i18n;
+
+  const [market, setMarket] = useState(initialModel.market);
+  const [bridge, setBridge] = useState(initialModel.bridge);
+  const [rateBuilder, setRateBuilder] = useState(initialModel.rateBuilder);
+  const [financials, setFinancials] = useState(initialModel.financials);
+  const [altInputs, setAltInputs] = useState(initialModel.altInputs);
+  const [monteCarloSettings, setMonteCarloSettings] = useState(initialModel.monteCarlo);
+
+  // 启用情景分析后，params 始终代表当前选中 (activeId) 的情景，其余情景的参数保存在 items 中
+  const [scenarioState, setScenarioState] = useState(initialModel.scenarios);
 
   const [deepReport, setDeepReport] = useState("");
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [error, setError] = useState("");
-
-  // --- DCF 估值逻辑 ---
-  const valuation = useMemo(() => {
-    const { fcf, growth, discount, perpetual } = params;
-    const g = growth / 100;
-    const r = discount / 100;
-    const pg = perpetual / 100;
-
-    if (pg >= r) return null;
-
-    let stage1Sum = 0;
-    let currentFcf = fcf;
-    const chartData = [];
-
-    for (let t = 1; t <= 10; t++) {
-      currentFcf *= (1 + g);
-      chartData.push({ 
-        year: `第${t}年`, 
-        fcf: parseFloat(currentFcf.toFixed(2)),
-        pv: parseFloat((currentFcf / Math.pow(1 + r, t)).toFixed(2))
-      });
-      stage1Sum += currentFcf / Math.pow(1 + r, t);
+  // 错误以对象保存，渲染时再按当前语言描述
+  const [error, setError] = useState(null);
+  const analysisRef = useRef(null);
+  // 相同参数的诊断直接复用缓存 (见 lib/aiCache.js)，reportCached 用于提示并引导 "重新生成"
+  const [aiCache] = useState(() => createAiCache());
+  const [reportCached, setReportCached] = useState(false);
+  // 分析师人设、报告长度与语言 (见 lib/prompts.js)，作为偏好单独保存，不随估值变化
+  const [aiSettings, setAiSettings] = useState(() => loadAiSettings());
+  const persona = findPersona(aiSettings.persona);
+  const personaName = t(`personas.${persona.id}.name`, {}, persona.name);
+
+  // 多轮对话 (见 lib/chat.js)，随估值保存到估值库
+  const [chat, setChat] = useState([]);
+  const [isChatting, setIsChatting] = useState(false);
+  const [chatError, setChatError] = useState(null);
+  const chatRef = useRef(null);
+
+  // 估值库：currentEntryId 为当前载入 / 保存的条目，再次保存时追加为新版本
+  const [library, setLibrary] = useState(() => loadLibrary());
+  const [currentEntryId, setCurrentEntryId] = useState(null);
+  const [libraryError, setLibraryError] = useState(null);
+
+  // 分享链接载入结果：损坏的链接或被修正的字段需要告知用户
+  const [shareResult, setShareResult] = useState(initialShare);
+  const shareNotice = describeShareResult(shareResult, i18n);
+
+  // 投资备忘录导出
+  const memoRef = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportFailed, setExportFailed] = useState(false);
+
+  // --- 完整模型状态：分享链接 ---
+  const modelState = useMemo(() => ({
+    meta,
+    params,
+    currency,
+    market,
+    bridge,
+    rateBuilder,
+    financials,
+    altInputs,
+    scenarios: scenarioState,
+    monteCarlo: monteCarloSettings
+  }), [meta, params, currency, market, bridge, rateBuilder, financials, altInputs, scenarioState, monteCarloSettings]);
+
+  const loadModelState = (state) => {
+    setMeta(state.meta);
+    setParams(state.params);
+    setCurrency(state.currency);
+    setMarket(state.market);
+    setBridge(state.bridge);
+    setRateBuilder(state.rateBuilder);
+    setFinancials(state.financials);
+    setAltInputs(state.altInputs);
+    setScenarioState(state.scenarios);
+    setMonteCarloSettings(state.monteCarlo);
+  };
+
+  // --- 估值库 ---
+  const updateLibrary = (entries) => {
+    setLibrary(entries);
+    const result = persistLibrary(entries);
+    setLibraryError(result.ok ? null : result.error);
+  };
+
+  const handleSaveToLibrary = (asNew) => {
+    const { entries, entryId } = saveValuation(library, {
+      entryId: asNew ? null : currentEntryId,
+      state: modelState,
+      report: deepReport,
+      chat
+    });
+    updateLibrary(entries);
+    setCurrentEntryId(entryId);
+  };
+
+  const handleLoadFromLibrary = (entryId, versionId) => {
+    const version = library.find(entry => entry.id === entryId)?.versions.find(v => v.id === versionId);
+    if (!version) return;
+    const restored = restoreVersion(version);
+    chatRef.current?.abort();
+    loadModelState(restored.state);
+    setDeepReport(version.report);
+    setReportCached(false);
+    setError(null);
+    setChat(restored.chat);
+    setChatError(null);
+    setCurrentEntryId(entryId);
+  };
+
+  const handleRemoveFromLibrary = (entryId) => {
+    updateLibrary(removeEntry(library, entryId));
+    if (entryId === currentEntryId) setCurrentEntryId(null);
+  };
+
+  // 地址栏始终反映当前估值，刷新页面不会丢失；replaceState 不产生历史记录也不触发 hashchange
+  useEffect(() => {
+    window.history.replaceState(null, '', buildShareHash(modelState));
+  }, [modelState]);
+
+  // 在已打开的页面中粘贴另一条分享链接时载入新估值
+  useEffect(() => {
+    const handleHashChange = () => {
+      const result = readShareHash(window.location.hash);
+      if (!result) return;
+      if (result.ok) loadModelState(result.state);
+      setShareResult(result);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+
+  // --- DCF 估值逻辑 (见 lib/valuation.js) ---
+  const growthSchedule = useMemo(() => resolveGrowthSchedule(params), [params]);
+  const valuation = useMemo(() => computeValuation({ ...params, growthSchedule }), [params, growthSchedule]);
+  const horizon = growthSchedule.length;
+
+  // --- 折现率构建器：启用时由构建器推导 params.discount ---
+  const rateResult = useMemo(() => computeDiscountRate(rateBuilder), [rateBuilder]);
+
+  const updateRateBuilder = (patch) => {
+    const next = { ...rateBuilder, ...patch };
+    setRateBuilder(next);
+    const result = computeDiscountRate(next);
+    if (next.enabled && result.ok) setParams(p => ({ ...p, discount: result.rate }));
+  };
+
+  // --- 所有者盈余：历史报表 → 归一化基期 FCF ---
+  const financialRows = useMemo(() => computeOwnerEarnings(financials.rows), [financials.rows]);
+  const normalizedEarnings = useMemo(
+    () => normalizeEarnings(financialRows.map(row => row[financials.basis]), financials.method),
+    [financialRows, financials.basis, financials.method]
+  );
+
+  // --- 导入历史财务数据：填充报表、基期 FCF 与股权价值桥 ---
+  const handleImport = (records) => {
+    const rows = toFinancialRows(records);
+    setFinancials(f => ({ ...f, rows }));
+
+    const base = normalizeEarnings(computeOwnerEarnings(rows).map(row => row[financials.basis]), financials.method);
+    if (base !== null && base > 0) setParams(p => ({ ...p, fcf: parseFloat(base.toFixed(2)) }));
+
+    const latestShares = records.findLast(r => r.shares > 0)?.shares;
+    const latestNetDebt = records.findLast(r => r.netDebt !== null)?.netDebt;
+    setBridge(b => ({
+      ...b,
+      ...(latestShares !== undefined && { dilutedShares: latestShares }),
+      ...(latestNetDebt !== undefined && { netCash: -latestNetDebt })
+    }));
+  };
+
+  const applySuggestedGrowth = (value) => {
+    const { min, max } = PARAM_LIMITS.growth;
+    const growth = Math.round(Math.min(max, Math.max(min, value)) * 10) / 10;
+    setParams(p => ({ ...p, growth, scheduleMode: SCHEDULE_MODES.STAGES }));
+  };
+
+  // --- 情景分析 ---
+  const scenarioEvaluation = useMemo(() => {
+    if (!scenarioState.enabled) return null;
+    return evaluateScenarios(scenarioState.items.map(item => (
+      item.id === scenarioState.activeId ? { ...item, params } : item
+    )));
+  }, [scenarioState, params]);
+
+  // 关闭时把当前参数存回所选情景，再次开启时沿用已有情景 (含分享链接与估值库中还原的)，只在没有完整情景时生成默认值
+  const toggleScenarios = () => setScenarioState(s => {
+    if (s.enabled) {
+      return { ...s, enabled: false, items: s.items.map(item => (item.id === s.activeId ? { ...item, params } : item)) };
     }
+    if (s.items.length === SCENARIO_IDS.length) return { ...s, enabled: true };
+    return { ...s, enabled: true, activeId: 'base', items: createDefaultScenarios(params) };
+  });
+
+  const selectScenario = (id) => {
+    const target = scenarioState.items.find(item => item.id === id);
+    setScenarioState(s => ({
+      ...s,
+      activeId: id,
+      items: s.items.map(item => (item.id === s.activeId ? { ...item, params } : item))
+    }));
+    setParams(target.params);
+  };
+
+  const updateScenario = (id, patch) => setScenarioState(s => ({
+    ...s,
+    items: s.items.map(item => (item.id === id ? { ...item, ...patch } : item))
+  }));
 
-    const terminalValue = (currentFcf * (1 + pg)) / (r - pg);
-    const discountedTV = terminalValue / Math.pow(1 + r, 10);
-    const total = stage1Sum + discountedTV;
+  // --- 股权价值桥 ---
+  const bridgeResult = useMemo(
+    () => (valuation.ok ? computeEquityBridge(valuation.total, bridge) : null),
+    [valuation, bridge]
+  );
+
+  // 市值是股权价值 (报价货币)，按汇率折算为估值货币、再换算为企业价值口径后与 DCF 结果比较
+  const marketCap = quoteToValuation(resolveMarketCap(market), currency);
+  const marketEv = marketCap !== null ? enterpriseFromEquity(marketCap, bridge) : null;
 
+  // 安全边际买入价：启用情景分析时按所选基准 (期望价值 / 悲观情景) 计算，再经股权价值桥折算
+  const safety = useMemo(() => {
+    let basisValue = valuation.ok ? valuation.total : null;
+    if (scenarioEvaluation?.ok) {
+      basisValue = scenarioState.safetyBasis === SAFETY_BASES.BEAR
+        ? scenarioEvaluation.bear.valuation.total
+        : scenarioEvaluation.expected;
+    }
+    if (basisValue === null) return null;
+    const { equityValue, perShare } = computeEquityBridge(basisValue, bridge);
     return {
-      total: total.toFixed(2),
-      stage1: stage1Sum.toFixed(2),
-      tv: discountedTV.toFixed(2),
-      safetyPrice: (total * 0.7).toFixed(2), 
-      multiple: fcf !== 0 ? (total / fcf).toFixed(1) : 0,
-      tvRatio: total !== 0 ? ((discountedTV / total) * 100).toFixed(1) : 0,
-      chartData
+      value: equityValue * SAFETY_MARGIN,
+      perShare: perShare !== null ? perShare * SAFETY_MARGIN : null
     };
-  }, [params]);
+  }, [scenarioEvaluation, scenarioState.safetyBasis, valuation, bridge]);
 
-  // --- API 代理调用 ---
-  const fetchBuffettOpinion = async (userQuery) => {
-    const systemPrompt = "你是一位精通巴菲特投资哲学的AI。请根据用户提供的估值参数，以巴菲特的口吻进行诊断。关注安全边际、护城河和现金流。语气要睿智且幽默，300字以内。";
-    
-    const callWithRetry = async (retryCount = 5, delay = 1000) => {
-      try {
-        /**
-         * 终极安全方案：
-         * 我们向本地 /api/generate 接口发起请求。
-         * 这样浏览器 Network 面板只会看到对你自己域名的请求，看不到 Google 的 API Key。
-         */
-        const response = await fetch(`/api/generate`, {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: userQuery }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] }
-          })
-        });
-
-        if (!response.ok) {
-          const errData = await response.json();
-          throw new Error(errData.error?.message || "API_ERROR");
-        }
-        
-        const result = await response.json();
-        return result.candidates?.[0]?.content?.parts?.[0]?.text;
-      } catch (error) {
-        if (retryCount > 0) {
-          await new Promise(res => setTimeout(res, delay));
-          return callWithRetry(retryCount - 1, delay * 2);
-        }
-        throw error;
-      }
-    };
+  // 历史年份以所选口径 (所有者盈余 / FCF) 绘制在第1年之前
+  const chartHistory = useMemo(
+    () => financialRows.map(row => ({ year: row.year, value: row[financials.basis] })),
+    [financialRows, financials.basis]
+  );
+
+  // 预测图表的系列：启用情景分析时每个有效情景一条，否则为当前估值
+  const chartSeries = useMemo(() => {
+    if (scenarioEvaluation) {
+      return scenarioEvaluation.results.filter(r => r.valuation.ok).map(r => ({
+        id: r.id,
+        name: isDefaultScenarioName(r) ? t(`scenario.names.${r.id}`) : r.name,
+        color: SCENARIO_COLORS[r.id],
+        valuation: r.valuation,
+        active: r.id === scenarioState.activeId
+      }));
+    }
+    return valuation.ok
+      ? [{ id: 'current', name: t('app.chart.projected'), color: '#1e3a8a', valuation, active: true }]
+      : [];
+  }, [valuation, scenarioEvaluation, scenarioState.activeId, t]);
 
-    return callWithRetry();
+  // --- API 代理调用 ---
+  const fetchBuffettOpinion = (userQuery, { signal, onText, fresh }) => {
+    /**
+     * 终极安全方案：
+     * 我们向本地 /api/generate 接口发起请求。
+     * 这样浏览器 Network 面板只会看到对你自己域名的请求，看不到 Google 的 API Key。
+     * 以流式方式接收，并要求模型按结构化 JSON 输出 (见 lib/diagnosis.js)；
+     * 缓存、去重与重试见 lib/aiClient.js，已经显示了部分内容时不会重试，避免报告被清空重来。
+     */
+    return generate(buildDiagnosisRequest(userQuery, aiSettings), { signal, onText, cache: aiCache, fresh });
   };
 
-  const handleAiDeepDive = async () => {
+  // fresh: 重新生成，跳过浏览器与服务端缓存
+  const handleAiDeepDive = async ({ fresh = false } = {}) => {
+    const controller = new AbortController();
+    analysisRef.current = controller;
     setIsAnalyzing(true);
-    setError("");
-    const prompt = `估值参数：FCF ${params.fcf}亿，增长率 ${params.growth}%，折现率 ${params.discount}%，永续增长 ${params.perpetual}%。内在价值估值为 ${valuation?.total}亿。请点评。`;
+    setError(null);
+    setDeepReport("");
+    setReportCached(false);
+    const prompt = buildDiagnosisPrompt(buildPromptFields({ meta, params, currency, growthSchedule, rateBuilder, valuation, bridgeResult, safety, marketCap }));
     try {
-      const result = await fetchBuffettOpinion(prompt);
-      setDeepReport(result);
-    } catch {
-      setError("通往奥马哈的通讯暂时中断，请检查 API 路由配置。");
+      const result = await fetchBuffettOpinion(prompt, { signal: controller.signal, onText: setDeepReport, fresh });
+      setDeepReport(result.text);
+      setReportCached(result.cached);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err);
     } finally {
+      if (analysisRef.current === controller) analysisRef.current = null;
       setIsAnalyzing(false);
     }
   };
 
+  const cancelAiDeepDive = () => analysisRef.current?.abort();
+
+  // 生成结束后再解析；解析失败时按纯文本展示
+  const diagnosisResult = useMemo(
+    () => (deepReport && !isAnalyzing ? parseDiagnosis(deepReport) : null),
+    [deepReport, isAnalyzing]
+  );
+  const reportText = useMemo(() => reportToText(deepReport), [deepReport]);
+
+  const applyAdjustment = ({ param, value }) => {
+    // 增长率与年数属于分阶段增长路径，应用时切回分阶段模式
+    const isSchedulePatch = ['growth', 'highYears', 'fadeYears'].includes(param);
+    setParams(p => ({ ...p, [param]: value, ...(isSchedulePatch ? { scheduleMode: SCHEDULE_MODES.STAGES } : {}) }));
+    if (param === 'discount' && rateBuilder.enabled && value !== params.discount) {
+      setRateBuilder(b => ({...b, enabled: false}));
+    }
+  };
+
+  // --- 多轮对话 ---
+  const valuationContext = describeValuationContext({ meta, params, currency, growthSchedule, rateBuilder, valuation, bridgeResult, safety, marketCap });
+
+  const handleSendChat = async (text) => {
+    const controller = new AbortController();
+    chatRef.current = controller;
+    const history = [...chat, createMessage(CHAT_ROLES.USER, text, valuationContext)];
+    const reply = createMessage(CHAT_ROLES.MODEL, '');
+    const updateReply = (replyText) => setChat(c => c.map(m => (m.id === reply.id ? { ...m, text: replyText } : m)));
+    setChat([...history, reply]);
+    setIsChatting(true);
+    setChatError(null);
+    try {
+      const result = await generate(buildChatRequest({ messages: history, report: reportText, settings: aiSettings }), {
+        signal: controller.signal,
+        onText: updateReply
+      });
+      updateReply(result.text);
+    } catch (err) {
+      if (!isAbortError(err)) setChatError(err);
+    } finally {
+      // 没有收到任何内容的回复不保留
+      setChat(c => c.filter(m => m.id !== reply.id || m.text));
+      if (chatRef.current === controller) chatRef.current = null;
+      setIsChatting(false);
+    }
+  };
+
+  const updateAiSettings = (patch) => {
+    const next = { ...aiSettings, ...patch };
+    setAiSettings(next);
+    persistAiSettings(next);
+  };
+
+  const clearChat = () => {
+    setChat([]);
+    setChatError(null);
+  };
+
+  const handleExportPdf = async () => {
+    if (!memoRef.current) return;
+    setIsExporting(true);
+    setExportFailed(false);
+    try {
+      await exportElementToPdf(memoRef.current, buildExportFileName(meta, 'pdf'));
+    } catch {
+      setExportFailed(true);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const canExportMemo = valuation.ok && safety !== null;
+
+  // API 错误码的英文提示见词典 apiErrors (无错误码的网络错误等归入 GENERIC)，中文沿用 lib/apiErrors.js 的提示
+  const describeError = (err) => {
+    const code = Object.values(API_ERRORS).includes(err?.code) ? err.code : 'GENERIC';
+    return t(`apiErrors.${code}`, { retryAfter: err?.retryAfter ?? 60, message: err?.message }, describeApiError(err));
+  };
+  // 每股价值按汇率折算为报价货币，便于与另一上市地的股价直接对照
+  const formatQuotePrice = (value) => t('currency.converted', { price: formatPrice(valuationToQuote(value, currency), 2, currency.quoteCode) });
+  const rateSource = rateBuilder.enabled ? t(`common.rateSource.${rateBuilder.method}`, {}, RATE_SOURCE_NAMES[rateBuilder.method]) : null;
+
   return (
-    <>
+    <I18nContext.Provider value={i18n}>
       <Analytics />
-      <div className="min-h-screen bg-slate-50 text-slate-900 font-sans pb-12">
+      {canExportMemo && (
+        <InvestmentMemo
+          containerRef={memoRef}
+          meta={meta}
+          params={params}
+          growthSchedule={growthSchedule}
+          rateSource={rateSource}
+          valuation={valuation}
+          bridge={bridge}
+          bridgeResult={bridgeResult}
+          safety={safety}
+          marketCap={marketCap}
+          report={reportText}
+        />
+      )}
+      <div className="min-h-screen bg-slate-50 text-slate-900 font-sans pb-12 print:hidden">
       <nav className="bg-[#1e3a8a] text-white shadow-lg sticky top-0 z-50">
         <div className="max-w-7xl mx-auto px-4 h-16 flex items-center justify-between">
           <div className="flex items-center space-x-3">
             <Sparkles className="text-amber-400" />
-            <span className="text-lg font-bold tracking-tight">巴菲特 AI 估值助手 2.0</span>
+            <span className="text-lg font-bold tracking-tight">{t('app.title')}</span>
+          </div>
+          <div className="flex items-center space-x-4">
+            <div className="text-xs italic opacity-70 hidden lg:block">“Price is what you pay. Value is what you get.”</div>
+            {exportFailed && <span className="text-xs text-red-200">⚠️ {t('app.pdfFailed')}</span>}
+            <div className="flex items-center bg-white/10 rounded-lg p-0.5 text-xs font-bold" title={t('app.language')}>
+              <Languages size={14} className="mx-1.5 opacity-70" />
+              {LOCALE_OPTIONS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => changeLocale(option.id)}
+                  title={option.label}
+                  className={`px-2 py-1 rounded-md transition-colors ${locale === option.id ? 'bg-white text-[#1e3a8a]' : 'hover:bg-white/20'}`}
+                >
+                  {option.shortLabel}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => window.print()}
+              disabled={!canExportMemo}
+              className="flex items-center px-3 py-1.5 rounded-lg text-xs font-bold bg-white/10 hover:bg-white/20 disabled:opacity-40 transition-colors"
+            >
+              <Printer size={14} className="mr-1.5" /> {t('app.printMemo')}
+            </button>
+            <button
+              onClick={handleExportPdf}
+              disabled={!canExportMemo || isExporting}
+              className="flex items-center px-3 py-1.5 rounded-lg text-xs font-bold bg-amber-400 text-[#1e3a8a] hover:bg-amber-300 disabled:opacity-40 transition-colors"
+            >
+              <FileDown size={14} className="mr-1.5" /> {isExporting ? t('common.generating') : t('app.exportPdf')}
+            </button>
           </div>
-          <div className="text-xs italic opacity-70 hidden md:block">“Price is what you pay. Value is what you get.”</div>
         </div>
       </nav>
 
       <div className="bg-amber-50 border-b border-amber-100 py-2">
         <div className="max-w-7xl mx-auto px-4 flex items-center text-amber-800 text-xs font-medium">
           <AlertCircle size={14} className="mr-2 flex-shrink-0" />
-          <span>本模型参考沃伦·巴菲特的自由现金流折现 (DCF) 估值方法。</span>
+          <span>{t('app.banner')}</span>
         </div>
       </div>
 
+      {shareNotice && (
+        <div className={`border-b py-2 ${shareNotice.tone === 'error' ? 'bg-red-50 border-red-100 text-red-700' : 'bg-amber-50 border-amber-100 text-amber-800'}`}>
+          <div className="max-w-7xl mx-auto px-4 flex items-start justify-between text-xs">
+            <div className="space-y-0.5">
+              {shareNotice.messages.map((message, i) => <p key={i} className={i > 0 ? 'font-mono' : 'font-medium'}>{message}</p>)}
+            </div>
+            <button onClick={() => setShareResult(null)} className="ml-4 font-bold opacity-60 hover:opacity-100">✕</button>
+          </div>
+        </div>
+      )}
+
       <main className="max-w-7xl mx-auto p-4 md:p-8 grid grid-cols-1 lg:grid-cols-12 gap-8">
         {/* 参数设置部分 */}
         <div className="lg:col-span-4 space-y-6">
+          <ValuationMetaPanel
+            meta={meta}
+            currency={currency}
+            onChange={(patch) => setMeta(m => ({...m, ...patch}))}
+            onCurrencyChange={(patch) => setCurrency(c => ({...c, ...patch}))}
+            getShareUrl={() => buildShareUrl(modelState)}
+          />
+
           <section className="bg-white rounded-3xl shadow-sm border border-slate-200 p-6">
             <div className="flex items-center mb-6 text-slate-800">
               <Settings className="w-5 h-5 mr-2 text-blue-700" />
-              <h2 className="font-bold">模型参数设置</h2>
+              <h2 className="font-bold">{t('app.params')}</h2>
             </div>
             <div className="space-y-8">
               <FcfInput value={params.fcf} onChange={(val) => setParams(p => ({...p, fcf: val}))} />
-              <ParamSlider label="高速增长率 (1-10年)(g)" value={params.growth} unit="%" min={0} max={50} onChange={(v) => setParams(p => ({...p, growth: v}))} />
-              <ParamSlider label="期望折现率(r)" value={params.discount} unit="%" min={5} max={20} onChange={(v) => setParams(p => ({...p, discount: v}))} />
-              <ParamSlider label="永续增长率 (g永续)" value={params.perpetual} unit="%" min={0} max={5} step={0.1} onChange={(v) => setParams(p => ({...p, perpetual: v}))} />
+              <GrowthSchedulePanel params={params} schedule={growthSchedule} onChange={(patch) => setParams(p => ({...p, ...patch}))} />
+              <ParamSlider
+                label={t('app.discount')}
+                value={params.discount}
+                unit="%"
+                {...PARAM_LIMITS.discount}
+                disabled={rateBuilder.enabled}
+                hint={rateSource ? t('app.discountSource', { source: rateSource }) : null}
+                onChange={(v) => setParams(p => ({...p, discount: v}))}
+              />
+              <DiscountRateBuilder builder={rateBuilder} result={rateResult} onChange={updateRateBuilder} />
+              <ParamSlider label={t('app.perpetual')} value={params.perpetual} unit="%" {...PARAM_LIMITS.perpetual} onChange={(v) => setParams(p => ({...p, perpetual: v}))} />
             </div>
           </section>
 
+          <ScenarioPanel
+            state={scenarioState}
+            evaluation={scenarioEvaluation}
+            onToggle={toggleScenarios}
+            onSelect={selectScenario}
+            onUpdate={updateScenario}
+            onSafetyBasisChange={(basis) => setScenarioState(s => ({ ...s, safetyBasis: basis }))}
+          />
+
           <section className="bg-white rounded-3xl shadow-sm border border-slate-200 p-6">
             <div className="flex items-center mb-4 text-slate-800">
               <BookOpen className="w-5 h-5 mr-2 text-blue-700" />
-              <h2 className="font-bold">估值原理说明</h2>
+              <h2 className="font-bold">{t('app.formula.title')}</h2>
             </div>
             <div className="space-y-6 text-sm text-slate-600 leading-relaxed">
               <div>
-                <p className="font-bold text-blue-800 mb-2">① 前10年折现 (PV1)</p>
+                <p className="font-bold text-blue-800 mb-2">{t('app.formula.pv1', { years: horizon })}</p>
                 <div className="bg-slate-50 p-4 rounded-xl text-center text-blue-900 font-serif flex items-center justify-center space-x-2">
                   <span className="shrink-0">PV1 = </span>
                   <div className="flex flex-col items-center justify-center leading-none text-[10px] select-none mx-1 -space-y-0.5">
-                    <span>10</span>
+                    <span>{horizon}</span>
                     <span className="text-xl leading-none">Σ</span>
                     <span>t=1</span>
                   </div>
                   <div className="flex flex-col items-center">
-                    <span className="px-2 border-b border-blue-900/40 leading-tight text-sm">FCF × (1 + g)<sup>t</sup></span>
+                    <span className="px-2 border-b border-blue-900/40 leading-tight text-sm">FCF × Π<sub>k≤t</sub>(1 + g<sub>k</sub>)</span>
                     <span className="px-2 leading-tight text-sm">(1 + r)<sup>t</sup></span>
                   </div>
                 </div>
               </div>
               <div>
-                <p className="font-bold text-blue-800 mb-2">② 永续价值折现 (PV2)</p>
+                <p className="font-bold text-blue-800 mb-2">{t('app.formula.pv2')}</p>
                 <div className="bg-slate-50 p-4 rounded-xl text-blue-900 font-serif space-y-3">
                   <div className="flex items-center justify-center space-x-1 border-b border-blue-100/50 pb-2 text-xs">
                     <span className="text-slate-400 mr-1 italic">Step A:</span>
-                    <span>FCF<sub>11</sub> = FCF<sub>10</sub> × (1 + g<sub>永续</sub>)</span>
+                    <span>FCF<sub>{horizon + 1}</sub> = FCF<sub>{horizon}</sub> × (1 + g<sub>{t('app.formula.terminalSub')}</sub>)</span>
                   </div>
                   <div className="flex items-center justify-center space-x-1 pt-1">
                     <span className="text-slate-400 mr-2 italic text-xs shrink-0">Step B:</span>
                     <span className="shrink-0">PV2 = </span>
                     <div className="flex flex-col items-center">
-                      <span className="px-2 border-b border-blue-900/40 leading-tight">FCF<sub>11</sub> / (r - g<sub>永续</sub>)</span>
-                      <span className="px-2 leading-tight">(1 + r)<sup>10</sup></span>
+                      <span className="px-2 border-b border-blue-900/40 leading-tight">FCF<sub>{horizon + 1}</sub> / (r - g<sub>{t('app.formula.terminalSub')}</sub>)</span>
+                      <span className="px-2 leading-tight">(1 + r)<sup>{horizon}</sup></span>
                     </div>
                   </div>
                 </div>
@@ -199,13 +605,21 @@ const App = () => {
         <div className="lg:col-span-8 space-y-6">
           <section className="bg-white rounded-3xl p-8 shadow-sm border border-slate-200 text-center relative overflow-hidden">
             <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-blue-700 to-indigo-500"></div>
-            <p className="text-slate-400 text-[10px] font-bold uppercase tracking-[0.2em] mb-4">当前内在价值 (Intrinsic Value)</p>
-            {valuation ? (
-              <div className="text-5xl md:text-7xl font-bold text-[#1e3a8a] font-mono tracking-tighter">
-                ¥ {Number(valuation.total).toLocaleString()} 亿
-              </div>
+            <p className="text-slate-400 text-[10px] font-bold uppercase tracking-[0.2em] mb-4">{t('app.intrinsicValue')}</p>
+            {valuation.ok ? (
+              <>
+                <div className="text-5xl md:text-7xl font-bold text-[#1e3a8a] font-mono tracking-tighter">
+                  {formatMoney(valuation.total)}
+                </div>
+                {bridgeResult.perShare !== null && (
+                  <p className="mt-4 text-sm text-slate-500 font-mono">
+                    {t('app.equityValue', { value: formatMoney(bridgeResult.equityValue) })} · {t('app.perShare')} <span className="font-bold text-[#1e3a8a]">{formatPrice(bridgeResult.perShare)}</span>
+                    {hasFxConversion(currency) && ` (${formatQuotePrice(bridgeResult.perShare)})`}
+                  </p>
+                )}
+              </>
             ) : (
-              <div className="text-slate-300 italic text-2xl py-4">参数无效</div>
+              <div className="text-slate-300 italic text-2xl py-4">{t('app.invalidParams')}</div>
             )}
           </section>
 
@@ -215,66 +629,158 @@ const App = () => {
             </div>
             <div className="flex items-center space-x-2 mb-6 text-blue-200">
               <Zap size={18} />
-              <h3 className="text-xs font-bold uppercase tracking-widest">买入建议</h3>
+              <h3 className="text-xs font-bold uppercase tracking-widest">{t('app.recommendation')}</h3>
             </div>
             
-            {valuation ? (
+            {valuation.ok ? (
               <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
                 <div className="md:col-span-1 border-r border-blue-800/30 pr-4">
-                  <p className="text-blue-300 text-[10px] mb-2 uppercase tracking-wider">建议买入参考价 (7折安全边际)</p>
-                  <div className="text-3xl font-bold font-mono text-amber-400">¥ {Number(valuation.safetyPrice).toLocaleString()} 亿</div>
+                  <p className="text-blue-300 text-[10px] mb-2 uppercase tracking-wider">
+                    {scenarioEvaluation?.ok
+                      ? t('app.safetyPriceBasis', { basis: t(`scenario.basis.${scenarioState.safetyBasis === SAFETY_BASES.BEAR ? 'bear' : 'expected'}`) })
+                      : t('app.safetyPrice')}
+                  </p>
+                  <div className="text-3xl font-bold font-mono text-amber-400">{formatMoney(safety.value)}</div>
+                  {safety.perShare !== null && (
+                    <div className="mt-1 font-mono text-amber-200 text-sm">
+                      {t('app.perShare')} {formatPrice(safety.perShare)}
+                      {hasFxConversion(currency) && ` (${formatQuotePrice(safety.perShare)})`}
+                    </div>
+                  )}
                 </div>
                 <div className="flex flex-col justify-center">
-                  <p className="text-blue-300 text-[10px] mb-1 uppercase tracking-wider text-center md:text-left">估值倍数 (P/FCF)</p>
-                  <p className="font-bold font-mono text-3xl text-center md:text-left">{valuation.multiple}x</p>
+                  <p className="text-blue-300 text-[10px] mb-1 uppercase tracking-wider text-center md:text-left">{t('app.multiple')}</p>
+                  <p className="font-bold font-mono text-3xl text-center md:text-left">{valuation.multiple !== null ? formatNumber(valuation.multiple, 1) : '—'}x</p>
                 </div>
                 <div className="flex flex-col justify-center">
-                  <p className="text-blue-300 text-[10px] mb-1 uppercase tracking-wider text-center md:text-left">远期价值占比</p>
-                  <p className="font-bold font-mono text-3xl text-center md:text-left">{valuation.tvRatio}%</p>
+                  <p className="text-blue-300 text-[10px] mb-1 uppercase tracking-wider text-center md:text-left">{t('app.tvRatio')}</p>
+                  <p className="font-bold font-mono text-3xl text-center md:text-left">{valuation.tvRatio !== null ? formatNumber(valuation.tvRatio, 1) : '—'}%</p>
                 </div>
               </div>
             ) : (
               <div className="text-red-300 text-center py-4 border border-red-900/30 rounded-xl bg-red-950/20">
-                ⚠️ 永续增长率必须小于折现率
+                ⚠️ {tError('valuation', valuation.error)}
               </div>
             )}
           </section>
 
-          {valuation && (
-            <section className="bg-white rounded-3xl p-6 border border-slate-200 shadow-sm flex flex-col md:flex-row items-center justify-between gap-4">
-              <div className="flex items-center space-x-4">
-                <div className="w-12 h-12 rounded-full bg-amber-100 flex items-center justify-center border border-amber-200 overflow-hidden flex-shrink-0">
-                  <img src={`https://api.dicebear.com/7.x/avataaars/svg?seed=buffett&backgroundColor=ffdfbf`} alt="Buffett" />
-                </div>
-                <div>
-                  <h4 className="font-bold text-slate-800">巴菲特 AI 深度报告</h4>
-                  <p className="text-xs text-slate-400">Deep Diagnosis</p>
+          {/* 紧随买入建议：当前市价隐含的增长率，可与上面的安全边际价格对照 */}
+          {valuation.ok && (
+            <ReverseDcfPanel
+              params={params}
+              growthSchedule={growthSchedule}
+              targetValue={marketEv}
+              market={market}
+              currency={currency}
+              onMarketChange={(patch) => setMarket(m => ({...m, ...patch}))}
+            />
+          )}
+
+          {valuation.ok && (
+            <EquityBridgePanel
+              valuation={valuation}
+              bridge={bridge}
+              bridgeResult={bridgeResult}
+              quote={market.mode === MARKET_MODES.PRICE && market.price > 0 ? market.price : null}
+              currency={currency}
+              onChange={(patch) => setBridge(b => ({...b, ...patch}))}
+            />
+          )}
+
+          <SensitivityTable
+            params={params}
+            growthSchedule={growthSchedule}
+            marketValue={marketEv}
+            onSelect={(patch) => {
+              setParams(p => ({...p, ...patch}));
+              // 手动选定的折现率与构建器推导值不再一致，自动退出构建器
+              if (rateBuilder.enabled && patch.discount !== params.discount) {
+                setRateBuilder(b => ({...b, enabled: false}));
+              }
+            }}
+          />
+
+          <MonteCarloPanel
+            params={params}
+            marketValue={marketEv}
+            settings={monteCarloSettings}
+            onChange={(patch) => setMonteCarloSettings(m => ({...m, ...patch}))}
+          />
+
+          {valuation.ok && (
+            <section className="bg-white rounded-3xl p-6 border border-slate-200 shadow-sm space-y-4">
+              <div className="flex flex-col md:flex-row items-center justify-between gap-4">
+                <div className="flex items-center space-x-4">
+                  <div className="w-12 h-12 rounded-full bg-amber-100 flex items-center justify-center border border-amber-200 overflow-hidden flex-shrink-0">
+                    <img src={`https://api.dicebear.com/7.x/avataaars/svg?seed=${persona.avatarSeed}&backgroundColor=ffdfbf`} alt={personaName} />
+                  </div>
+                  <div>
+                    <h4 className="font-bold text-slate-800">{t('app.deepReport', { name: personaName })}</h4>
+                    <p className="text-xs text-slate-400">Deep Diagnosis</p>
+                  </div>
                 </div>
+                <button 
+                  onClick={() => handleAiDeepDive()}
+                  disabled={isAnalyzing}
+                  className={`px-8 py-4 rounded-2xl font-bold text-white transition-all shadow-md flex items-center space-x-2 ${isAnalyzing ? 'bg-slate-400 cursor-not-allowed' : 'bg-amber-500 hover:bg-amber-600 active:scale-95'}`}
+                >
+                  {isAnalyzing ? (
+                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  ) : (
+                    <><MessageSquare size={18} /><span>{t('app.getReview', { name: personaName })}</span></>
+                  )}
+                </button>
               </div>
-              <button 
-                onClick={handleAiDeepDive} 
-                disabled={isAnalyzing}
-                className={`px-8 py-4 rounded-2xl font-bold text-white transition-all shadow-md flex items-center space-x-2 ${isAnalyzing ? 'bg-slate-400 cursor-not-allowed' : 'bg-amber-500 hover:bg-amber-600 active:scale-95'}`}
-              >
-                {isAnalyzing ? (
-                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
-                ) : (
-                  <><MessageSquare size={18} /><span>获取巴菲特 AI 点评</span></>
-                )}
-              </button>
+              <AnalystSettings settings={aiSettings} onChange={updateAiSettings} disabled={isAnalyzing} />
             </section>
           )}
 
           {(isAnalyzing || deepReport || error) && (
             <section className="bg-white rounded-3xl p-8 border border-slate-200 shadow-lg animate-in fade-in slide-in-from-top-4">
-              {error && <div className="p-4 bg-red-50 text-red-700 rounded-xl border border-red-100 text-sm mb-4">{error}</div>}
+              {error && <div className="p-4 bg-red-50 text-red-700 rounded-xl border border-red-100 text-sm mb-4">{describeError(error)}</div>}
               {isAnalyzing && !deepReport && (
                 <div className="py-8 flex flex-col items-center justify-center text-slate-400">
                   <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mb-4"></div>
-                  <p className="text-sm font-medium animate-pulse">正在进行深度财务推演...</p>
+                  <p className="text-sm font-medium animate-pulse">{t('app.analyzing')}</p>
+                </div>
+              )}
+              {isAnalyzing && (
+                <div className="flex justify-end mb-4">
+                  <button
+                    onClick={cancelAiDeepDive}
+                    className="flex items-center px-3 py-1.5 rounded-lg text-xs font-bold bg-slate-100 text-slate-500 hover:text-red-600 transition"
+                  >
+                    <Square size={12} className="mr-1.5" /> {t('app.stopGenerating')}
+                  </button>
+                </div>
+              )}
+              {!isAnalyzing && deepReport && (
+                <div className="flex items-center justify-end gap-3 mb-4">
+                  {reportCached && <span className="text-xs text-slate-400">{t('app.cachedResult')}</span>}
+                  <button
+                    onClick={() => handleAiDeepDive({ fresh: true })}
+                    className="flex items-center px-3 py-1.5 rounded-lg text-xs font-bold bg-slate-100 text-slate-500 hover:text-blue-700 transition"
+                  >
+                    <RefreshCw size={12} className="mr-1.5" /> {t('app.regenerate')}
+                  </button>
                 </div>
               )}
-              {deepReport && (
+              {isAnalyzing && deepReport && (
+                <div className="bg-slate-50 p-6 rounded-2xl border border-slate-100">
+                  <p className="text-xs font-medium text-slate-400 animate-pulse mb-3">{t('app.generatingDiagnosis')}</p>
+                  <pre className="max-h-48 overflow-hidden text-[11px] text-slate-400 font-mono whitespace-pre-wrap break-all">{deepReport}</pre>
+                </div>
+              )}
+              {diagnosisResult?.ok && (
+                <>
+                  <div className="mb-4 text-amber-600 font-bold text-sm tracking-widest uppercase flex items-center">
+                    <Sparkles size={14} className="mr-2" />
+                    AI Diagnosis Result
+                  </div>
+                  <DiagnosisCards diagnosis={diagnosisResult.diagnosis} params={params} onApply={applyAdjustment} />
+                </>
+              )}
+              {diagnosisResult && !diagnosisResult.ok && (
                 <div className="text-slate-700 leading-relaxed font-serif text-lg bg-slate-50 p-8 rounded-2xl border border-slate-100 shadow-inner">
                   <div className="mb-4 text-amber-600 font-bold text-sm tracking-widest uppercase flex items-center">
                     <Sparkles size={14} className="mr-2" />
@@ -286,49 +792,83 @@ const App = () => {
             </section>
           )}
 
-          <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
-            <div className="flex items-center justify-between mb-8">
-              <div className="flex items-center text-slate-800 font-bold">
-                <BarChart3 className="w-5 h-5 mr-2 text-blue-500" />
-                <span>现金流预测轨迹 (未来10年)</span>
-              </div>
-              <div className="text-[10px] text-slate-400 font-mono tracking-widest uppercase">Values in Billions (¥)</div>
-            </div>
-            <div className="h-64 w-full">
-              <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={valuation?.chartData || []}>
-                  <defs>
-                    <linearGradient id="colorFcf" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#1e3a8a" stopOpacity={0.1}/>
-                      <stop offset="95%" stopColor="#1e3a8a" stopOpacity={0}/>
-                    </linearGradient>
-                  </defs>
-                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
-                  <XAxis dataKey="year" axisLine={false} tickLine={false} tick={{fontSize: 10, fill: '#94a3b8'}} dy={10} />
-                  <YAxis axisLine={false} tickLine={false} tick={{fontSize: 10, fill: '#94a3b8'}} />
-                  <Tooltip 
-                    contentStyle={{borderRadius: '16px', border: 'none', boxShadow: '0 10px 25px rgba(0,0,0,0.05)'}}
-                    formatter={(v) => [`¥${v} 亿`, '预计现金流']}
-                  />
-                  <Area type="monotone" dataKey="fcf" stroke="#1e3a8a" strokeWidth={4} fill="url(#colorFcf)" />
-                </AreaChart>
-              </ResponsiveContainer>
-            </div>
-          </section>
+          {valuation.ok && (
+            <ChatPanel
+              messages={chat}
+              personaName={personaName}
+              isSending={isChatting}
+              error={chatError && describeError(chatError)}
+              onSend={handleSendChat}
+              onCancel={() => chatRef.current?.abort()}
+              onClear={clearChat}
+            />
+          )}
+
+          {valuation.ok && (
+            <ModelComparisonPanel
+              inputs={altInputs}
+              params={params}
+              bridge={bridge}
+              dcfEquityValue={bridgeResult.equityValue}
+              dcfPerShare={bridgeResult.perShare}
+              onChange={(patch) => setAltInputs(a => ({...a, ...patch}))}
+            />
+          )}
+
+          <ImportPanel onImport={handleImport} onApplyGrowth={applySuggestedGrowth} />
+
+          <OwnerEarningsPanel
+            financials={financials}
+            computedRows={financialRows}
+            normalizedValue={normalizedEarnings}
+            onChange={(patch) => setFinancials(f => ({...f, ...patch}))}
+            onApply={() => setParams(p => ({...p, fcf: parseFloat(normalizedEarnings.toFixed(2))}))}
+          />
+
+          <ProjectionChartPanel
+            series={chartSeries}
+            valuation={valuation}
+            history={chartHistory}
+            horizon={horizon}
+            perpetual={params.perpetual}
+          />
+
+          <ProjectionExportPanel modelState={modelState} onRestore={loadModelState} />
+        </div>
+
+        <div className="lg:col-span-12">
+          <LibraryPanel
+            entries={library}
+            currentEntryId={currentEntryId}
+            storageError={libraryError && tError('library', libraryError)}
+            onSave={handleSaveToLibrary}
+            onLoad={handleLoadFromLibrary}
+            onDuplicate={(entryId) => updateLibrary(duplicateEntry(library, entryId).entries)}
+            onRemove={handleRemoveFromLibrary}
+          />
         </div>
       </main>
     </div>
-    </>
+    </I18nContext.Provider>
   );
 };
 
+const describeShareResult = (result, { t, tError, tWarning }) => {
+  if (!result) return null;
+  if (!result.ok) return { tone: 'error', messages: [tError('shareLink', result.error)] };
+  return result.warnings.length > 0 ? { tone: 'warning', messages: [t('app.shareWarnings'), ...result.warnings.map(tWarning)] } : null;
+};
+
+// 输入框与显示均使用当前语言的金额单位 (如英文界面下的 B)，写回模型时换算回亿
 const FcfInput = ({ value, onChange }) => {
+  const { t, formatNumber, amountUnit } = useI18n();
+  const toDisplay = (v) => scaleValue(v, amountUnit.factor);
   const [isEditing, setIsEditing] = useState(false);
-  const [tempValue, setTempValue] = useState(value.toString());
+  const [tempValue, setTempValue] = useState(toDisplay(value).toString());
   const handleBlur = () => {
     setIsEditing(false);
     const parsed = parseFloat(tempValue);
-    if (!isNaN(parsed) && parsed >= 0) onChange(parsed);
+    if (!isNaN(parsed) && parsed >= 0) onChange(scaleValue(parsed, 1 / amountUnit.factor));
   };
   const getSliderValue = () => {
     if (value >= 500) return 100;
@@ -339,16 +879,16 @@ const FcfInput = ({ value, onChange }) => {
   return (
     <div className="space-y-4">
       <div className="flex justify-between items-end">
-        <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">基期自由现金流 (FCF)</span>
-        <div onClick={() => setIsEditing(true)} className="cursor-pointer group flex items-center space-x-2 text-blue-700 font-mono font-bold">
+        <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('app.fcf')}</span>
+        <div onClick={() => { if (!isEditing) { setTempValue(toDisplay(value).toString()); setIsEditing(true); } }} className="cursor-pointer group flex items-center space-x-2 text-blue-700 font-mono font-bold">
           {isEditing ? (
             <div className="flex items-center bg-slate-100 px-3 py-1.5 rounded-xl border border-blue-200 ring-2 ring-blue-100">
               <input autoFocus type="number" value={tempValue} onChange={(e) => setTempValue(e.target.value)} onBlur={handleBlur} onKeyDown={(e) => e.key === 'Enter' && handleBlur()} className="bg-transparent outline-none w-24 text-right" />
-              <span className="text-[10px] ml-1 text-slate-400">亿</span>
+              <span className="text-[10px] ml-1 text-slate-400">{amountUnit.label}</span>
             </div>
           ) : (
             <div className="flex items-center space-x-2 bg-blue-50/50 px-3 py-1.5 rounded-xl border border-transparent hover:border-blue-200 transition-all">
-              <span className="text-xl underline decoration-dotted decoration-blue-300 underline-offset-4">{value} 亿</span>
+              <span className="text-xl underline decoration-dotted decoration-blue-300 underline-offset-4">{formatNumber(toDisplay(value), 4)} {amountUnit.label}</span>
               <Edit3 size={14} className="opacity-40 group-hover:opacity-100 text-blue-600 transition-opacity" />
             </div>
           )}
@@ -358,20 +898,10 @@ const FcfInput = ({ value, onChange }) => {
         const raw = parseFloat(e.target.value);
         let val = raw <= 40 ? (raw / 4).toFixed(1) : (10 + ((raw - 40) / 60) * 490).toFixed(0);
         onChange(parseFloat(val));
-        setTempValue(val.toString());
+        setTempValue(toDisplay(parseFloat(val)).toString());
       }} className="w-full h-1.5 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-700" />
     </div>
   );
 };
 
-const ParamSlider = ({ label, value, unit, min, max, step = 1, onChange }) => (
-  <div className="group">
-    <div className="flex justify-between text-xs font-bold text-slate-500 mb-3 group-hover:text-blue-700 transition">
-      <span className="tracking-wider">{label}</span>
-      <span className="font-mono bg-blue-50 px-2 py-0.5 rounded text-blue-700">{value}{unit}</span>
-    </div>
-    <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full h-1.5 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-700" />
-  </div>
-);
-
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { PERSONAS, REPORT_LANGUAGES, REPORT_LENGTHS } from '../lib/prompts.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * AI 分析师设置
+ * 人设、报告长度与语言同时作用于深度报告与多轮对话，选项来自 lib/aiPrompts.json。
+ */
+const AnalystSettings = ({ settings, onChange, disabled }) => {
+  const { t } = useI18n();
+  // 人设与长度的显示文字可在词典中覆盖，未覆盖时使用数据文件中的中文
+  const fields = [
+    {
+      key: 'persona',
+      options: PERSONAS.map(({ id, name, description }) => ({
+        id,
+        label: `${t(`personas.${id}.name`, {}, name)} · ${t(`personas.${id}.description`, {}, description)}`,
+      })),
+    },
+    { key: 'length', options: REPORT_LENGTHS.map(({ id, label }) => ({ id, label: t(`analyst.lengths.${id}`, {}, label) })) },
+    { key: 'language', options: REPORT_LANGUAGES },
+  ];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+      {fields.map(({ key, options }) => (
+        <label key={key} className="block">
+          <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t(`analyst.fields.${key}`)}</span>
+          <select
+            value={settings[key]}
+            onChange={(e) => onChange({ [key]: e.target.value })}
+            disabled={disabled}
+            className="mt-1 w-full bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none disabled:opacity-50"
+          >
+            {options.map((option) => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default AnalystSettings;
@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MessagesSquare, Send, Square, Trash2, RefreshCw } from 'lucide-react';
+import { CHAT_ROLES, MAX_MESSAGE_LENGTH, contextChangedAt } from '../lib/chat.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+// 快捷提问，文字见词典 chat.suggestions
+const SUGGESTIONS = ['growth', 'terminal', 'discount'];
+
+/**
+ * 与 AI 分析师的多轮对话，personaName 为当前人设 (见 lib/prompts.js)
+ * 每轮都会附带当前估值；参数在对话中途变化时，消息上方会提示已把新数字同步给 AI。
+ */
+const ChatPanel = ({ messages, personaName, isSending, error, onSend, onCancel, onClear }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // 新消息或流式增量到达时滚动到底部
+  useEffect(() => {
+    const list = listRef.current;
+    if (list) list.scrollTop = list.scrollHeight;
+  }, [messages]);
+
+  const send = (text) => {
+    const content = text.trim();
+    if (!content || isSending) return;
+    onSend(content);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter 发送，Shift + Enter 换行；输入法组字过程中的 Enter 不触发
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      send(draft);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center text-slate-800 font-bold">
+          <MessagesSquare className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('chat.title', { name: personaName })}</span>
+        </div>
+        {messages.length > 0 && (
+          <button
+            onClick={onClear}
+            disabled={isSending}
+            className="flex items-center text-xs font-bold px-3 py-1.5 rounded-lg bg-slate-100 text-slate-500 hover:text-red-600 disabled:opacity-50 transition"
+          >
+            <Trash2 size={12} className="mr-1" /> {t('chat.clear')}
+          </button>
+        )}
+      </div>
+
+      {messages.length > 0 && (
+        <div ref={listRef} className="max-h-96 overflow-y-auto space-y-3 mb-4 pr-1">
+          {messages.map((message, i) => (
+            <React.Fragment key={message.id}>
+              {contextChangedAt(messages, i) && (
+                <div className="flex items-center justify-center text-[10px] text-amber-600 font-bold">
+                  <RefreshCw size={10} className="mr-1" /> {t('chat.contextChanged')}
+                </div>
+              )}
+              {message.role === CHAT_ROLES.USER ? (
+                <div className="flex justify-end">
+                  <div className="max-w-[80%] bg-blue-700 text-white text-sm rounded-2xl rounded-br-md px-4 py-2 whitespace-pre-wrap">{message.text}</div>
+                </div>
+              ) : (
+                <div className="flex justify-start">
+                  <div className="max-w-[85%] bg-slate-50 border border-slate-100 text-slate-700 font-serif text-sm leading-relaxed rounded-2xl rounded-bl-md px-4 py-2 whitespace-pre-wrap">
+                    {message.text}
+                    {isSending && i === messages.length - 1 && (
+                      message.text
+                        ? <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-amber-500 animate-pulse" />
+                        : <span className="text-slate-400 animate-pulse">{t('chat.thinking')}</span>
+                    )}
+                  </div>
+                </div>
+              )}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      {messages.length === 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {SUGGESTIONS.map((key) => (
+            <button
+              key={key}
+              onClick={() => send(t(`chat.suggestions.${key}`))}
+              disabled={isSending}
+              className="text-xs px-3 py-1.5 rounded-full bg-slate-100 text-slate-600 hover:bg-blue-50 hover:text-blue-700 transition"
+            >
+              {t(`chat.suggestions.${key}`)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="p-3 mb-4 bg-red-50 text-red-700 rounded-xl border border-red-100 text-xs">⚠️ {error}</div>}
+
+      <div className="flex items-end gap-2">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          maxLength={MAX_MESSAGE_LENGTH}
+          rows={2}
+          placeholder={t('chat.placeholder')}
+          className="flex-1 bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-100 resize-none"
+        />
+        {isSending ? (
+          <button
+            onClick={onCancel}
+            className="flex items-center px-4 py-3 rounded-xl text-xs font-bold bg-slate-100 text-slate-500 hover:text-red-600 transition"
+          >
+            <Square size={14} className="mr-1" /> {t('common.stop')}
+          </button>
+        ) : (
+          <button
+            onClick={() => send(draft)}
+            disabled={!draft.trim()}
+            className="flex items-center px-4 py-3 rounded-xl text-xs font-bold bg-blue-700 text-white hover:bg-blue-800 disabled:bg-slate-300 transition"
+          >
+            <Send size={14} className="mr-1" /> {t('chat.send')}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ChatPanel;
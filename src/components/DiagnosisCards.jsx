@@ -0,0 +1,92 @@
+import React from 'react';
+import { Check, Wand2 } from 'lucide-react';
+import { SCHEDULE_MODES } from '../lib/growthSchedule.js';
+import { ADJUSTABLE_PARAMS, DIAGNOSIS_ASPECTS, MAX_SCORE, VERDICTS, VERDICT_LABELS } from '../lib/diagnosis.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+const VERDICT_STYLES = {
+  [VERDICTS.BUY]: 'bg-emerald-50 border-emerald-200 text-emerald-700',
+  [VERDICTS.HOLD]: 'bg-amber-50 border-amber-200 text-amber-700',
+  [VERDICTS.AVOID]: 'bg-red-50 border-red-200 text-red-700',
+};
+
+const scoreColor = (score) => (score >= 4 ? 'bg-emerald-500' : score >= 3 ? 'bg-amber-400' : 'bg-red-400');
+
+/**
+ * 结构化 AI 诊断卡片
+ * 总体结论 + 四项评分 + 参数调整建议；调整建议可一键写入滑块。
+ */
+const DiagnosisCards = ({ diagnosis, params, onApply }) => {
+  const { t, formatNumber, formatAmount } = useI18n();
+  // 基期 FCF 按当前语言的金额单位显示，年数与比率只换单位文字
+  const formatParam = (param, value) => {
+    if (param === 'fcf') return formatAmount(value);
+    if (ADJUSTABLE_PARAMS[param].unit === '%') return `${formatNumber(value)}%`;
+    return `${formatNumber(value)}${t('common.yearsUnit')}`;
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className={`p-5 rounded-2xl border ${VERDICT_STYLES[diagnosis.verdict.rating]}`}>
+        <p className="text-[10px] font-bold uppercase tracking-wider opacity-70">{t('diagnosis.verdict')}</p>
+        <p className="text-xl font-bold mt-1">{t(`diagnosis.verdicts.${diagnosis.verdict.rating}`, {}, VERDICT_LABELS[diagnosis.verdict.rating])}</p>
+        <p className="text-sm font-serif leading-relaxed text-slate-700 mt-2">{diagnosis.verdict.summary}</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {DIAGNOSIS_ASPECTS.map(({ key, label }) => {
+          const { score, summary } = diagnosis[key];
+          return (
+            <div key={key} className="p-4 bg-slate-50 rounded-2xl border border-slate-100">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs font-bold text-slate-700">{t(`diagnosis.aspects.${key}`, {}, label)}</span>
+                <span className="text-xs font-mono font-bold text-slate-500">{score} / {MAX_SCORE}</span>
+              </div>
+              <div className="flex gap-1 mb-3">
+                {Array.from({ length: MAX_SCORE }, (_, i) => (
+                  <span key={i} className={`h-1.5 flex-1 rounded-full ${i < score ? scoreColor(score) : 'bg-slate-200'}`} />
+                ))}
+              </div>
+              <p className="text-sm font-serif leading-relaxed text-slate-600">{summary}</p>
+            </div>
+          );
+        })}
+      </div>
+
+      {diagnosis.adjustments.length > 0 && (
+        <div className="p-4 rounded-2xl border border-blue-100 bg-blue-50/50">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-3">{t('diagnosis.adjustments')}</p>
+          <div className="space-y-2">
+            {diagnosis.adjustments.map((adjustment, i) => {
+              const label = t(`diagnosis.params.${adjustment.param}`, {}, ADJUSTABLE_PARAMS[adjustment.param].label);
+              // 增长率与年数只在分阶段模式下生效
+              const applied = params[adjustment.param] === adjustment.value
+                && (adjustment.param === 'fcf' || adjustment.param === 'discount' || adjustment.param === 'perpetual' || params.scheduleMode === SCHEDULE_MODES.STAGES);
+              return (
+                <div key={i} className="flex items-center justify-between gap-4 bg-white rounded-xl border border-slate-100 px-4 py-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-bold text-slate-700">
+                      {label}{t('common.colon')}
+                      {!applied && <><span className="font-mono text-slate-400 line-through mx-1">{formatParam(adjustment.param, params[adjustment.param])}</span>→</>}
+                      <span className="font-mono text-blue-700 ml-1">{formatParam(adjustment.param, adjustment.value)}</span>
+                    </p>
+                    <p className="text-xs text-slate-500 mt-0.5">{adjustment.reason}</p>
+                  </div>
+                  <button
+                    onClick={() => onApply(adjustment)}
+                    disabled={applied}
+                    className={`shrink-0 flex items-center px-3 py-1.5 rounded-lg text-xs font-bold transition ${applied ? 'bg-emerald-50 text-emerald-700' : 'bg-blue-700 text-white hover:bg-blue-800'}`}
+                  >
+                    {applied ? <><Check size={12} className="mr-1" /> {t('diagnosis.applied')}</> : <><Wand2 size={12} className="mr-1" /> {t('diagnosis.apply')}</>}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosisCards;
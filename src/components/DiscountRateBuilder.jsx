@@ -0,0 +1,81 @@
+import React from 'react';
+import { Calculator } from 'lucide-react';
+import NumberField from './NumberField.jsx';
+import { RATE_METHODS, RATE_SOURCE_NAMES } from '../lib/discountRate.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 折现率构建器
+ * 启用后折现率由下列输入推导并写入 params.discount，滑块随之锁定。
+ */
+const DiscountRateBuilder = ({ builder, result, onChange }) => {
+  const { t, tError, formatPercent } = useI18n();
+  const formatRate = (value) => formatPercent(value, 2);
+  return (
+    <div className="rounded-2xl border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-xs font-bold text-slate-500">
+          <Calculator size={14} className="mr-1.5 text-blue-700" />
+          {t('discountBuilder.title')}
+        </div>
+        <button
+          onClick={() => onChange({ enabled: !builder.enabled })}
+          className={`text-[10px] font-bold px-2.5 py-1 rounded-lg transition ${builder.enabled ? 'bg-blue-700 text-white' : 'bg-slate-100 text-slate-500 hover:text-blue-700'}`}
+        >
+          {builder.enabled ? t('common.enabled') : t('common.enable')}
+        </button>
+      </div>
+
+      {builder.enabled && (
+        <>
+          <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+            {[[RATE_METHODS.WACC, RATE_SOURCE_NAMES[RATE_METHODS.WACC]], [RATE_METHODS.BUFFETT, t('discountBuilder.buffett')]].map(([method, label]) => (
+              <button
+                key={method}
+                onClick={() => onChange({ method })}
+                className={`flex-1 py-1.5 rounded-lg transition ${builder.method === method ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {builder.method === RATE_METHODS.WACC ? (
+            <div className="grid grid-cols-2 gap-3">
+              <NumberField label={t('discountBuilder.riskFree')} value={builder.riskFree} unit="%" onChange={(v) => onChange({ riskFree: v })} />
+              <NumberField label={t('discountBuilder.equityPremium')} value={builder.equityPremium} unit="%" onChange={(v) => onChange({ equityPremium: v })} />
+              <NumberField label="Beta (β)" value={builder.beta} onChange={(v) => onChange({ beta: v })} />
+              <NumberField label={t('discountBuilder.costOfDebt')} value={builder.costOfDebt} unit="%" onChange={(v) => onChange({ costOfDebt: v })} />
+              <NumberField label={t('discountBuilder.taxRate')} value={builder.taxRate} unit="%" onChange={(v) => onChange({ taxRate: v })} />
+              <NumberField label={t('discountBuilder.debtWeight')} value={builder.debtWeight} unit="%" onChange={(v) => onChange({ debtWeight: v })} />
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-3">
+              <NumberField label={t('discountBuilder.bondYield')} value={builder.bondYield} unit="%" onChange={(v) => onChange({ bondYield: v })} />
+              <NumberField label={t('discountBuilder.hurdle')} value={builder.hurdle} unit="%" onChange={(v) => onChange({ hurdle: v })} />
+            </div>
+          )}
+
+          {result.ok ? (
+            <div className="bg-slate-50 rounded-xl p-3 text-[11px] text-slate-500 font-mono space-y-1">
+              {builder.method === RATE_METHODS.WACC ? (
+                <>
+                  <p>Ke = {builder.riskFree}% + {builder.beta} × {builder.equityPremium}% = {formatRate(result.breakdown.costOfEquity)}</p>
+                  <p>{t('discountBuilder.kdAfterTax')} = {builder.costOfDebt}% × (1 - {builder.taxRate}%) = {formatRate(result.breakdown.afterTaxDebt)}</p>
+                  <p>WACC = {result.breakdown.equityWeight}% × Ke + {result.breakdown.debtWeight}% × Kd = <span className="font-bold text-blue-700">{formatRate(result.rawRate)}</span></p>
+                </>
+              ) : (
+                <p>r = {builder.bondYield}% + {builder.hurdle}% = <span className="font-bold text-blue-700">{formatRate(result.rawRate)}</span></p>
+              )}
+              {result.clamped && <p className="text-amber-600 font-sans">{t('discountBuilder.clamped', { rate: formatRate(result.rate) })}</p>}
+            </div>
+          ) : (
+            <div className="p-3 bg-red-50 text-red-700 rounded-xl border border-red-100 text-xs">⚠️ {tError('discountRate', result.error)}</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DiscountRateBuilder;
@@ -0,0 +1,89 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Landmark } from 'lucide-react';
+import NumberField from './NumberField.jsx';
+import { buildBridgeWaterfall } from '../lib/bridge.js';
+import { hasFxConversion, valuationToQuote } from '../lib/currency.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+const BAR_COLORS = {
+  total: '#1e3a8a',
+  up: '#059669',
+  down: '#dc2626',
+};
+
+/**
+ * 股权价值桥
+ * 输入资产负债表调整项与股本，以瀑布图展示从 PV1 + PV2 到每股价值的每一步。
+ * quote 为用户输入的股价 (报价货币，未输入时为 null)，每股价值按 currency 中的汇率折算后再计算相对股价的空间。
+ */
+const EquityBridgePanel = ({ valuation, bridge, bridgeResult, quote, currency, onChange }) => {
+  const { t, formatNumber, formatMoney, formatPrice, formatAxisAmount, amountUnit, sharesUnit, amountUnitNote } = useI18n();
+  const waterfall = useMemo(() => buildBridgeWaterfall(valuation, bridge), [valuation, bridge]);
+  const quotePerShare = valuationToQuote(bridgeResult.perShare, currency);
+  const stepName = (name) => t(`bridge.steps.${name}`, {}, name);
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <Landmark className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('bridge.title')}</span>
+        </div>
+        <div className="text-[10px] text-slate-400 font-mono tracking-widest uppercase">{amountUnitNote}</div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        <NumberField label={t('bridge.netCash')} value={bridge.netCash} unit={amountUnit.label} factor={amountUnit.factor} onChange={(v) => onChange({ netCash: v })} />
+        <NumberField label={t('bridge.nonOperating')} value={bridge.nonOperating} unit={amountUnit.label} factor={amountUnit.factor} onChange={(v) => onChange({ nonOperating: v })} />
+        <NumberField label={t('bridge.minority')} value={bridge.minority} unit={amountUnit.label} factor={amountUnit.factor} onChange={(v) => onChange({ minority: v })} />
+        <NumberField label={t('bridge.dilutedShares')} value={bridge.dilutedShares} unit={sharesUnit.label} factor={sharesUnit.factor} onChange={(v) => onChange({ dilutedShares: v })} />
+      </div>
+
+      <div className="h-56 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={waterfall}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+            <XAxis dataKey="name" tickFormatter={stepName} axisLine={false} tickLine={false} tick={{fontSize: 10, fill: '#94a3b8'}} />
+            <YAxis tickFormatter={formatAxisAmount} axisLine={false} tickLine={false} tick={{fontSize: 10, fill: '#94a3b8'}} />
+            <Tooltip
+              contentStyle={{borderRadius: '16px', border: 'none', boxShadow: '0 10px 25px rgba(0,0,0,0.05)'}}
+              labelFormatter={stepName}
+              formatter={(_, __, item) => [formatMoney(item.payload.value), stepName(item.payload.name)]}
+            />
+            <Bar dataKey="range" radius={[4, 4, 4, 4]}>
+              {waterfall.map((step) => <Cell key={step.name} fill={BAR_COLORS[step.kind]} />)}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3 text-center">
+        <div className="bg-slate-50 rounded-2xl p-3">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t('bridge.enterpriseValue')}</p>
+          <p className="font-mono font-bold text-slate-700">{formatMoney(bridgeResult.enterpriseValue)}</p>
+        </div>
+        <div className="bg-slate-50 rounded-2xl p-3">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t('bridge.equityValue')}</p>
+          <p className="font-mono font-bold text-slate-700">{formatMoney(bridgeResult.equityValue)}</p>
+        </div>
+        <div className="bg-blue-50 rounded-2xl p-3">
+          <p className="text-[10px] font-bold text-blue-400 uppercase tracking-wider">{t('bridge.perShare')}</p>
+          <p className="font-mono font-bold text-[#1e3a8a]">
+            {bridgeResult.perShare !== null ? t('bridge.perShareValue', { price: formatPrice(bridgeResult.perShare) }) : t('bridge.sharesRequired')}
+          </p>
+          {quotePerShare !== null && hasFxConversion(currency) && (
+            <p className="text-[10px] text-slate-500 mt-1 font-mono">{t('currency.converted', { price: formatPrice(quotePerShare, 2, currency.quoteCode) })}</p>
+          )}
+          {quotePerShare !== null && quote !== null && (
+            <p className="text-[10px] text-slate-500 mt-1">
+              {t(quotePerShare >= quote ? 'bridge.upside' : 'bridge.downside', { price: formatPrice(quote, 2, currency.quoteCode), percent: formatNumber(Math.abs(quotePerShare / quote - 1) * 100) })}
+            </p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default EquityBridgePanel;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Plus, Minus } from 'lucide-react';
+import ParamSlider from './ParamSlider.jsx';
+import { SCHEDULE_MODES, MAX_SCHEDULE_YEARS, buildGrowthSchedule } from '../lib/growthSchedule.js';
+import { PARAM_LIMITS } from '../lib/params.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 单年增长率输入框
+ * 编辑时保留输入的原始文字，清空后可以重新输入；能解析为数字时即时生效，失焦后显示已生效的数值。
+ */
+const YearRateInput = ({ value, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const handleChange = (text) => {
+    setDraft(text);
+    const parsed = parseFloat(text);
+    if (Number.isFinite(parsed)) onChange(parsed);
+  };
+
+  return (
+    <input
+      type="number"
+      step="0.1"
+      value={draft ?? Number(value.toFixed(2))}
+      onChange={(e) => handleChange(e.target.value)}
+      onBlur={() => setDraft(null)}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      className="w-20 text-right font-mono bg-slate-50 rounded px-2 py-0.5 outline-none focus:ring-2 focus:ring-blue-100"
+    />
+  );
+};
+
+/**
+ * 增长路径设置
+ * 三阶段模式下调节高速期 / 渐退期年数；高级模式下逐年编辑增长率。
+ */
+const GrowthSchedulePanel = ({ params, schedule, onChange }) => {
+  const { t } = useI18n();
+  const isCustom = params.scheduleMode === SCHEDULE_MODES.CUSTOM;
+
+  const switchMode = (mode) => {
+    if (mode === params.scheduleMode) return;
+    // 进入高级模式时以当前三阶段路径为初始值，便于在其基础上微调
+    onChange(mode === SCHEDULE_MODES.CUSTOM
+      ? { scheduleMode: mode, customGrowth: buildGrowthSchedule(params) }
+      : { scheduleMode: mode });
+  };
+
+  const updateYear = (index, value) => {
+    onChange({ customGrowth: schedule.map((g, i) => (i === index ? value : g)) });
+  };
+
+  const addYear = () => {
+    if (schedule.length >= MAX_SCHEDULE_YEARS) return;
+    onChange({ customGrowth: [...schedule, schedule[schedule.length - 1] ?? params.growth] });
+  };
+
+  const removeYear = () => {
+    if (schedule.length <= 1) return;
+    onChange({ customGrowth: schedule.slice(0, -1) });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+        {[[SCHEDULE_MODES.STAGES, t('growth.stages')], [SCHEDULE_MODES.CUSTOM, t('growth.custom')]].map(([mode, label]) => (
+          <button
+            key={mode}
+            onClick={() => switchMode(mode)}
+            className={`flex-1 py-1.5 rounded-lg transition ${params.scheduleMode === mode ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {isCustom ? (
+        <div className="space-y-3">
+          <div className="max-h-64 overflow-y-auto rounded-xl border border-slate-200">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-50 text-slate-500 sticky top-0">
+                <tr>
+                  <th className="py-2 px-3 text-left font-bold">{t('growth.year')}</th>
+                  <th className="py-2 px-3 text-right font-bold">{t('growth.rate')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.map((g, i) => (
+                  <tr key={i} className="border-t border-slate-100">
+                    <td className="py-1.5 px-3 text-slate-600">{t('common.yearN', { n: i + 1 })}</td>
+                    <td className="py-1.5 px-3 text-right">
+                      <YearRateInput value={g} onChange={(value) => updateYear(i, value)} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button onClick={removeYear} disabled={schedule.length <= 1} className="p-1.5 rounded-lg border border-slate-200 text-slate-500 hover:text-blue-700 disabled:opacity-30">
+              <Minus size={14} />
+            </button>
+            <button onClick={addYear} disabled={schedule.length >= MAX_SCHEDULE_YEARS} className="p-1.5 rounded-lg border border-slate-200 text-slate-500 hover:text-blue-700 disabled:opacity-30">
+              <Plus size={14} />
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <ParamSlider label={t('growth.highGrowth', { years: params.highYears })} value={params.growth} unit="%" {...PARAM_LIMITS.growth} onChange={(v) => onChange({ growth: v })} />
+          <ParamSlider label={t('growth.highYears')} value={params.highYears} unit={t('common.yearsUnit')} {...PARAM_LIMITS.highYears} onChange={(v) => onChange({ highYears: v })} />
+          <ParamSlider label={t('growth.fadeYears')} value={params.fadeYears} unit={t('common.yearsUnit')} {...PARAM_LIMITS.fadeYears} onChange={(v) => onChange({ fadeYears: v })} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GrowthSchedulePanel;
@@ -0,0 +1,152 @@
+import React, { useMemo, useState } from 'react';
+import { FileUp, ArrowRight } from 'lucide-react';
+import { IMPORT_FIELDS, guessMapping, mapRows, readTableFromFile, suggestGrowth, toModelUnits, transpose } from '../lib/financialImport.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 历史财务数据导入
+ * 选择本地 CSV / XLSX → 映射列 → 逐行校验 → 写入所有者盈余计算器、基期 FCF 与股权价值桥。
+ */
+const ImportPanel = ({ onImport, onApplyGrowth }) => {
+  const { t, tError, formatNumber, amountUnit, sharesUnit } = useI18n();
+  const fieldLabel = (field) => t(`import.fields.${field.key}`, {}, field.label);
+  const describeRowError = (err) => t(`import.rowErrors.${err.code}`, {
+    field: fieldLabel(IMPORT_FIELDS.find((f) => f.key === err.field)),
+    value: err.value,
+  }, err.message);
+  const [fileName, setFileName] = useState('');
+  const [rawTable, setRawTable] = useState(null);
+  const [isTransposed, setIsTransposed] = useState(false);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState('');
+  const [growthSuggestion, setGrowthSuggestion] = useState(null);
+
+  const table = useMemo(() => {
+    if (!rawTable) return null;
+    return isTransposed ? transpose(rawTable) : rawTable;
+  }, [rawTable, isTransposed]);
+
+  const preview = useMemo(() => (table ? mapRows(table, mapping) : null), [table, mapping]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setFileName(file.name);
+    setReadError('');
+    setGrowthSuggestion(null);
+    try {
+      const result = await readTableFromFile(file);
+      if (!result.ok) {
+        setRawTable(null);
+        setReadError(tError('import', result.error));
+        return;
+      }
+      setRawTable(result.table);
+      setIsTransposed(false);
+      setMapping(guessMapping(result.table[0]));
+    } catch {
+      setRawTable(null);
+      setReadError(t('import.readFailed'));
+    }
+  };
+
+  const toggleTranspose = () => {
+    const next = !isTransposed;
+    setIsTransposed(next);
+    setMapping(guessMapping((next ? transpose(rawTable) : rawTable)[0]));
+  };
+
+  const handleImport = () => {
+    onImport(toModelUnits(preview.records, { amountFactor: amountUnit.factor, sharesFactor: sharesUnit.factor }));
+    setGrowthSuggestion(suggestGrowth(preview.records));
+  };
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <FileUp className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('import.title')}</span>
+        </div>
+        <label className="cursor-pointer px-4 py-2 rounded-xl text-xs font-bold bg-slate-100 text-slate-600 hover:text-blue-700 transition">
+          {t('import.chooseFile')}
+          <input type="file" accept=".csv,.txt,.xlsx" onChange={handleFile} className="hidden" />
+        </label>
+      </div>
+
+      {!table && !readError && (
+        <p className="text-xs text-slate-400 leading-relaxed">
+          {t('import.intro', { fields: IMPORT_FIELDS.map(fieldLabel).join(t('common.listSeparator')), amountUnit: amountUnit.label, sharesUnit: sharesUnit.label })}
+        </p>
+      )}
+      {readError && <div className="p-3 bg-red-50 text-red-700 rounded-xl border border-red-100 text-xs">⚠️ {fileName}{t('common.colon')}{readError}</div>}
+
+      {table && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between text-xs text-slate-500">
+            <span className="font-mono">{fileName} · {t('import.rowCount', { count: table.length - 1 })}</span>
+            <label className="flex items-center cursor-pointer">
+              <input type="checkbox" checked={isTransposed} onChange={toggleTranspose} className="mr-1.5 accent-blue-700" />
+              {t('import.transpose')}
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.key} className="block">
+                <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
+                  {fieldLabel(field)}{field.required && <span className="text-red-400"> *</span>}
+                </span>
+                <select
+                  value={mapping[field.key] ?? -1}
+                  onChange={(e) => setMapping(m => ({ ...m, [field.key]: parseInt(e.target.value, 10) }))}
+                  className="mt-1 w-full bg-slate-50 rounded-xl border border-slate-200 px-2 py-1.5 text-xs outline-none"
+                >
+                  <option value={-1}>{t('import.skipColumn')}</option>
+                  {table[0].map((header, i) => <option key={i} value={i}>{String(header) || t('import.columnN', { n: i + 1 })}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {preview.errors.length > 0 && (
+            <div className="max-h-40 overflow-y-auto p-3 bg-red-50 rounded-xl border border-red-100 text-xs text-red-700 space-y-1">
+              {preview.errors.map((err, i) => (
+                <p key={i}><span className="font-mono font-bold">{t('import.rowN', { n: err.row })}</span>{t('common.colon')}{describeRowError(err)}</p>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-slate-500">
+              {t('import.importable')} <span className="font-bold font-mono">{preview.records.length}</span> {t('import.yearsUnit')}
+              {preview.records.length > 0 && t('import.yearRange', { from: preview.records[0].year, to: preview.records[preview.records.length - 1].year })}
+            </span>
+            <button
+              onClick={handleImport}
+              disabled={preview.records.length === 0}
+              className="px-4 py-2 rounded-xl font-bold text-white text-xs bg-blue-700 hover:bg-blue-800 active:scale-95 transition disabled:bg-slate-300 disabled:cursor-not-allowed"
+            >
+              {t('import.submit')}
+            </button>
+          </div>
+
+          {growthSuggestion && (
+            <div className="flex items-center justify-between bg-blue-50 rounded-xl p-3 text-xs text-blue-900">
+              <span>
+                {t('import.cagr', { source: t(`import.sources.${growthSuggestion.source}`) })}
+                <span className="font-mono font-bold">{formatNumber(growthSuggestion.value)}%</span>
+              </span>
+              <button onClick={() => onApplyGrowth(growthSuggestion.value)} className="flex items-center font-bold hover:text-blue-700">
+                {t('import.applyGrowth')}<ArrowRight size={12} className="ml-1" />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,161 @@
+import React from 'react';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { SCHEDULE_MODES } from '../lib/growthSchedule.js';
+import { scaleValue } from '../lib/i18n.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+const Row = ({ label, children }) => (
+  <tr className="border-b border-slate-100">
+    <td className="py-1.5 pr-4 text-slate-500">{label}</td>
+    <td className="py-1.5 text-right font-mono text-slate-800">{children}</td>
+  </tr>
+);
+
+const Heading = ({ children }) => (
+  <h2 className="text-sm font-bold text-[#1e3a8a] border-b-2 border-[#1e3a8a] pb-1 mb-3 mt-8">{children}</h2>
+);
+
+/**
+ * 投资备忘录
+ * 固定宽度 (A4 @ 96dpi) 的排版，平时渲染在视口之外供 PDF 导出截取，打印时替换页面主体。
+ * 图表使用固定尺寸且关闭动画，保证截取时已完整绘制。
+ */
+const InvestmentMemo = ({ containerRef, meta, params, growthSchedule, rateSource, valuation, bridge, bridgeResult, safety, marketCap, report }) => {
+  const { t, formatNumber, formatMoney, formatAmount, formatPrice, formatAxisAmount, formatDate, amountUnit, sharesUnit } = useI18n();
+  // 表格列已注明金额单位，单元格只显示换算后的数字
+  const formatCell = (value) => formatNumber(scaleValue(value, amountUnit.factor));
+  const heading = (n, key) => `${t(`memo.numbers.${n}`)}${t(`memo.sections.${key}`)}`;
+
+  const growthDesc = params.scheduleMode === SCHEDULE_MODES.CUSTOM
+    ? t('memo.growthCustom', { years: growthSchedule.length })
+    : `${t('memo.growthStages', { growth: formatNumber(params.growth), years: params.highYears })}${params.fadeYears > 0 ? t('memo.growthFade', { years: params.fadeYears }) : ''}`;
+
+  const chartData = valuation.years.map(({ t: year, fcf, pv }) => ({ year: t('common.yearN', { n: year }), fcf: Number(fcf.toFixed(2)), pv: Number(pv.toFixed(2)) }));
+
+  return (
+    <div ref={containerRef} className="absolute top-0 -left-[10000px] w-[794px] bg-white text-slate-800 p-12 font-sans print:static print:w-full print:p-0">
+      <header className="border-b-4 border-[#1e3a8a] pb-4">
+        <p className="text-[10px] tracking-[0.3em] uppercase text-slate-400">{t('memo.kicker')}</p>
+        <h1 className="text-3xl font-bold text-[#1e3a8a] mt-1">
+          {meta.company || t('memo.untitled')}
+          {meta.ticker && <span className="ml-3 text-lg font-mono text-slate-400">{meta.ticker}</span>}
+        </h1>
+        <p className="text-xs text-slate-400 mt-1">{formatDate(new Date())} · {t('memo.method')}</p>
+      </header>
+
+      <div className="grid grid-cols-3 gap-4 mt-6 text-center">
+        <div className="border border-slate-200 rounded-lg p-3">
+          <p className="text-[10px] text-slate-400">{t('memo.intrinsicValue')}</p>
+          <p className="text-xl font-bold font-mono text-[#1e3a8a]">{formatMoney(valuation.total)}</p>
+        </div>
+        <div className="border border-slate-200 rounded-lg p-3">
+          <p className="text-[10px] text-slate-400">{t('memo.perShare')}</p>
+          <p className="text-xl font-bold font-mono text-[#1e3a8a]">{bridgeResult.perShare !== null ? formatPrice(bridgeResult.perShare) : '—'}</p>
+        </div>
+        <div className="border border-amber-300 bg-amber-50 rounded-lg p-3">
+          <p className="text-[10px] text-amber-700">{t('memo.safetyPrice')}</p>
+          <p className="text-xl font-bold font-mono text-amber-700">
+            {formatMoney(safety.value)}
+            {safety.perShare !== null && <span className="block text-xs">{t('memo.perSharePrice', { price: formatPrice(safety.perShare) })}</span>}
+          </p>
+        </div>
+      </div>
+
+      <Heading>{heading(1, 'inputs')}</Heading>
+      <table className="w-full text-xs">
+        <tbody>
+          <Row label={t('memo.rows.fcf')}>{formatMoney(params.fcf)}</Row>
+          <Row label={t('memo.rows.growth')}>{growthDesc}</Row>
+          <Row label={t('memo.rows.discount')}>
+            {formatNumber(params.discount)}%
+            {rateSource && ` (${rateSource})`}
+          </Row>
+          <Row label={t('memo.rows.perpetual')}>{formatNumber(params.perpetual)}%</Row>
+          <Row label={t('memo.rows.bridge')}>{formatMoney(bridge.netCash)} / {formatAmount(bridge.nonOperating)} / {formatAmount(bridge.minority)}</Row>
+          <Row label={t('memo.rows.shares')}>{bridge.dilutedShares > 0 ? `${formatNumber(scaleValue(bridge.dilutedShares, sharesUnit.factor), 4)} ${sharesUnit.label}` : '—'}</Row>
+          <Row label={t('memo.rows.marketCap')}>{marketCap !== null ? formatMoney(marketCap) : '—'}</Row>
+        </tbody>
+      </table>
+
+      <Heading>{heading(2, 'value')}</Heading>
+      <table className="w-full text-xs">
+        <tbody>
+          <Row label={t('memo.rows.pv1', { years: valuation.years.length })}>{formatMoney(valuation.stage1)}</Row>
+          <Row label={t('memo.rows.pv2')}>{formatMoney(valuation.tv)}</Row>
+          <Row label={t('memo.rows.enterpriseValue')}>{formatMoney(valuation.total)}</Row>
+          <Row label={t('memo.rows.equityValue')}>{formatMoney(bridgeResult.equityValue)}</Row>
+          <Row label={t('memo.rows.multiple')}>{valuation.multiple !== null ? `${formatNumber(valuation.multiple, 1)}x` : '—'}</Row>
+          <Row label={t('memo.rows.tvRatio')}>{valuation.tvRatio !== null ? `${formatNumber(valuation.tvRatio, 1)}%` : '—'}</Row>
+        </tbody>
+      </table>
+
+      <Heading>{heading(3, 'projection')}</Heading>
+      <AreaChart width={698} height={200} data={chartData}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+        <XAxis dataKey="year" tick={{fontSize: 9, fill: '#64748b'}} />
+        <YAxis tickFormatter={formatAxisAmount} tick={{fontSize: 9, fill: '#64748b'}} />
+        <Area type="monotone" dataKey="fcf" stroke="#1e3a8a" strokeWidth={2} fill="#1e3a8a" fillOpacity={0.08} isAnimationActive={false} />
+        <Area type="monotone" dataKey="pv" stroke="#f59e0b" strokeWidth={2} fill="none" isAnimationActive={false} />
+      </AreaChart>
+      <p className="text-[10px] text-slate-400 mb-2">{t('memo.chartLegend')}</p>
+      <table className="w-full text-[11px] font-mono">
+        <thead>
+          <tr className="text-slate-500 border-b border-slate-300">
+            <th className="py-1 text-left font-sans">{t('memo.columns.year')}</th>
+            <th className="py-1 text-right font-sans">{t('memo.columns.growth')}</th>
+            <th className="py-1 text-right font-sans">{t('memo.columns.fcf', { unit: amountUnit.label })}</th>
+            <th className="py-1 text-right font-sans">{t('memo.columns.discountFactor')}</th>
+            <th className="py-1 text-right font-sans">{t('memo.columns.pv', { unit: amountUnit.label })}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {valuation.years.map(year => (
+            <tr key={year.t} className="border-b border-slate-100">
+              <td className="py-1">{t('common.yearN', { n: year.t })}</td>
+              <td className="py-1 text-right">{formatNumber(year.growth)}%</td>
+              <td className="py-1 text-right">{formatCell(year.fcf)}</td>
+              <td className="py-1 text-right">{year.discountFactor.toFixed(4)}</td>
+              <td className="py-1 text-right">{formatCell(year.pv)}</td>
+            </tr>
+          ))}
+          <tr className="border-b border-slate-300 font-bold">
+            <td className="py-1">{t('memo.terminalValue')}</td>
+            <td className="py-1 text-right">{formatNumber(params.perpetual)}%</td>
+            <td className="py-1 text-right">{formatCell(valuation.terminalValue)}</td>
+            <td className="py-1 text-right">{valuation.years[valuation.years.length - 1].discountFactor.toFixed(4)}</td>
+            <td className="py-1 text-right">{formatCell(valuation.tv)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <Heading>{heading(4, 'recommendation')}</Heading>
+      <p className="text-xs leading-relaxed text-slate-700">
+        {t('memo.recommendation')} <span className="font-bold font-mono">{formatMoney(safety.value)}</span>
+        {safety.perShare !== null && <>{t('memo.recommendationPerShare', { price: formatPrice(safety.perShare) })}</>}{t('memo.period')}
+        {marketCap !== null && (
+          <> {t('memo.marketCap', { value: formatMoney(marketCap) })}{marketCap <= safety.value ? t('memo.withinMargin') : t('memo.needsDrop', { percent: formatNumber((1 - safety.value / marketCap) * 100, 1) })}</>
+        )}
+      </p>
+
+      {meta.notes && (
+        <>
+          <Heading>{heading(5, 'notes')}</Heading>
+          <p className="text-xs leading-relaxed text-slate-700 whitespace-pre-wrap">{meta.notes}</p>
+        </>
+      )}
+
+      {report && (
+        <>
+          <Heading>{heading(meta.notes ? 6 : 5, 'diagnosis')}</Heading>
+          <p className="text-xs leading-relaxed text-slate-700 whitespace-pre-wrap font-serif">{report}</p>
+        </>
+      )}
+
+      <footer className="mt-10 pt-3 border-t border-slate-200 text-[9px] text-slate-400">
+        {t('memo.disclaimer')}
+      </footer>
+    </div>
+  );
+};
+
+export default InvestmentMemo;
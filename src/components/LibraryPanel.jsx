@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from 'react';
+import { Library, Save, CopyPlus, Copy, Trash2, History, FolderOpen, Search } from 'lucide-react';
+import { searchEntries, summarizeModelState } from '../lib/library.js';
+import { scaleValue } from '../lib/i18n.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+// [字段, 显示类型, 取值]，列标题见词典 library.columns
+const COMPARE_COLUMNS = [
+  ['currency', 'text', (s) => s?.currency],
+  ['total', 'amount', (s) => s?.total],
+  ['equityValue', 'amount', (s) => s?.equityValue],
+  ['perShare', 'number', (s) => s?.perShare],
+  ['safetyPrice', 'amount', (s) => s?.safetyPrice],
+  ['multiple', 'multiple', (s) => s?.multiple],
+  ['tvRatio', 'percent', (s) => s?.tvRatio],
+];
+
+const ASSUMPTION_COLUMNS = [
+  ['fcf', 'amountWithUnit', (p) => p.fcf],
+  ['growth', 'percent', (p) => p.growth],
+  ['discount', 'percent', (p) => p.discount],
+  ['perpetual', 'percent', (p) => p.perpetual],
+];
+
+/**
+ * 估值库
+ * 保存 / 载入 / 复制 / 删除估值，查看单个公司的版本历史，并横向对比多个估值。
+ */
+const LibraryPanel = ({ entries, currentEntryId, storageError, onSave, onLoad, onDuplicate, onRemove }) => {
+  const { t, formatNumber, formatAmount, formatDateTime, amountUnit } = useI18n();
+  const [query, setQuery] = useState('');
+
+  // 表头已注明金额单位，单元格中只显示换算后的数字
+  const formatCell = (kind, value) => {
+    if (value === null || value === undefined) return '—';
+    switch (kind) {
+      case 'amount':
+        return formatNumber(scaleValue(value, amountUnit.factor));
+      case 'amountWithUnit':
+        return formatAmount(value);
+      case 'multiple':
+        return `${formatNumber(value, 1)}x`;
+      case 'percent':
+        return `${formatNumber(value, 1)}%`;
+      case 'text':
+        return value;
+      default:
+        return formatNumber(value);
+    }
+  };
+  const columnLabel = (key) => t(`library.columns.${key}`, { unit: amountUnit.label });
+  const companyName = (entry) => entry.company || t('library.untitled');
+  const [expandedId, setExpandedId] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+
+  const filtered = useMemo(() => searchEntries(entries, query), [entries, query]);
+
+  // 每个条目最新版本的关键指标，列表与对比视图共用
+  const summaries = useMemo(
+    () => Object.fromEntries(entries.map(entry => [entry.id, summarizeModelState(entry.versions[0].state)])),
+    [entries]
+  );
+
+  const compared = entries.filter(entry => compareIds.includes(entry.id));
+
+  const toggleCompare = (id) => setCompareIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+
+  const handleRemove = (entry) => {
+    if (!window.confirm(t('library.confirmRemove', { company: companyName(entry), count: entry.versions.length }))) return;
+    setCompareIds(ids => ids.filter(x => x !== entry.id));
+    onRemove(entry.id);
+  };
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <Library className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('library.title')}</span>
+          <span className="ml-2 text-xs font-normal text-slate-400">{t('library.companyCount', { count: entries.length })}</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex items-center bg-slate-50 rounded-xl border border-slate-200 px-3 py-1.5">
+            <Search size={14} className="text-slate-400 mr-2" />
+            <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder={t('library.search')} className="bg-transparent outline-none text-xs w-40" />
+          </div>
+          {currentEntryId && (
+            <button onClick={() => onSave(false)} className="flex items-center px-3 py-2 rounded-xl text-xs font-bold text-white bg-blue-700 hover:bg-blue-800 active:scale-95 transition">
+              <Save size={14} className="mr-1" />{t('library.saveVersion')}
+            </button>
+          )}
+          <button onClick={() => onSave(true)} className={`flex items-center px-3 py-2 rounded-xl text-xs font-bold transition active:scale-95 ${currentEntryId ? 'bg-slate-100 text-slate-600 hover:text-blue-700' : 'text-white bg-blue-700 hover:bg-blue-800'}`}>
+            <CopyPlus size={14} className="mr-1" />{currentEntryId ? t('library.saveAsNew') : t('library.save')}
+          </button>
+        </div>
+      </div>
+
+      {storageError && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-xl border border-red-100 text-xs">⚠️ {storageError}</div>}
+
+      {filtered.length === 0 ? (
+        <p className="text-xs text-slate-400 italic py-4 text-center">{entries.length === 0 ? t('library.empty') : t('library.noMatch')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="text-slate-500">
+              <tr>
+                <th className="py-2 w-8" />
+                <th className="py-2 text-left font-bold">{t('library.company')}</th>
+                <th className="py-2 text-left font-bold">{t('library.updatedAt')}</th>
+                <th className="py-2 text-right font-bold">{columnLabel('total')}</th>
+                <th className="py-2 text-right font-bold">{t('library.versions')}</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(entry => (
+                <React.Fragment key={entry.id}>
+                  <tr className={`border-t border-slate-100 ${entry.id === currentEntryId ? 'bg-blue-50/50' : ''}`}>
+                    <td className="py-2">
+                      <input type="checkbox" checked={compareIds.includes(entry.id)} onChange={() => toggleCompare(entry.id)} className="accent-blue-700" title={t('library.compare')} />
+                    </td>
+                    <td className="py-2">
+                      <span className="font-bold text-slate-700">{companyName(entry)}</span>
+                      {entry.ticker && <span className="ml-2 font-mono text-slate-400">{entry.ticker}</span>}
+                    </td>
+                    <td className="py-2 text-slate-500 font-mono">{formatDateTime(entry.updatedAt)}</td>
+                    <td className="py-2 text-right font-mono text-slate-700">{formatCell('amount', summaries[entry.id]?.total)}</td>
+                    <td className="py-2 text-right font-mono text-slate-500">{entry.versions.length}</td>
+                    <td className="py-2">
+                      <div className="flex justify-end gap-2 text-slate-400">
+                        <button onClick={() => onLoad(entry.id, entry.versions[0].id)} title={t('library.load')} className="hover:text-blue-700"><FolderOpen size={14} /></button>
+                        <button onClick={() => setExpandedId(id => (id === entry.id ? null : entry.id))} title={t('library.history')} className={`hover:text-blue-700 ${expandedId === entry.id ? 'text-blue-700' : ''}`}><History size={14} /></button>
+                        <button onClick={() => onDuplicate(entry.id)} title={t('library.duplicate')} className="hover:text-blue-700"><Copy size={14} /></button>
+                        <button onClick={() => handleRemove(entry)} title={t('library.remove')} className="hover:text-red-500"><Trash2 size={14} /></button>
+                      </div>
+                    </td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr>
+                      <td colSpan={6} className="pb-3">
+                        <div className="bg-slate-50 rounded-xl p-3">
+                          <table className="w-full text-[11px] font-mono">
+                            <thead className="text-slate-400">
+                              <tr>
+                                <th className="text-left font-bold py-1">{t('library.savedAt')}</th>
+                                {ASSUMPTION_COLUMNS.map(([key]) => <th key={key} className="text-right font-bold py-1">{columnLabel(key)}</th>)}
+                                <th className="text-right font-bold py-1">{columnLabel('total')}</th>
+                                <th />
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {entry.versions.map(version => (
+                                <tr key={version.id} className="border-t border-slate-200/60 text-slate-600">
+                                  <td className="py-1">{formatDateTime(version.savedAt)}</td>
+                                  {ASSUMPTION_COLUMNS.map(([key, kind, read]) => <td key={key} className="text-right py-1">{formatCell(kind, read(version.state.params))}</td>)}
+                                  <td className="text-right py-1">{formatCell('amount', summarizeModelState(version.state)?.total)}</td>
+                                  <td className="text-right py-1">
+                                    <button onClick={() => onLoad(entry.id, version.id)} className="font-sans font-bold text-slate-400 hover:text-blue-700">{t('library.load')}</button>
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {compared.length >= 2 && (
+        <div className="mt-6">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">{t('library.compareTitle')}</p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr className="text-slate-500">
+                  <th className="py-2 text-left font-sans font-bold">{t('library.metric')}</th>
+                  {compared.map(entry => <th key={entry.id} className="py-2 text-right font-sans font-bold">{companyName(entry)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {[...COMPARE_COLUMNS.map(([key, kind, read]) => [key, (entry) => formatCell(kind, read(summaries[entry.id]))]),
+                  ...ASSUMPTION_COLUMNS.map(([key, kind, read]) => [key, (entry) => formatCell(kind, read(entry.versions[0].state.params))])
+                ].map(([key, read]) => (
+                  <tr key={key} className="border-t border-slate-100">
+                    <td className="py-1.5 font-sans text-slate-500">{columnLabel(key)}</td>
+                    {compared.map(entry => <td key={entry.id} className="py-1.5 text-right text-slate-700">{read(entry)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default LibraryPanel;
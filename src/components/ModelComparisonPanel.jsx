@@ -0,0 +1,123 @@
+import React, { useMemo } from 'react';
+import { Scale } from 'lucide-react';
+import NumberField from './NumberField.jsx';
+import { ALT_MODELS, ALT_MODEL_LABELS, computeAltModels, splitGrowthValue } from '../lib/altModels.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+// 每个模型用到的输入项，仅展示已选模型需要的字段
+const MODEL_INPUTS = {
+  [ALT_MODELS.GRAHAM_FORMULA]: ['eps', 'bondYield'],
+  [ALT_MODELS.GRAHAM_NUMBER]: ['eps', 'bvps'],
+  [ALT_MODELS.EPV]: ['normalizedEbit', 'taxRate'],
+  [ALT_MODELS.DDM]: ['dividend', 'dividendGrowth'],
+  [ALT_MODELS.MULTIPLES]: ['eps', 'peerPe', 'normalizedEbit', 'peerEvEbit'],
+};
+
+// 输入项的单位类型：price 为每股金额，amount 为以亿计的金额，标签见词典 models.inputs
+const INPUT_UNITS = {
+  eps: 'price',
+  bvps: 'price',
+  bondYield: '%',
+  normalizedEbit: 'amount',
+  taxRate: '%',
+  dividend: 'price',
+  dividendGrowth: '%',
+  peerPe: 'x',
+  peerEvEbit: 'x',
+};
+
+/**
+ * 多模型对照
+ * 与 DCF 并列展示其他估值模型的结果，并用 EPV 拆分 DCF 价值中来自增长的部分。
+ */
+const ModelComparisonPanel = ({ inputs, params, bridge, dcfEquityValue, dcfPerShare, onChange }) => {
+  const { t, tError, formatNumber, formatMoney, formatPrice, amountUnit, currencyUnit } = useI18n();
+  const results = useMemo(() => computeAltModels(inputs, params, bridge), [inputs, params, bridge]);
+  const modelLabel = (model) => t(`models.labels.${model}`, {}, ALT_MODEL_LABELS[model]);
+  const inputUnit = (key) => {
+    const unit = INPUT_UNITS[key];
+    if (unit === 'amount') return amountUnit;
+    return { label: unit === 'price' ? currencyUnit() : unit, factor: 1 };
+  };
+  // 缺少输入时的提示因模型而异
+  const describeError = (model, error) => (error.code === 'MISSING_INPUT' ? t(`models.missing.${model}`, {}, error.message) : tError('models', error));
+  const growthSplit = splitGrowthValue(dcfEquityValue, results[ALT_MODELS.EPV]);
+
+  const visibleInputs = [...new Set(inputs.selected.flatMap(model => MODEL_INPUTS[model]))];
+
+  // 以股权价值为统一口径比较；缺少股本时每股模型无法换算，只展示每股值
+  const rows = [
+    { key: 'dcf', label: t('models.dcf'), result: { ok: true, value: dcfEquityValue, perShare: dcfPerShare } },
+    ...inputs.selected.map(model => ({ key: model, label: modelLabel(model), result: results[model] })),
+  ];
+  const maxValue = Math.max(0, ...rows.map(row => (row.result.ok && row.result.value !== null ? row.result.value : 0)));
+
+  const toggleModel = (model) => onChange({
+    selected: inputs.selected.includes(model)
+      ? inputs.selected.filter(m => m !== model)
+      : Object.values(ALT_MODELS).filter(m => m === model || inputs.selected.includes(m))
+  });
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center mb-6 text-slate-800 font-bold">
+        <Scale className="w-5 h-5 mr-2 text-blue-500" />
+        <span>{t('models.title')}</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {Object.values(ALT_MODELS).map(model => (
+          <button
+            key={model}
+            onClick={() => toggleModel(model)}
+            className={`px-3 py-1.5 rounded-lg text-xs font-bold transition ${inputs.selected.includes(model) ? 'bg-blue-700 text-white' : 'bg-slate-100 text-slate-500 hover:text-blue-700'}`}
+          >
+            {modelLabel(model)}
+          </button>
+        ))}
+      </div>
+
+      {visibleInputs.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+          {visibleInputs.map(key => (
+            <NumberField key={key} label={t(`models.inputs.${key}`)} value={inputs[key]} unit={inputUnit(key).label} factor={inputUnit(key).factor} onChange={(v) => onChange({ [key]: v })} />
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {rows.map(({ key, label, result }) => (
+          <div key={key} className="grid grid-cols-12 gap-3 items-center text-xs">
+            <span className={`col-span-3 font-bold ${key === 'dcf' ? 'text-[#1e3a8a]' : 'text-slate-600'}`}>{label}</span>
+            <div className="col-span-5 h-3 bg-slate-100 rounded-full overflow-hidden">
+              {result.ok && result.value !== null && maxValue > 0 && (
+                <div
+                  className={`h-full rounded-full ${key === 'dcf' ? 'bg-[#1e3a8a]' : 'bg-blue-300'}`}
+                  style={{ width: `${Math.max(0, (result.value / maxValue) * 100)}%` }}
+                />
+              )}
+            </div>
+            {result.ok ? (
+              <span className="col-span-4 text-right font-mono text-slate-700">
+                {result.value !== null ? formatMoney(result.value) : '—'}
+                {result.perShare !== null && <span className="text-slate-400"> · {t('models.perShare', { price: formatPrice(result.perShare) })}</span>}
+              </span>
+            ) : (
+              <span className="col-span-4 text-right text-slate-400">{describeError(key, result.error)}</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {growthSplit && (
+        <div className="mt-6 bg-slate-50 rounded-2xl p-4 text-xs text-slate-600 leading-relaxed">
+          {t('models.growthSplit.epv')} <span className="font-mono font-bold">{formatMoney(results[ALT_MODELS.EPV].value)}</span>{t('models.growthSplit.rest')}
+          {' '}<span className="font-mono font-bold">{formatMoney(growthSplit.growthValue)}</span>
+          {' '}(<span className="font-mono font-bold text-[#1e3a8a]">{formatNumber(growthSplit.growthShare, 1)}%</span>) {t('models.growthSplit.growth')}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ModelComparisonPanel;
@@ -0,0 +1,209 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Dices, RotateCcw } from 'lucide-react';
+import NumberField from './NumberField.jsx';
+import { DISTRIBUTION_FIELDS, DISTRIBUTION_TYPES } from '../lib/random.js';
+import { SIMULATED_INPUTS, defaultDistributions } from '../lib/monteCarlo.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+const DISTRIBUTION_ORDER = [DISTRIBUTION_TYPES.NORMAL, DISTRIBUTION_TYPES.TRIANGULAR, DISTRIBUTION_TYPES.UNIFORM];
+
+const ITERATION_OPTIONS = [1000, 5000, 10000, 20000];
+
+const WORKER_FAILED = { ok: false, error: { code: 'WORKER_FAILED', message: '模拟运行失败，请重试' } };
+
+// 切换分布类型时，尽量沿用旧分布的中心与范围
+const convertDistribution = (dist, type) => {
+  const center = dist.mean ?? dist.mode ?? (dist.min + dist.max) / 2;
+  const spread = dist.sd !== undefined ? dist.sd * 2 : (dist.max - dist.min) / 2;
+  switch (type) {
+    case DISTRIBUTION_TYPES.NORMAL:
+      return { type, mean: center, sd: spread / 2 };
+    case DISTRIBUTION_TYPES.TRIANGULAR:
+      return { type, min: center - spread, mode: center, max: center + spread };
+    default:
+      return { type, min: center - spread, max: center + spread };
+  }
+};
+
+/**
+ * 蒙特卡洛估值面板
+ * 模拟在 Web Worker 中运行；每次运行都带自增 id，只接收最新一次的结果。
+ * Worker 内部抛错或消息无法解析时提示失败并销毁该 Worker，下次运行时重新创建。
+ * marketValue 为市值换算后的企业价值口径，与模拟出的 DCF 结果直接可比。
+ * settings ({ distributions, iterations, seed }) 由上层持有，随估值一起保存与分享。
+ */
+const MonteCarloPanel = ({ params, marketValue, settings, onChange }) => {
+  const { t, formatNumber, formatMoney, formatAxisAmount, amountUnit } = useI18n();
+  const { distributions, iterations, seed } = settings;
+  // 基期 FCF 以当前语言的金额单位输入，其余均为百分比
+  const inputUnit = (key) => (key === 'fcf' ? amountUnit : { label: '%', factor: 1 });
+  const describeError = (error) => {
+    if (error.code !== 'INVALID_DISTRIBUTION') return t(`monteCarlo.errors.${error.code}`, {}, error.message);
+    const message = t(`monteCarlo.distributionErrors.${distributions[error.field].type}`, {}, error.message);
+    return `${t(`monteCarlo.inputs.${error.field}`)}${t('common.colon')}${message}`;
+  };
+  const [result, setResult] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  const startWorker = () => {
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (data.id !== runIdRef.current) return;
+      setResult(data.result);
+      setIsRunning(false);
+    };
+    worker.onerror = worker.onmessageerror = (event) => {
+      event.preventDefault();
+      if (workerRef.current !== worker) return;
+      stopWorker();
+      setResult(WORKER_FAILED);
+      setIsRunning(false);
+    };
+    workerRef.current = worker;
+    return worker;
+  };
+
+  useEffect(() => stopWorker, []);
+
+  const runSimulation = () => {
+    runIdRef.current += 1;
+    setIsRunning(true);
+    (workerRef.current ?? startWorker()).postMessage({
+      id: runIdRef.current,
+      input: { params, distributions, iterations, seed, marketCap: marketValue },
+    });
+  };
+
+  const setDistribution = (key, dist) => onChange({ distributions: { ...distributions, [key]: dist } });
+  const updateDistribution = (key, patch) => setDistribution(key, { ...distributions[key], ...patch });
+
+  const histogramData = result?.ok
+    ? result.histogram.map(bin => ({ label: (bin.x0 + bin.x1) / 2, count: bin.count }))
+    : [];
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <Dices className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('monteCarlo.title')}</span>
+        </div>
+        <button
+          onClick={() => onChange({ distributions: defaultDistributions(params) })}
+          className="flex items-center text-xs font-bold text-slate-400 hover:text-blue-700 transition"
+        >
+          <RotateCcw size={12} className="mr-1" />{t('monteCarlo.reset')}
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {SIMULATED_INPUTS.map((key) => {
+          const dist = distributions[key];
+          const unit = inputUnit(key);
+          return (
+            <div key={key} className="grid grid-cols-12 gap-3 items-end">
+              <div className="col-span-12 md:col-span-3">
+                <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t(`monteCarlo.inputs.${key}`)}</span>
+                <select
+                  value={dist.type}
+                  onChange={(e) => setDistribution(key, convertDistribution(dist, e.target.value))}
+                  className="mt-1 w-full bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none"
+                >
+                  {DISTRIBUTION_ORDER.map((type) => (
+                    <option key={type} value={type}>{t(`monteCarlo.distributions.${type}`)}</option>
+                  ))}
+                </select>
+              </div>
+              {/* 各分布需要填写的参数，标签见词典 monteCarlo.fields */}
+              {DISTRIBUTION_FIELDS[dist.type].map((field) => (
+                <div key={field} className="col-span-4 md:col-span-3">
+                  <NumberField label={t(`monteCarlo.fields.${field}`)} value={Number(dist[field].toFixed(4))} unit={unit.label} factor={unit.factor} onChange={(v) => updateDistribution(key, { [field]: v })} />
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-6 flex flex-wrap items-end gap-3">
+        <label className="block">
+          <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t('monteCarlo.iterations')}</span>
+          <select
+            value={iterations}
+            onChange={(e) => onChange({ iterations: parseInt(e.target.value, 10) })}
+            className="mt-1 block bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none"
+          >
+            {ITERATION_OPTIONS.map(n => <option key={n} value={n}>{formatNumber(n)}</option>)}
+          </select>
+        </label>
+        <div className="w-28">
+          <NumberField label={t('monteCarlo.seed')} value={seed} step={1} onChange={(v) => onChange({ seed: Math.trunc(v) })} />
+        </div>
+        <button
+          onClick={runSimulation}
+          disabled={isRunning}
+          className={`ml-auto px-6 py-2.5 rounded-xl font-bold text-white text-sm transition ${isRunning ? 'bg-slate-400 cursor-not-allowed' : 'bg-blue-700 hover:bg-blue-800 active:scale-95'}`}
+        >
+          {isRunning ? t('monteCarlo.running') : t('monteCarlo.run')}
+        </button>
+      </div>
+
+      {result && !result.ok && (
+        <div className="mt-6 p-4 bg-red-50 text-red-700 rounded-xl border border-red-100 text-sm">
+          ⚠️ {describeError(result.error)}
+        </div>
+      )}
+
+      {result?.ok && (
+        <div className="mt-6 space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+            {[['P10', result.p10], ['P50', result.p50], ['P90', result.p90]].map(([name, value]) => (
+              <div key={name} className="bg-slate-50 rounded-2xl p-3">
+                <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{name}</p>
+                <p className="font-mono font-bold text-[#1e3a8a]">{formatMoney(value)}</p>
+              </div>
+            ))}
+            <div className="bg-slate-50 rounded-2xl p-3">
+              <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t('monteCarlo.probAboveMarket')}</p>
+              <p className="font-mono font-bold text-[#1e3a8a]">
+                {result.probAboveMarket !== null ? `${formatNumber(result.probAboveMarket * 100, 1)}%` : t('monteCarlo.noMarket')}
+              </p>
+            </div>
+          </div>
+          <div className="h-56 w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={histogramData} barCategoryGap={1}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                <XAxis dataKey="label" tickFormatter={formatAxisAmount} axisLine={false} tickLine={false} tick={{fontSize: 10, fill: '#94a3b8'}} />
+                <YAxis axisLine={false} tickLine={false} tick={{fontSize: 10, fill: '#94a3b8'}} />
+                <Tooltip
+                  contentStyle={{borderRadius: '16px', border: 'none', boxShadow: '0 10px 25px rgba(0,0,0,0.05)'}}
+                  formatter={(v) => [t('monteCarlo.count', { count: formatNumber(v) }), t('monteCarlo.samples')]}
+                  labelFormatter={(label) => t('monteCarlo.approx', { value: formatMoney(label) })}
+                />
+                <Bar dataKey="count" fill="#1e3a8a" radius={[4, 4, 0, 0]} />
+                {marketValue !== null && histogramData.length > 0 && (
+                  <ReferenceLine x={histogramData.reduce((best, bin) => (Math.abs(bin.label - marketValue) < Math.abs(best.label - marketValue) ? bin : best)).label} stroke="#f59e0b" strokeDasharray="4 4" label={{ value: t('monteCarlo.market'), fontSize: 10, fill: '#f59e0b', position: 'top' }} />
+                )}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-[10px] text-slate-400">
+            {t('monteCarlo.summary', { valid: formatNumber(result.valid), iterations: formatNumber(result.iterations), mean: formatMoney(result.mean) })}
+            {result.invalid > 0 && t('monteCarlo.invalidSamples', { count: formatNumber(result.invalid) })}
+          </p>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default MonteCarloPanel;
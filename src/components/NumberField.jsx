@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import { scaleValue } from '../lib/i18n.js';
+
+/**
+ * 带单位的紧凑数字输入框，空值按 0 处理
+ * factor：显示单位与存储单位的换算系数 (如英文界面下以 B 输入、以亿存储时为 0.1)
+ * 编辑时保留输入的原始文字 (如 "0"、"0." 这类中间状态)，能解析为数字时即时生效，失焦后显示已生效的数值。
+ */
+const NumberField = ({ label, value, unit, step = 'any', factor = 1, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const handleChange = (text) => {
+    setDraft(text);
+    const parsed = parseFloat(text);
+    if (text.trim() === '') onChange(0);
+    else if (Number.isFinite(parsed)) onChange(scaleValue(parsed, 1 / factor));
+  };
+
+  return (
+    <label className="block">
+      <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{label}</span>
+      <div className="mt-1 flex items-center bg-slate-50 rounded-xl border border-slate-200 px-3 py-1.5 focus-within:ring-2 focus-within:ring-blue-100">
+        <input
+          type="number"
+          step={step}
+          value={draft ?? (value === 0 ? '' : scaleValue(value, factor))}
+          placeholder="0"
+          onChange={(e) => handleChange(e.target.value)}
+          onBlur={() => setDraft(null)}
+          className="bg-transparent outline-none w-full font-mono text-sm text-slate-800"
+        />
+        {unit && <span className="text-[10px] ml-1 text-slate-400 shrink-0">{unit}</span>}
+      </div>
+    </label>
+  );
+};
+
+export default NumberField;
@@ -0,0 +1,139 @@
+import React from 'react';
+import { Calculator, Plus, Trash2, ArrowRight } from 'lucide-react';
+import { EARNINGS_BASES, NORMALIZATION_LABELS, createFinancialRow } from '../lib/ownerEarnings.js';
+import { scaleValue } from '../lib/i18n.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+// [科目, 是否可留空]，列标题见词典 ownerEarnings.columns
+const INPUT_COLUMNS = [
+  ['netIncome'],
+  ['da'],
+  ['maintenanceCapex'],
+  ['capex'],
+  ['wcChange'],
+  ['operatingCashFlow', true],
+];
+
+/**
+ * 所有者盈余计算器
+ * 录入多年报表科目，逐年计算所有者盈余与 FCF，按所选口径归一化后写入基期 FCF。
+ */
+const OwnerEarningsPanel = ({ financials, computedRows, normalizedValue, onChange, onApply }) => {
+  const { t, formatNumber, formatMoney, amountUnit, amountUnitNote } = useI18n();
+  // 报表科目以当前语言的金额单位录入与显示，内部仍以亿保存
+  const toDisplay = (value) => scaleValue(value, amountUnit.factor);
+  const formatValue = (value) => formatNumber(toDisplay(value));
+
+  const updateRow = (index, patch) =>
+    onChange({ rows: financials.rows.map((row, i) => (i === index ? { ...row, ...patch } : row)) });
+
+  const addRow = () => {
+    const lastYear = financials.rows.reduce((max, row) => Math.max(max, row.year), new Date().getFullYear() - 2);
+    onChange({ rows: [...financials.rows, createFinancialRow(lastYear + 1)] });
+  };
+
+  const removeRow = (index) => onChange({ rows: financials.rows.filter((_, i) => i !== index) });
+
+  // computedRows 按年份排序，回查时以年份对应
+  const computedByYear = Object.fromEntries(computedRows.map(row => [row.year, row]));
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <Calculator className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('ownerEarnings.title')}</span>
+        </div>
+        <div className="text-[10px] text-slate-400 font-mono tracking-widest uppercase">{amountUnitNote}</div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead className="text-slate-500">
+            <tr>
+              <th className="py-2 pr-2 text-left font-bold">{t('ownerEarnings.year')}</th>
+              {INPUT_COLUMNS.map(([key, optional]) => <th key={key} className="py-2 px-1 text-right font-bold whitespace-nowrap" title={optional ? t('ownerEarnings.optionalHint') : undefined}>{t(`ownerEarnings.columns.${key}`)}{optional && ' *'}</th>)}
+              <th className="py-2 px-1 text-right font-bold text-blue-700 whitespace-nowrap">{t('ownerEarnings.ownerEarnings')}</th>
+              <th className="py-2 px-1 text-right font-bold text-blue-700">FCF</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {financials.rows.map((row, i) => {
+              const computed = computedByYear[row.year];
+              return (
+                <tr key={i} className="border-t border-slate-100">
+                  <td className="py-1.5 pr-2">
+                    <input
+                      type="number"
+                      value={row.year}
+                      onChange={(e) => updateRow(i, { year: parseInt(e.target.value, 10) || row.year })}
+                      className="w-16 font-mono bg-slate-50 rounded px-2 py-0.5 outline-none focus:ring-2 focus:ring-blue-100"
+                    />
+                  </td>
+                  {INPUT_COLUMNS.map(([key, optional]) => (
+                    <td key={key} className="py-1.5 px-1 text-right">
+                      <input
+                        type="number"
+                        step="any"
+                        value={row[key] === null || row[key] === undefined ? '' : toDisplay(row[key])}
+                        onChange={(e) => {
+                          const parsed = parseFloat(e.target.value);
+                          updateRow(i, { [key]: isNaN(parsed) ? (optional ? null : 0) : scaleValue(parsed, 1 / amountUnit.factor) });
+                        }}
+                        className="w-20 text-right font-mono bg-slate-50 rounded px-2 py-0.5 outline-none focus:ring-2 focus:ring-blue-100"
+                      />
+                    </td>
+                  ))}
+                  <td className="py-1.5 px-1 text-right font-mono font-bold text-slate-700">{computed ? formatValue(computed.ownerEarnings) : '—'}</td>
+                  <td className="py-1.5 px-1 text-right font-mono font-bold text-slate-700">{computed ? formatValue(computed.fcf) : '—'}</td>
+                  <td className="py-1.5 pl-1 text-right">
+                    <button onClick={() => removeRow(i)} className="text-slate-300 hover:text-red-500 transition">
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <button onClick={addRow} className="mt-3 flex items-center text-xs font-bold text-slate-400 hover:text-blue-700 transition">
+        <Plus size={14} className="mr-1" />{t('ownerEarnings.addYear')}
+      </button>
+
+      <div className="mt-6 flex flex-wrap items-end gap-3">
+        <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+          {[[EARNINGS_BASES.OWNER_EARNINGS, t('ownerEarnings.ownerEarnings')], [EARNINGS_BASES.FCF, 'FCF']].map(([basis, label]) => (
+            <button
+              key={basis}
+              onClick={() => onChange({ basis })}
+              className={`px-3 py-1.5 rounded-lg transition ${financials.basis === basis ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={financials.method}
+          onChange={(e) => onChange({ method: e.target.value })}
+          className="bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-xs font-bold text-slate-600 outline-none"
+        >
+          {Object.entries(NORMALIZATION_LABELS).map(([method, label]) => <option key={method} value={method}>{t(`ownerEarnings.methods.${method}`, {}, label)}</option>)}
+        </select>
+        <button
+          onClick={onApply}
+          disabled={normalizedValue === null || normalizedValue <= 0}
+          className="ml-auto flex items-center px-4 py-2 rounded-xl font-bold text-white text-xs bg-blue-700 hover:bg-blue-800 active:scale-95 transition disabled:bg-slate-300 disabled:cursor-not-allowed"
+        >
+          {normalizedValue !== null ? formatMoney(normalizedValue) : t('common.noData')}
+          <ArrowRight size={14} className="mx-1.5" />
+          {t('ownerEarnings.apply')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default OwnerEarningsPanel;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useI18n } from '../lib/i18nContext.js';
+
+const ParamSlider = ({ label, value, unit, min, max, step = 1, disabled = false, hint, onChange }) => {
+  const { formatNumber } = useI18n();
+  return (
+    <div className="group">
+      <div className="flex justify-between text-xs font-bold text-slate-500 mb-3 group-hover:text-blue-700 transition">
+        <span className="tracking-wider">{label}</span>
+        <span className="font-mono bg-blue-50 px-2 py-0.5 rounded text-blue-700">{formatNumber(value)}{unit}</span>
+      </div>
+      <input type="range" min={min} max={max} step={step} value={value} disabled={disabled} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full h-1.5 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-700 disabled:cursor-not-allowed disabled:opacity-50" />
+      {hint && <p className="mt-2 text-[10px] text-slate-400">{hint}</p>}
+    </div>
+  );
+};
+
+export default ParamSlider;
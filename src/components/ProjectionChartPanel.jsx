@@ -0,0 +1,219 @@
+import React, { useMemo, useState } from 'react';
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { BarChart3, Table2, Copy, Check } from 'lucide-react';
+import { CHART_MODES, buildLineChartData, buildValueComposition, withCumulativePv } from '../lib/projectionChart.js';
+import { toCsv } from '../lib/csv.js';
+import { scaleValue } from '../lib/i18n.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+const COMPOSITION_COLORS = {
+  pv1: '#1e3a8a',
+  pv2: '#f59e0b',
+};
+
+const TOOLTIP_STYLE = { borderRadius: '16px', border: 'none', boxShadow: '0 10px 25px rgba(0,0,0,0.05)' };
+const TICK_STYLE = { fontSize: 10, fill: '#94a3b8' };
+
+/**
+ * 现金流预测图表
+ * 在名义 FCF、逐年折现值、累计现值与 PV1 / PV2 价值构成之间切换；名义 FCF 模式下把历史年份绘制在第1年之前。
+ * series 为 [{ id, name, color, valuation, active }]，启用情景分析时每个情景一条线 (一根柱)；
+ * history 为历史年份的 [{ year, value }]，perpetual 为永续增长率，用于数据表的永续价值行。
+ * 图表下方可展开当前参数的逐年数据表，便于读屏软件阅读与复制到表格软件。
+ */
+const ProjectionChartPanel = ({ series, valuation, history, horizon, perpetual }) => {
+  const { t, formatNumber, formatMoney, formatAxisAmount, amountUnit, amountUnitNote } = useI18n();
+  const [mode, setMode] = useState(CHART_MODES.FCF);
+  const [showTable, setShowTable] = useState(false);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const lineData = useMemo(
+    () => (mode === CHART_MODES.COMPOSITION ? [] : buildLineChartData(series, mode, history)),
+    [series, mode, history]
+  );
+  const composition = useMemo(() => buildValueComposition(series), [series]);
+  const rowLabel = (row) => (row.fiscalYear !== undefined ? t('common.fiscalYear', { year: row.fiscalYear }) : t('common.yearN', { n: row.t }));
+  const seriesName = (id) => series.find((s) => s.id === id)?.name ?? id;
+  const isSingle = series.length === 1;
+
+  // --- 数据表：历史年份、逐年预测与永续价值，金额按当前单位换算 ---
+  const tableRows = useMemo(() => {
+    const amount = (value) => scaleValue(value, amountUnit.factor);
+    const rows = history.map(({ year, value }) => ({ key: `fy-${year}`, label: t('common.fiscalYear', { year }), cells: [null, amount(value), null, null, null] }));
+    if (!valuation.ok) return rows;
+    withCumulativePv(valuation.years).forEach((year) => {
+      rows.push({
+        key: `t-${year.t}`,
+        label: t('common.yearN', { n: year.t }),
+        cells: [year.growth, amount(year.fcf), year.discountFactor, amount(year.pv), amount(year.cumulativePv)],
+      });
+    });
+    const last = valuation.years[valuation.years.length - 1];
+    rows.push({
+      key: 'terminal',
+      label: t('app.chart.terminalValue'),
+      cells: [perpetual, amount(valuation.terminalValue), last.discountFactor, amount(valuation.tv), amount(valuation.total)],
+      summary: true,
+    });
+    return rows;
+  }, [history, valuation, perpetual, amountUnit.factor, t]);
+
+  const tableHeaders = [
+    t('app.chart.columns.year'),
+    t('app.chart.columns.growth'),
+    t('app.chart.columns.fcf', { unit: amountUnit.label }),
+    t('app.chart.columns.discountFactor'),
+    t('app.chart.columns.pv', { unit: amountUnit.label }),
+    t('app.chart.columns.cumulativePv', { unit: amountUnit.label }),
+  ];
+  // 折现系数保留四位小数，其余两位
+  const formatTableCell = (value, column) => (value === null ? '—' : formatNumber(value, column === 2 ? 4 : 2));
+
+  // 复制为制表符分隔文本，数字不带千分位，粘贴到表格软件后仍是数值
+  const copyTable = async () => {
+    const rows = [tableHeaders, ...tableRows.map(({ label, cells }) => [label, ...cells.map((value) => (value === null ? '' : Number(value.toFixed(4))))])];
+    try {
+      await navigator.clipboard.writeText(toCsv(rows, '\t'));
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus(''), 2000);
+  };
+
+  const renderChart = () => {
+    if (series.length === 0 && history.length === 0) {
+      return <div className="h-full flex items-center justify-center text-sm text-slate-300 italic">{t('common.noData')}</div>;
+    }
+    if (mode === CHART_MODES.COMPOSITION) {
+      return (
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={composition}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+            <XAxis dataKey="id" tickFormatter={seriesName} axisLine={false} tickLine={false} tick={TICK_STYLE} />
+            <YAxis tickFormatter={formatAxisAmount} axisLine={false} tickLine={false} tick={TICK_STYLE} width={64} />
+            <Tooltip
+              contentStyle={TOOLTIP_STYLE}
+              labelFormatter={seriesName}
+              formatter={(value, name, item) => [`${formatMoney(value)} (${formatNumber((value / item.payload.total) * 100, 1)}%)`, name]}
+            />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <Bar dataKey="pv1" name={t('app.chart.pv1')} stackId="value" fill={COMPOSITION_COLORS.pv1} />
+            <Bar dataKey="pv2" name={t('app.chart.pv2')} stackId="value" fill={COMPOSITION_COLORS.pv2} radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      );
+    }
+    return (
+      <ResponsiveContainer width="100%" height="100%">
+        <AreaChart data={lineData}>
+          <defs>
+            <linearGradient id="colorFcf" x1="0" y1="0" x2="0" y2="1">
+              <stop offset="5%" stopColor="#1e3a8a" stopOpacity={0.1}/>
+              <stop offset="95%" stopColor="#1e3a8a" stopOpacity={0}/>
+            </linearGradient>
+          </defs>
+          <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+          <XAxis dataKey={rowLabel} axisLine={false} tickLine={false} tick={TICK_STYLE} dy={10} />
+          <YAxis tickFormatter={formatAxisAmount} axisLine={false} tickLine={false} tick={TICK_STYLE} width={64} />
+          <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(v, name) => [formatMoney(v), name]} />
+          {mode === CHART_MODES.FCF && history.length > 0 && (
+            <Area type="monotone" dataKey="historical" name={t('app.chart.historical')} stroke="#94a3b8" strokeWidth={3} strokeDasharray="6 4" fill="none" />
+          )}
+          {series.map((s) => (
+            <Area
+              key={s.id}
+              type="monotone"
+              dataKey={s.id}
+              name={s.name}
+              stroke={s.color}
+              strokeWidth={s.active ? 4 : 2}
+              fill={isSingle ? 'url(#colorFcf)' : 'none'}
+            />
+          ))}
+          {/* 累计现值最终加上 PV2 即为内在价值 */}
+          {mode === CHART_MODES.CUMULATIVE && isSingle && (
+            <ReferenceLine
+              y={series[0].valuation.total}
+              stroke={COMPOSITION_COLORS.pv2}
+              strokeDasharray="4 4"
+              label={{ value: t('app.chart.intrinsicValueLine', { value: formatMoney(series[0].valuation.total) }), position: 'insideTopLeft', fontSize: 10, fill: '#b45309' }}
+            />
+          )}
+        </AreaChart>
+      </ResponsiveContainer>
+    );
+  };
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <BarChart3 className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('app.chart.title', { years: horizon })}</span>
+        </div>
+        <div className="text-[10px] text-slate-400 font-mono tracking-widest uppercase">{amountUnitNote}</div>
+      </div>
+      <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold mb-6">
+        {Object.values(CHART_MODES).map((key) => (
+          <button
+            key={key}
+            onClick={() => setMode(key)}
+            aria-pressed={mode === key}
+            className={`flex-1 py-1.5 rounded-lg transition ${mode === key ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+          >
+            {t(`app.chart.modes.${key}`)}
+          </button>
+        ))}
+      </div>
+      <div className="h-64 w-full">{renderChart()}</div>
+
+      <div className="mt-6 flex items-center justify-end gap-2 text-xs font-bold">
+        {showTable && (
+          <button
+            onClick={copyTable}
+            className={`flex items-center px-3 py-1.5 rounded-lg transition ${copyStatus === 'copied' ? 'bg-emerald-50 text-emerald-700' : 'bg-slate-100 text-slate-500 hover:text-blue-700'}`}
+          >
+            {copyStatus === 'copied' ? <Check size={12} className="mr-1" /> : <Copy size={12} className="mr-1" />}
+            {copyStatus === 'copied' ? t('app.chart.copied') : copyStatus === 'failed' ? t('app.chart.copyFailed') : t('app.chart.copyTable')}
+          </button>
+        )}
+        <button
+          onClick={() => setShowTable((v) => !v)}
+          aria-expanded={showTable}
+          className="flex items-center px-3 py-1.5 rounded-lg bg-slate-100 text-slate-500 hover:text-blue-700 transition"
+        >
+          <Table2 size={12} className="mr-1" />
+          {showTable ? t('app.chart.hideTable') : t('app.chart.showTable')}
+        </button>
+      </div>
+
+      {showTable && (
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-xs font-mono">
+            <caption className="sr-only">{t('app.chart.tableCaption')}</caption>
+            <thead>
+              <tr className="text-slate-400 border-b border-slate-200">
+                {tableHeaders.map((header, i) => (
+                  <th key={header} scope="col" className={`py-2 font-sans font-bold ${i === 0 ? 'text-left' : 'text-right'}`}>{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {tableRows.map(({ key, label, cells, summary }) => (
+                <tr key={key} className={`border-b border-slate-100 ${summary ? 'font-bold text-slate-800' : 'text-slate-600'}`}>
+                  <th scope="row" className={`py-1.5 text-left font-sans ${summary ? '' : 'font-normal'}`}>{label}</th>
+                  {cells.map((value, i) => (
+                    <td key={i} className="py-1.5 text-right">{formatTableCell(value, i)}{value !== null && i === 0 ? '%' : ''}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ProjectionChartPanel;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Table2, FileDown, FileUp } from 'lucide-react';
+import { buildProjectionSheets, buildProjectionCsv, buildProjectionWorkbook, readProjectionFile, restoreFromProjection } from '../lib/projectionExport.js';
+import { buildExportFileName, downloadBlob } from '../lib/memoExport.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 预测明细导出
+ * 导出逐年预测、永续价值与汇总为 CSV / Excel (含实时公式)，并支持把导出的文件读回以还原参数。
+ */
+const ProjectionExportPanel = ({ modelState, onRestore }) => {
+  const { t, tError, tWarning } = useI18n();
+  const [busy, setBusy] = useState('');
+  const [notice, setNotice] = useState(null);
+
+  const exportAs = async (format) => {
+    setNotice(null);
+    const result = buildProjectionSheets(modelState);
+    if (!result.ok) {
+      setNotice({ tone: 'error', messages: [tError('projection', result.error)] });
+      return;
+    }
+    setBusy(format);
+    try {
+      const blob = format === 'csv'
+        ? new Blob([buildProjectionCsv(result.sheets)], { type: 'text/csv;charset=utf-8' })
+        : await buildProjectionWorkbook(result.sheets);
+      downloadBlob(blob, buildExportFileName(modelState.meta, format));
+    } catch {
+      setNotice({ tone: 'error', messages: [t('projection.exportFailed')] });
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setNotice(null);
+    setBusy('import');
+    try {
+      const read = await readProjectionFile(file);
+      const result = read.ok ? restoreFromProjection(read.rows, modelState) : read;
+      if (!result.ok) {
+        setNotice({ tone: 'error', messages: [`${file.name}${t('common.colon')}${tError('projection', result.error)}`] });
+        return;
+      }
+      onRestore(result.state);
+      setNotice(result.warnings.length > 0
+        ? { tone: 'warning', messages: [t('projection.restoredWithWarnings', { file: file.name }), ...result.warnings.map(tWarning)] }
+        : { tone: 'success', messages: [t('projection.restored', { file: file.name })] });
+    } catch {
+      setNotice({ tone: 'error', messages: [t('import.readFailed')] });
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const noticeStyles = {
+    error: 'bg-red-50 text-red-700 border-red-100',
+    warning: 'bg-amber-50 text-amber-800 border-amber-100',
+    success: 'bg-emerald-50 text-emerald-700 border-emerald-100',
+  };
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center text-slate-800 font-bold">
+          <Table2 className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('projection.title')}</span>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => exportAs('csv')}
+            disabled={busy !== ''}
+            className="flex items-center px-3 py-2 rounded-xl text-xs font-bold bg-slate-100 text-slate-600 hover:text-blue-700 disabled:opacity-50 transition"
+          >
+            <FileDown size={14} className="mr-1" /> {busy === 'csv' ? t('common.generating') : 'CSV'}
+          </button>
+          <button
+            onClick={() => exportAs('xlsx')}
+            disabled={busy !== ''}
+            className="flex items-center px-3 py-2 rounded-xl text-xs font-bold bg-slate-100 text-slate-600 hover:text-blue-700 disabled:opacity-50 transition"
+          >
+            <FileDown size={14} className="mr-1" /> {busy === 'xlsx' ? t('common.generating') : 'Excel'}
+          </button>
+          <label className={`flex items-center px-3 py-2 rounded-xl text-xs font-bold bg-slate-100 text-slate-600 hover:text-blue-700 transition ${busy !== '' ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+            <FileUp size={14} className="mr-1" /> {busy === 'import' ? t('projection.reading') : t('projection.reimport')}
+            <input type="file" accept=".csv,.xlsx" onChange={handleFile} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      <p className="text-xs text-slate-400 leading-relaxed">
+        {t('projection.intro')}
+      </p>
+
+      {notice && (
+        <div className={`mt-4 p-3 rounded-xl border text-xs space-y-1 ${noticeStyles[notice.tone]}`}>
+          {notice.messages.map((message, i) => <p key={i}>{i === 0 && notice.tone === 'error' && '⚠️ '}{message}</p>)}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ProjectionExportPanel;
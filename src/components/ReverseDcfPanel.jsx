@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { TrendingUp } from 'lucide-react';
+import NumberField from './NumberField.jsx';
+import { MARKET_MODES } from '../lib/market.js';
+import { AMOUNT_SCALES, hasFxConversion } from '../lib/currency.js';
+import { REVERSE_ERRORS, REVERSE_TARGETS, solveImpliedGrowth, solveImpliedDiscount } from '../lib/reverseDcf.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 反向 DCF 面板
+ * 输入市场价格，求解市场已经 "定价" 的高速增长率或折现率，并与当前假设对照。
+ * targetValue 为市值按汇率折算为估值货币、再经股权价值桥换算后的企业价值，未输入市价时为 null。
+ * 市值与股价以 currency.quoteCode (报价货币) 输入。
+ */
+const ReverseDcfPanel = ({ params, growthSchedule, targetValue, market, currency, onMarketChange }) => {
+  const { t, tError, formatNumber, amountUnit, sharesUnit, currencyUnit } = useI18n();
+  const isConverted = hasFxConversion(currency);
+  // 市值单位标明报价货币；不带数量级时金额单位本身就是货币名称
+  let capUnit = amountUnit.label;
+  if (isConverted) {
+    capUnit = amountUnit.scale === AMOUNT_SCALES.UNITS
+      ? currencyUnit(currency.quoteCode)
+      : t('currency.amountIn', { unit: amountUnit.label, currency: currencyUnit(currency.quoteCode) });
+  }
+  const [target, setTarget] = useState(REVERSE_TARGETS.GROWTH);
+
+  const result = useMemo(() => {
+    if (targetValue === null) return null;
+    return target === REVERSE_TARGETS.GROWTH
+      ? solveImpliedGrowth(params, targetValue)
+      : solveImpliedDiscount(params, growthSchedule, targetValue);
+  }, [params, growthSchedule, targetValue, target]);
+
+  // 无解时的求解区间按界面语言格式化后再填入提示
+  const describeError = (error) => (error.code === REVERSE_ERRORS.NO_SOLUTION
+    ? tError('reverseDcf', { ...error, lo: formatNumber(error.lo), hi: formatNumber(error.hi) })
+    : tError('reverseDcf', error));
+
+  const assumption = target === REVERSE_TARGETS.GROWTH ? params.growth : params.discount;
+
+  return (
+    <section className="bg-white rounded-3xl p-6 border border-slate-200 shadow-sm">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <TrendingUp className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('reverse.title')}</span>
+        </div>
+        <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+          {[[REVERSE_TARGETS.GROWTH, t('reverse.impliedGrowth')], [REVERSE_TARGETS.DISCOUNT, t('reverse.impliedDiscount')]].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTarget(key)}
+              className={`px-3 py-1.5 rounded-lg transition ${target === key ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+            {[[MARKET_MODES.CAP, t('reverse.modeCap')], [MARKET_MODES.PRICE, t('reverse.modePrice')]].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => onMarketChange({ mode })}
+                className={`flex-1 py-1.5 rounded-lg transition ${market.mode === mode ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {market.mode === MARKET_MODES.CAP ? (
+            <NumberField label={t('reverse.marketCap')} value={market.cap} unit={capUnit} factor={amountUnit.factor} onChange={(v) => onMarketChange({ cap: v })} />
+          ) : (
+            <div className="grid grid-cols-2 gap-3">
+              <NumberField label={t('reverse.price')} value={market.price} unit={currencyUnit(currency.quoteCode)} onChange={(v) => onMarketChange({ price: v })} />
+              <NumberField label={t('reverse.shares')} value={market.shares} unit={sharesUnit.label} factor={sharesUnit.factor} onChange={(v) => onMarketChange({ shares: v })} />
+            </div>
+          )}
+          {isConverted && (
+            <p className="text-[10px] text-slate-400">{t('currency.fxNote', { code: currency.code, rate: formatNumber(currency.fxRate, 6), quote: currency.quoteCode })}</p>
+          )}
+        </div>
+
+        <div className="bg-slate-50 rounded-2xl p-5 flex flex-col justify-center">
+          {!result ? (
+            <p className="text-sm text-slate-400 italic text-center">{t('reverse.empty')}</p>
+          ) : result.ok ? (
+            <>
+              <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-1">
+                {target === REVERSE_TARGETS.GROWTH ? t('reverse.resultGrowth', { years: params.highYears }) : t('reverse.resultDiscount')}
+              </p>
+              <p className="text-3xl font-bold font-mono text-[#1e3a8a]">{formatNumber(result.value)}%</p>
+              <p className="text-xs text-slate-500 mt-2">
+                {t('reverse.yourAssumption')} <span className="font-mono font-bold">{formatNumber(assumption)}%</span>{t('reverse.separator')}
+                {target === REVERSE_TARGETS.GROWTH
+                  ? (result.value > assumption ? t('reverse.moreOptimistic') : t('reverse.moreConservative'))
+                  : (result.value > assumption ? t('reverse.higherReturn') : t('reverse.lowerReturn'))}
+              </p>
+            </>
+          ) : (
+            <div className="text-sm text-red-600">⚠️ {describeError(result.error)}</div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ReverseDcfPanel;
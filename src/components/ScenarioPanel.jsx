@@ -0,0 +1,109 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import { SAFETY_BASES, SCENARIO_COLORS, isDefaultScenarioName } from '../lib/scenarios.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 情景分析面板
+ * 选中某个情景后，左侧滑块即编辑该情景的参数；权重会自动归一化为概率。
+ */
+const ScenarioPanel = ({ state, evaluation, onToggle, onSelect, onUpdate, onSafetyBasisChange }) => {
+  const { t, tError, formatMoney } = useI18n();
+  const scenarioName = (item) => (isDefaultScenarioName(item) ? t(`scenario.names.${item.id}`) : item.name);
+
+  // 情景估值失败时的提示需要带上 (已翻译的) 情景名称
+  const describeError = (error) => {
+    const invalid = evaluation.results.find((r) => !r.valuation.ok);
+    return error.code === 'INVALID_SCENARIO' && invalid
+      ? t('scenario.errors.INVALID_SCENARIO', { name: scenarioName(invalid), message: tError('valuation', invalid.valuation.error) })
+      : tError('scenario', error);
+  };
+
+  return (
+    <section className="bg-white rounded-3xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-4 text-slate-800">
+        <div className="flex items-center">
+          <Layers className="w-5 h-5 mr-2 text-blue-700" />
+          <h2 className="font-bold">{t('scenario.title')}</h2>
+        </div>
+        <button
+          onClick={onToggle}
+          className={`text-xs font-bold px-3 py-1.5 rounded-lg transition ${state.enabled ? 'bg-blue-700 text-white' : 'bg-slate-100 text-slate-500 hover:text-blue-700'}`}
+        >
+          {state.enabled ? t('common.enabled') : t('common.enable')}
+        </button>
+      </div>
+
+      {!state.enabled ? (
+        <p className="text-xs text-slate-400 leading-relaxed">{t('scenario.intro')}</p>
+      ) : (
+        <div className="space-y-3">
+          {evaluation.results.map((r) => {
+            const isActive = r.id === state.activeId;
+            return (
+              <div
+                key={r.id}
+                className={`rounded-2xl border p-3 transition ${isActive ? 'border-blue-300 bg-blue-50/50' : 'border-slate-200'}`}
+              >
+                <div className="flex items-center gap-2">
+                  <i className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: SCENARIO_COLORS[r.id] }} />
+                  <input
+                    value={scenarioName(r)}
+                    onChange={(e) => onUpdate(r.id, { name: e.target.value })}
+                    className="flex-1 min-w-0 bg-transparent font-bold text-sm text-slate-700 outline-none"
+                  />
+                  <div className="flex items-center bg-white rounded-lg border border-slate-200 px-2 py-0.5">
+                    <input
+                      type="number"
+                      min="0"
+                      value={r.weight}
+                      onChange={(e) => onUpdate(r.id, { weight: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="w-10 text-right font-mono text-xs outline-none"
+                    />
+                    <span className="text-[10px] text-slate-400 ml-0.5">%</span>
+                  </div>
+                </div>
+                <div className="flex items-center justify-between mt-2 text-xs">
+                  <span className="font-mono text-slate-600">
+                    {r.valuation.ok ? formatMoney(r.valuation.total) : tError('valuation', r.valuation.error)}
+                  </span>
+                  {isActive ? (
+                    <span className="text-[10px] font-bold text-blue-700">{t('scenario.editing')}</span>
+                  ) : (
+                    <button onClick={() => onSelect(r.id)} className="text-[10px] font-bold text-slate-400 hover:text-blue-700">{t('scenario.edit')}</button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          {evaluation.ok ? (
+            <div className="bg-slate-50 rounded-2xl p-4 text-center">
+              <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t('scenario.expected')}</p>
+              <p className="text-2xl font-bold font-mono text-[#1e3a8a]">{formatMoney(evaluation.expected)}</p>
+            </div>
+          ) : (
+            <div className="p-3 bg-red-50 text-red-700 rounded-xl border border-red-100 text-xs">⚠️ {describeError(evaluation.error)}</div>
+          )}
+
+          <div>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-wider mb-2">{t('scenario.safetyBasis')}</p>
+            <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+              {[[SAFETY_BASES.EXPECTED, t('scenario.basis.expected')], [SAFETY_BASES.BEAR, t('scenario.basis.bear')]].map(([basis, label]) => (
+                <button
+                  key={basis}
+                  onClick={() => onSafetyBasisChange(basis)}
+                  className={`flex-1 py-1.5 rounded-lg transition ${state.safetyBasis === basis ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ScenarioPanel;
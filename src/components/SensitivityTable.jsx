@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from 'react';
+import { Grid3x3 } from 'lucide-react';
+import { SENSITIVITY_AXES, buildSensitivityGrid } from '../lib/sensitivity.js';
+import { SCHEDULE_MODES } from '../lib/growthSchedule.js';
+import { SAFETY_MARGIN } from '../lib/valuation.js';
+import { scaleValue } from '../lib/i18n.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+const AXES = [SENSITIVITY_AXES.GROWTH, SENSITIVITY_AXES.PERPETUAL];
+
+/**
+ * 按市场价格 (已换算为企业价值口径) 着色：
+ * 7 折后仍高于市价 → 深绿；高于市价 → 浅绿；低于市价 → 红；未输入市价时不着色。
+ */
+const cellTone = (result, marketValue) => {
+  if (!result.ok) return 'bg-slate-50 text-slate-300';
+  if (marketValue === null) return 'bg-white text-slate-700';
+  if (result.total * SAFETY_MARGIN >= marketValue) return 'bg-emerald-100 text-emerald-800';
+  if (result.total >= marketValue) return 'bg-emerald-50 text-emerald-700';
+  return 'bg-red-50 text-red-700';
+};
+
+/**
+ * 二维敏感性分析表
+ * 折现率 × 增长率，点击单元格将对应参数载入滑块。
+ */
+const SensitivityTable = ({ params, growthSchedule, marketValue, onSelect }) => {
+  const { t, tError, formatNumber, amountUnit } = useI18n();
+  const [axis, setAxis] = useState(SENSITIVITY_AXES.GROWTH);
+  const axisLabel = (key) => t(`sensitivity.axes.${key}`);
+  // 单元格以当前语言的金额单位显示；换算后单位较大 (如 B) 时保留一位小数
+  const formatCell = (total) => formatNumber(scaleValue(total, amountUnit.factor), amountUnit.factor < 1 ? 1 : 0);
+
+  const grid = useMemo(
+    () => buildSensitivityGrid(params, growthSchedule, { axis }),
+    [params, growthSchedule, axis]
+  );
+
+  // 逐年自定义模式下，高速增长率轴是按三阶段重建的路径，与当前参数并不对应
+  const highlightCol = axis === SENSITIVITY_AXES.GROWTH && params.scheduleMode === SCHEDULE_MODES.CUSTOM
+    ? null
+    : params[axis];
+
+  const handleSelect = (discount, value) => {
+    onSelect(axis === SENSITIVITY_AXES.GROWTH
+      ? { discount, growth: value, scheduleMode: SCHEDULE_MODES.STAGES }
+      : { discount, perpetual: value });
+  };
+
+  return (
+    <section className="bg-white rounded-3xl p-6 shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center text-slate-800 font-bold">
+          <Grid3x3 className="w-5 h-5 mr-2 text-blue-500" />
+          <span>{t('sensitivity.title')}</span>
+        </div>
+        <div className="flex bg-slate-100 rounded-xl p-1 text-xs font-bold">
+          {AXES.map((key) => (
+            <button
+              key={key}
+              onClick={() => setAxis(key)}
+              className={`px-3 py-1.5 rounded-lg transition ${axis === key ? 'bg-white text-blue-700 shadow-sm' : 'text-slate-500'}`}
+            >
+              {axisLabel(key)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs font-mono border-separate border-spacing-1">
+          <thead>
+            <tr>
+              <th className="text-[10px] text-slate-400 font-sans font-bold text-left">r \ {axisLabel(axis)}</th>
+              {grid.cols.map((col) => (
+                <th key={col} className={`py-1 text-slate-500 ${col === highlightCol ? 'text-blue-700' : ''}`}>{col}%</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.rows.map((discount, i) => (
+              <tr key={discount}>
+                <th className={`pr-2 text-left text-slate-500 ${discount === params.discount ? 'text-blue-700' : ''}`}>{discount}%</th>
+                {grid.cells[i].map((result, j) => {
+                  const isCurrent = discount === params.discount && grid.cols[j] === highlightCol;
+                  return (
+                    <td key={grid.cols[j]} className="p-0">
+                      <button
+                        disabled={!result.ok}
+                        onClick={() => handleSelect(discount, grid.cols[j])}
+                        title={result.ok ? t('sensitivity.cellTitle', { discount, label: axisLabel(axis), value: grid.cols[j] }) : tError('valuation', result.error)}
+                        className={`w-full py-2 px-1 rounded-lg text-right transition hover:ring-2 hover:ring-blue-200 disabled:cursor-not-allowed ${cellTone(result, marketValue)} ${isCurrent ? 'ring-2 ring-blue-700 font-bold' : ''}`}
+                      >
+                        {result.ok ? formatCell(result.total) : '—'}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-4 text-[10px] text-slate-400">
+        <span>{t('sensitivity.unitNote', { unit: amountUnit.label })}</span>
+        {marketValue === null ? (
+          <span>{t('sensitivity.noMarket')}</span>
+        ) : (
+          <>
+            <span className="flex items-center"><i className="w-3 h-3 rounded bg-emerald-100 mr-1" />{t('sensitivity.aboveWithMargin')}</span>
+            <span className="flex items-center"><i className="w-3 h-3 rounded bg-emerald-50 border border-emerald-100 mr-1" />{t('sensitivity.above')}</span>
+            <span className="flex items-center"><i className="w-3 h-3 rounded bg-red-50 border border-red-100 mr-1" />{t('sensitivity.below')}</span>
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default SensitivityTable;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { FileText, Link2, Check } from 'lucide-react';
+import NumberField from './NumberField.jsx';
+import { AMOUNT_SCALES, CURRENCIES, CURRENCY_SYMBOLS, hasFxConversion } from '../lib/currency.js';
+import { useI18n } from '../lib/i18nContext.js';
+
+/**
+ * 估值档案：公司信息、货币与单位、备注与分享链接
+ * 报价货币与估值货币不同时显示汇率输入，市场报价按该汇率折算后再与估值比较。
+ */
+const ValuationMetaPanel = ({ meta, currency, onChange, onCurrencyChange, getShareUrl }) => {
+  const { t } = useI18n();
+  const currencyOptions = Object.values(CURRENCIES).map((code) => ({ id: code, label: `${code} (${CURRENCY_SYMBOLS[code]})` }));
+  const currencyFields = [
+    { key: 'code', options: currencyOptions },
+    { key: 'scale', options: Object.values(AMOUNT_SCALES).map((scale) => ({ id: scale, label: t(`currency.scaleOptions.${scale}`) })) },
+    { key: 'quoteCode', options: currencyOptions },
+  ];
+  // 汇率必须为正，清空或输入非正数时保留原值
+  const changeFxRate = (fxRate) => {
+    if (fxRate > 0) onCurrencyChange({ fxRate });
+  };
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl());
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+    setTimeout(() => setCopyStatus(''), 2000);
+  };
+
+  return (
+    <section className="bg-white rounded-3xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-4 text-slate-800">
+        <div className="flex items-center">
+          <FileText className="w-5 h-5 mr-2 text-blue-700" />
+          <h2 className="font-bold">{t('meta.title')}</h2>
+        </div>
+        <button
+          onClick={copyLink}
+          className={`flex items-center text-xs font-bold px-3 py-1.5 rounded-lg transition ${copyStatus === 'copied' ? 'bg-emerald-50 text-emerald-700' : 'bg-slate-100 text-slate-500 hover:text-blue-700'}`}
+        >
+          {copyStatus === 'copied' ? <Check size={12} className="mr-1" /> : <Link2 size={12} className="mr-1" />}
+          {copyStatus === 'copied' ? t('meta.copied') : copyStatus === 'failed' ? t('meta.copyFailed') : t('meta.copyLink')}
+        </button>
+      </div>
+      <div className="space-y-3">
+        <div className="grid grid-cols-3 gap-3">
+          <input
+            value={meta.company}
+            onChange={(e) => onChange({ company: e.target.value })}
+            placeholder={t('meta.company')}
+            className="col-span-2 bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-100"
+          />
+          <input
+            value={meta.ticker}
+            onChange={(e) => onChange({ ticker: e.target.value })}
+            placeholder={t('meta.ticker')}
+            className="bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm font-mono outline-none focus:ring-2 focus:ring-blue-100"
+          />
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {currencyFields.map(({ key, options }) => (
+            <label key={key} className="block">
+              <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">{t(`currency.fields.${key}`)}</span>
+              <select
+                value={currency[key]}
+                onChange={(e) => onCurrencyChange({ [key]: e.target.value })}
+                className="mt-1 w-full bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none"
+              >
+                {options.map((option) => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {hasFxConversion(currency) && (
+            <NumberField
+              label={t('currency.fields.fxRate', { code: currency.code, quote: currency.quoteCode })}
+              value={currency.fxRate}
+              unit={currency.quoteCode}
+              onChange={changeFxRate}
+            />
+          )}
+        </div>
+        <textarea
+          value={meta.notes}
+          onChange={(e) => onChange({ notes: e.target.value })}
+          placeholder={t('meta.notes')}
+          rows={3}
+          className="w-full bg-slate-50 rounded-xl border border-slate-200 px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-100 resize-y"
+        />
+      </div>
+    </section>
+  );
+};
+
+export default ValuationMetaPanel;
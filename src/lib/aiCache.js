@@ -0,0 +1,60 @@
+/**
+ * 浏览器端 AI 响应缓存
+ * 以归一化请求 + 模型为键 (见 lib/requestKey.js)，同样的估值参数再次诊断时直接复用上次的报告，不再消耗调用额度。
+ * 模型名取自服务端 X-LLM-Model 响应头；服务端更换模型后旧条目自然失效。
+ * 持久化通过一个最小的同步存储接口 ({ getItem, setItem }) 完成，默认为 localStorage，
+ * 读写失败 (隐私模式、空间不足) 时退化为仅在内存中缓存。
+ */
+import { buildRequestKey } from './requestKey.js';
+
+export const AI_CACHE_STORAGE_KEY = 'buffett-valuation:ai-cache:v1';
+const DEFAULT_MAX_ENTRIES = 30;
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const loadCache = (storage) => {
+  try {
+    const data = JSON.parse(storage.getItem(AI_CACHE_STORAGE_KEY) ?? 'null');
+    if (data && typeof data.entries === 'object' && data.entries) return { model: String(data.model ?? ''), entries: data.entries };
+  } catch {
+    // 数据损坏时从空缓存开始
+  }
+  return { model: '', entries: {} };
+};
+
+export const createAiCache = ({ storage = window.localStorage, maxEntries = DEFAULT_MAX_ENTRIES, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) => {
+  const data = loadCache(storage);
+
+  const persist = () => {
+    try {
+      storage.setItem(AI_CACHE_STORAGE_KEY, JSON.stringify(data));
+    } catch {
+      // 写入失败不影响本次会话内的缓存
+    }
+  };
+
+  return {
+    /** 按最近一次响应的模型查找；未命中或已过期返回 null */
+    get(request) {
+      const key = buildRequestKey(request, data.model);
+      const entry = data.entries[key];
+      if (!entry) return null;
+      if (entry.savedAt + ttlMs <= now()) {
+        delete data.entries[key];
+        persist();
+        return null;
+      }
+      return entry.text;
+    },
+
+    /** 写入完整结果；model 为空时沿用上次记录的模型 */
+    set(request, text, model) {
+      if (!text) return;
+      if (model) data.model = model;
+      data.entries[buildRequestKey(request, data.model)] = { text, savedAt: now() };
+      // 超出容量时淘汰最早写入的条目
+      const keys = Object.keys(data.entries).sort((a, b) => data.entries[a].savedAt - data.entries[b].savedAt);
+      for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) delete data.entries[key];
+      persist();
+    },
+  };
+};
@@ -0,0 +1,205 @@
+/**
+ * /api/generate 客户端
+ * 请求体为通用请求格式 (prompt / messages / options，见 api/_lib/llmRequest.js)。
+ * 优先以流式 (SSE) 请求，边接收边回调累计文本；服务端未返回事件流时按整段 JSON ({ text }) 处理。
+ * 通过 signal 取消时抛出 AbortError，由调用方区分 "用户取消" 与 "请求失败"；
+ * 其余失败抛出带 code / status / retryAfter 的错误，可交给 describeApiError (见 lib/apiErrors.js) 生成提示。
+ *
+ * generate 在 streamGenerate 之上增加：
+ *   - 浏览器端缓存 (见 lib/aiCache.js)，fresh 为 true 时跳过缓存并要求服务端也不读缓存 (重新生成)；
+ *   - 相同请求进行中时复用同一次调用，所有调用方都取消后才真正中止；
+ *   - 只对可重试的失败 (网络错误、408 / 429 / 5xx、流中断) 重试，优先按 Retry-After 等待，
+ *     已经收到部分内容或需等待过久时不再重试，直接把错误交给调用方。
+ */
+import { readSseStream } from './sse.js';
+import { API_ERRORS } from './apiErrors.js';
+import { buildRequestKey } from './requestKey.js';
+
+const ENDPOINT = '/api/generate';
+const SESSION_STORAGE_KEY = 'buffett-valuation:session';
+
+const requestError = (message, fields) => Object.assign(new Error(message), fields);
+
+// 会话 ID 作为服务端限流的附加维度，同一标签页内保持不变
+const getSessionId = () => {
+  try {
+    let id = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!id) {
+      id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    return null;
+  }
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * 返回 { text, model, cached }；onText(fullText) 在每次收到增量后调用。
+ * model 为服务端实际使用的 provider:模型，cached 表示结果来自服务端缓存。
+ */
+export const streamGenerate = async (body, { signal, onText = () => {}, fresh = false } = {}) => {
+  const sessionId = getSessionId();
+  const response = await fetch(`${ENDPOINT}?stream=1`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(sessionId ? { 'X-Session-Id': sessionId } : {}),
+      ...(fresh ? { 'Cache-Control': 'no-cache' } : {}),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    throw requestError(errData.error || 'API_ERROR', {
+      code: errData.code,
+      status: response.status,
+      retryAfter: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null,
+    });
+  }
+
+  const model = response.headers.get('X-LLM-Model') ?? '';
+  const cached = response.headers.get('X-Cache') === 'HIT';
+
+  if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+    const { text = '' } = await response.json();
+    onText(text);
+    return { text, model, cached };
+  }
+
+  let text = '';
+  let finished = false;
+  await readSseStream(response.body, ({ event, data }) => {
+    const payload = JSON.parse(data);
+    if (event === 'error') throw requestError(payload.error || 'STREAM_ERROR', { code: payload.code ?? API_ERRORS.STREAM_INTERRUPTED });
+    if (event === 'done') {
+      finished = true;
+      return;
+    }
+    text += payload.text ?? '';
+    onText(text);
+  });
+  if (!finished) throw requestError('STREAM_INTERRUPTED', { code: API_ERRORS.STREAM_INTERRUPTED });
+  return { text, model, cached };
+};
+
+// --- 重试 ---
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+// 服务端要求等待更久时 (如本地限流窗口) 不在后台干等，交给用户决定
+const MAX_RETRY_AFTER_SECONDS = 20;
+
+export const isRetryable = (error) => {
+  if (isAbortError(error)) return false;
+  if (error?.status) return RETRYABLE_STATUSES.includes(error.status);
+  // 没有 status：fetch 本身失败 (TypeError) 或事件流中途断开
+  return error instanceof TypeError || error?.code === API_ERRORS.STREAM_INTERRUPTED;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const withRetry = async (attempt, { signal, hasOutput }) => {
+  for (let retries = 0; ; retries++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      const retryAfter = error.retryAfter ?? 0;
+      if (retries >= MAX_RETRIES || hasOutput() || !isRetryable(error) || retryAfter > MAX_RETRY_AFTER_SECONDS) throw error;
+      await sleep(retryAfter ? retryAfter * 1000 : BASE_DELAY_MS * 2 ** retries, signal);
+    }
+  }
+};
+
+// --- 进行中请求去重 ---
+const inFlight = new Map();
+
+const startFlight = (key, body, fresh) => {
+  const controller = new AbortController();
+  const flight = { text: '', received: false, listeners: new Set() };
+  const emit = (text) => {
+    flight.received = true;
+    flight.text = text;
+    flight.listeners.forEach((listener) => listener(text));
+  };
+  flight.promise = withRetry(() => streamGenerate(body, { signal: controller.signal, onText: emit, fresh }), {
+    signal: controller.signal,
+    hasOutput: () => flight.received,
+  });
+  // 最后一个调用方取消时中止请求，并立即让出位置，之后的相同请求重新发起
+  flight.release = () => {
+    if (inFlight.get(key) === flight) inFlight.delete(key);
+    controller.abort();
+  };
+  flight.promise.finally(() => {
+    if (inFlight.get(key) === flight) inFlight.delete(key);
+  }).catch(() => {});
+  return flight;
+};
+
+const joinFlight = (flight, { signal, onText }) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const listener = (text) => onText(text);
+  flight.listeners.add(listener);
+  if (flight.received) onText(flight.text);
+
+  const leave = () => {
+    flight.listeners.delete(listener);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const onAbort = () => {
+    leave();
+    if (flight.listeners.size === 0) flight.release();
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  flight.promise.then((result) => {
+    leave();
+    resolve(result);
+  }, (error) => {
+    leave();
+    reject(error);
+  });
+});
+
+/**
+ * 带缓存、去重与重试的生成请求，返回 { text, model, cached }。
+ * cache 为 createAiCache 的实例，不传则不做浏览器端缓存 (如多轮对话)。
+ */
+export const generate = async (body, { signal, onText = () => {}, cache = null, fresh = false } = {}) => {
+  if (cache && !fresh) {
+    const hit = cache.get(body);
+    if (hit !== null) {
+      onText(hit);
+      return { text: hit, model: '', cached: true };
+    }
+  }
+
+  const key = buildRequestKey(body);
+  let flight = inFlight.get(key);
+  if (!flight) {
+    flight = startFlight(key, body, fresh);
+    inFlight.set(key, flight);
+  }
+  const result = await joinFlight(flight, { signal, onText });
+  cache?.set(body, result.text, result.model);
+  return result;
+};
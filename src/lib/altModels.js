@@ -0,0 +1,107 @@
+/**
+ * DCF 之外的估值模型
+ *   GRAHAM_FORMULA  格雷厄姆成长股公式：V = EPS × (8.5 + 2g) × 4.4 / Y
+ *   GRAHAM_NUMBER   格雷厄姆数：√(22.5 × EPS × BVPS)
+ *   EPV             格林沃尔德盈利能力价值：可持续盈利 / r，假设零增长
+ *   DDM             戈登股利折现：D1 / (r - g)
+ *   MULTIPLES       相对估值：同业 P/E × EPS、同业 EV/EBIT × EBIT 折算为股权价值
+ *
+ * 每个模型都返回 { ok: true, value, perShare } 或 { ok: false, error: { code, message } }，
+ * value 为总股权价值 (亿)，perShare 为每股价值 (元)，两者在输入不足时可能有一项为 null。
+ */
+import { computeEquityBridge } from './bridge.js';
+
+export const ALT_MODELS = {
+  GRAHAM_FORMULA: 'grahamFormula',
+  GRAHAM_NUMBER: 'grahamNumber',
+  EPV: 'epv',
+  DDM: 'ddm',
+  MULTIPLES: 'multiples',
+};
+
+export const ALT_MODEL_LABELS = {
+  [ALT_MODELS.GRAHAM_FORMULA]: '格雷厄姆公式',
+  [ALT_MODELS.GRAHAM_NUMBER]: '格雷厄姆数',
+  [ALT_MODELS.EPV]: '盈利能力价值 (EPV)',
+  [ALT_MODELS.DDM]: '股利折现 (DDM)',
+  [ALT_MODELS.MULTIPLES]: '同业倍数',
+};
+
+export const DEFAULT_ALT_INPUTS = {
+  selected: Object.values(ALT_MODELS),
+  eps: 0,               // 每股收益 (元)
+  bvps: 0,              // 每股净资产 (元)
+  bondYield: 4.4,       // 格雷厄姆公式中的 AAA 公司债收益率 Y (%)
+  normalizedEbit: 0,    // 可持续息税前利润 (亿)，EPV 与 EV/EBIT 使用
+  taxRate: 25,          // EPV 税率 (%)
+  dividend: 0,          // 下一年每股股利 D1 (元)
+  dividendGrowth: 3,    // 股利永续增长率 (%)
+  peerPe: 15,           // 同业市盈率
+  peerEvEbit: 12,       // 同业 EV/EBIT
+};
+
+const fail = (code, message) => ({ ok: false, error: { code, message } });
+const MISSING = 'MISSING_INPUT';
+
+// 由每股价值与股本互推总价值
+const fromPerShare = (perShare, shares) => ({ ok: true, perShare, value: shares > 0 ? perShare * shares : null });
+const fromEquity = (value, shares) => ({ ok: true, value, perShare: shares > 0 ? value / shares : null });
+
+/**
+ * 计算所有选中的模型。
+ *   inputs    DEFAULT_ALT_INPUTS 结构
+ *   params    DCF 参数，EPV / DDM 复用其折现率，格雷厄姆公式复用其高速增长率
+ *   bridge    股权价值桥输入，用于 EV → 股权价值换算及股本
+ */
+export const computeAltModels = (inputs, params, bridge) => {
+  const shares = bridge.dilutedShares;
+  const r = params.discount / 100;
+  const results = {};
+
+  results[ALT_MODELS.GRAHAM_FORMULA] = inputs.eps > 0 && inputs.bondYield > 0
+    ? fromPerShare(inputs.eps * (8.5 + 2 * params.growth) * 4.4 / inputs.bondYield, shares)
+    : fail(MISSING, '需要正的每股收益与债券收益率');
+
+  results[ALT_MODELS.GRAHAM_NUMBER] = inputs.eps > 0 && inputs.bvps > 0
+    ? fromPerShare(Math.sqrt(22.5 * inputs.eps * inputs.bvps), shares)
+    : fail(MISSING, '需要正的每股收益与每股净资产');
+
+  if (inputs.normalizedEbit > 0 && r > 0) {
+    // EPV 为经营业务的企业价值，经股权价值桥加回净现金等项目
+    const epv = (inputs.normalizedEbit * (1 - inputs.taxRate / 100)) / r;
+    const { equityValue } = computeEquityBridge(epv, bridge);
+    results[ALT_MODELS.EPV] = { ...fromEquity(equityValue, shares), enterpriseValue: epv };
+  } else {
+    results[ALT_MODELS.EPV] = fail(MISSING, '需要正的可持续 EBIT');
+  }
+
+  if (!(inputs.dividend > 0)) {
+    results[ALT_MODELS.DDM] = fail(MISSING, '需要正的每股股利');
+  } else if (inputs.dividendGrowth >= params.discount) {
+    results[ALT_MODELS.DDM] = fail('GROWTH_GTE_DISCOUNT', '股利增长率必须小于折现率');
+  } else {
+    results[ALT_MODELS.DDM] = fromPerShare(inputs.dividend / (r - inputs.dividendGrowth / 100), shares);
+  }
+
+  // 两种倍数各自得出股权价值，取平均；只有一种可用时即用该值
+  const multipleValues = [];
+  if (inputs.eps > 0 && inputs.peerPe > 0 && shares > 0) multipleValues.push(inputs.eps * inputs.peerPe * shares);
+  if (inputs.normalizedEbit > 0 && inputs.peerEvEbit > 0) {
+    multipleValues.push(computeEquityBridge(inputs.normalizedEbit * inputs.peerEvEbit, bridge).equityValue);
+  }
+  results[ALT_MODELS.MULTIPLES] = multipleValues.length > 0
+    ? fromEquity(multipleValues.reduce((sum, v) => sum + v, 0) / multipleValues.length, shares)
+    : fail(MISSING, '需要 EPS 与股本，或可持续 EBIT');
+
+  return results;
+};
+
+/**
+ * 增长价值拆分：DCF 股权价值 - EPV 股权价值 = 为增长支付的部分。
+ * 返回 { growthValue, growthShare } (growthShare 为占 DCF 的 %)，EPV 不可用时返回 null。
+ */
+export const splitGrowthValue = (dcfEquityValue, epvResult) => {
+  if (!epvResult?.ok || !(dcfEquityValue > 0)) return null;
+  const growthValue = dcfEquityValue - epvResult.value;
+  return { growthValue, growthShare: (growthValue / dcfEquityValue) * 100 };
+};
@@ -0,0 +1,41 @@
+/**
+ * /api/generate 错误码
+ * 服务端以 { error, code } 返回，前端据 code 给出具体提示，而不是统一的 "通讯中断"。
+ */
+
+export const API_ERRORS = {
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_MISCONFIGURED: 'SERVER_MISCONFIGURED',
+  UPSTREAM_BUSY: 'UPSTREAM_BUSY',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  STREAM_INTERRUPTED: 'STREAM_INTERRUPTED',
+};
+
+const GENERIC_MESSAGE = '通往奥马哈的通讯暂时中断，请稍后重试。';
+
+/** 把请求错误转换为界面提示文字；error 为 aiClient 抛出的错误 ({ code, status, retryAfter }) */
+export const describeApiError = (error) => {
+  switch (error?.code) {
+    case API_ERRORS.RATE_LIMITED:
+      return `提问太频繁了，巴菲特需要喝杯可乐歇一歇。请在 ${error.retryAfter ?? 60} 秒后再试。`;
+    case API_ERRORS.PAYLOAD_TOO_LARGE:
+      return '发送的内容过长，请缩短问题或清空部分对话后重试。';
+    case API_ERRORS.INVALID_REQUEST:
+      return `请求格式不被服务器接受：${error.message}`;
+    case API_ERRORS.ORIGIN_NOT_ALLOWED:
+      return '当前站点未被授权调用 AI 接口，请从官方地址访问。';
+    case API_ERRORS.SERVER_MISCONFIGURED:
+      return `服务器 AI 配置有误：${error.message}`;
+    case API_ERRORS.UPSTREAM_BUSY:
+      return 'AI 服务当前繁忙，请稍后再试。';
+    case API_ERRORS.UPSTREAM_ERROR:
+    case API_ERRORS.STREAM_INTERRUPTED:
+      return 'AI 服务返回异常，回答未能完整生成，请重试。';
+    default:
+      return GENERIC_MESSAGE;
+  }
+};
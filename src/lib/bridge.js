@@ -0,0 +1,56 @@
+/**
+ * 企业价值 → 股权价值 → 每股价值
+ * DCF 折现得到的是企业价值 (EV)，需要加回净现金与非经营性资产、扣除少数股东权益，
+ * 才是归属于普通股股东的价值；再除以稀释后股本得到可与股价对照的每股内在价值。
+ *
+ * 单位约定：金额以亿计，股本以亿股计，因此每股价值的单位恰好为元。
+ */
+
+export const DEFAULT_BRIDGE = {
+  netCash: 0,        // 净现金，负数表示净负债
+  nonOperating: 0,   // 非经营性资产 (长期股权投资、闲置物业等)
+  minority: 0,       // 少数股东权益
+  dilutedShares: 0,  // 稀释后总股本 (亿股)
+};
+
+/** 返回 { enterpriseValue, equityValue, perShare }，股本未填写时 perShare 为 null */
+export const computeEquityBridge = (enterpriseValue, bridge) => {
+  const equityValue = enterpriseValue + bridge.netCash + bridge.nonOperating - bridge.minority;
+  return {
+    enterpriseValue,
+    equityValue,
+    perShare: bridge.dilutedShares > 0 ? equityValue / bridge.dilutedShares : null,
+  };
+};
+
+/** 反向换算：市场给出的股权价值 (市值) 对应的企业价值，用于与 DCF 结果直接比较 */
+export const enterpriseFromEquity = (equityValue, bridge) =>
+  equityValue - bridge.netCash - bridge.nonOperating + bridge.minority;
+
+/**
+ * 瀑布图数据：每一步为 { name, range: [low, high], kind }
+ * kind 为 'total' (汇总柱)、'up' (增加) 或 'down' (减少)
+ */
+export const buildBridgeWaterfall = ({ stage1, tv }, bridge) => {
+  const steps = [];
+  let running = 0;
+
+  const addDelta = (name, delta) => {
+    const next = running + delta;
+    steps.push({ name, value: delta, range: [Math.min(running, next), Math.max(running, next)], kind: delta >= 0 ? 'up' : 'down' });
+    running = next;
+  };
+  const addTotal = (name) => {
+    steps.push({ name, value: running, range: [Math.min(0, running), Math.max(0, running)], kind: 'total' });
+  };
+
+  addDelta('PV1', stage1);
+  addDelta('PV2', tv);
+  addTotal('企业价值');
+  addDelta('净现金', bridge.netCash);
+  addDelta('非经营资产', bridge.nonOperating);
+  addDelta('少数股东权益', -bridge.minority);
+  addTotal('股权价值');
+
+  return steps;
+};
@@ -0,0 +1,118 @@
+/**
+ * 与巴菲特 AI 的多轮对话
+ * 每条用户消息记录发送时的估值摘要 (context)；组装请求时只在摘要变化的那一轮把新数字告诉模型，
+ * 既保证模型始终基于最新参数回答，又不会在每轮重复整段参数。
+ * 对话记录随估值一起保存到估值库 (见 lib/library.js)。
+ */
+import { DEFAULT_CURRENCY } from './currency.js';
+import { PROMPT_KINDS, buildChatSystemPrompt, buildPromptSpec, describeDiscountSource, describeGrowth, formatPromptNumber as fmt } from './prompts.js';
+import { REQUEST_LIMITS } from './requestLimits.js';
+
+export const CHAT_ROLES = {
+  USER: 'user',
+  MODEL: 'model',
+};
+
+export const MAX_CHAT_MESSAGES = 100;
+export const MAX_MESSAGE_LENGTH = 4000;
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createMessage = (role, text, context = null) => ({ id: createId(), role, text, context });
+
+/**
+ * 当前估值的文字摘要，作为对话上下文发送给模型。
+ * 数字统一保留两位小数，参数不变时摘要逐字相同，可直接比较是否发生变化。
+ */
+export const describeValuationContext = ({ meta, params, currency = DEFAULT_CURRENCY, growthSchedule, rateBuilder, valuation, bridgeResult, safety, marketCap }) => {
+  const lines = [];
+  if (meta.company) lines.push(`公司：${meta.company}${meta.ticker ? `（${meta.ticker}）` : ''}`);
+  const priceUnit = currency.code === DEFAULT_CURRENCY.code ? ' 元' : ` ${currency.code}`;
+  if (currency.code !== DEFAULT_CURRENCY.code) lines.push(`货币：以下金额均以 ${currency.code} 计`);
+  lines.push(`基期自由现金流：${fmt(params.fcf)} 亿`);
+  lines.push(describeGrowth(params, growthSchedule));
+  lines.push(`折现率：${fmt(params.discount)}%${describeDiscountSource(rateBuilder)}`);
+  lines.push(`永续增长率：${fmt(params.perpetual)}%`);
+  if (!valuation.ok) {
+    lines.push(`估值结果：无效（${valuation.error.message}）`);
+    return lines.join('\n');
+  }
+  lines.push(`内在价值（企业价值）：${fmt(valuation.total)} 亿，其中 PV1 ${fmt(valuation.stage1)} 亿、PV2 ${fmt(valuation.tv)} 亿`);
+  if (valuation.tvRatio !== null) lines.push(`永续价值占比：${fmt(valuation.tvRatio)}%`);
+  lines.push(`股权价值：${fmt(bridgeResult.equityValue)} 亿${bridgeResult.perShare !== null ? `，每股 ${fmt(bridgeResult.perShare)}${priceUnit}` : ''}`);
+  if (safety) lines.push(`安全边际买入价：${fmt(safety.value)} 亿${safety.perShare !== null ? `，每股 ${fmt(safety.perShare)}${priceUnit}` : ''}`);
+  if (marketCap !== null) lines.push(`当前市值：${fmt(marketCap)} 亿`);
+  return lines.join('\n');
+};
+
+// 超出上限的文字截断并保留开头
+const clip = (text, max) => (text.length > max ? `${text.slice(0, Math.max(0, max - 1))}…` : text);
+
+// 窗口须以用户消息开头，其中第一条用户消息总会带上当时的估值摘要
+const toRequestMessages = (messages) => {
+  let lastContext = null;
+  return messages.map((message) => {
+    if (message.role === CHAT_ROLES.MODEL) return { role: 'assistant', content: clip(message.text, REQUEST_LIMITS.messageLength) };
+    let text = message.text;
+    if (message.context && message.context !== lastContext) {
+      text = `${lastContext === null ? '【当前估值】' : '【估值参数已更新】'}\n${message.context}\n\n${text}`;
+      lastContext = message.context;
+    }
+    return { role: 'user', content: clip(text, REQUEST_LIMITS.messageLength) };
+  });
+};
+
+const totalLength = (requestMessages) => requestMessages.reduce((sum, m) => sum + m.content.length, 0);
+
+/**
+ * 组装 /api/generate 请求体 (通用请求格式，见 api/_lib/llmRequest.js)。
+ * settings 为 AI 分析师设置，服务端据此生成对话提示词，深度报告 report 附在其后作为 "此前的点评" (见 lib/prompts.js)；
+ * 未完成或被取消的空回复不发送。
+ * 请求按服务端的上限 (lib/requestLimits.js) 裁剪，避免长对话之后每次发送都被拒绝：
+ * 报告过长时截断，单条回复过长时截断，总长度或条数超出时从最早的一轮开始丢弃。
+ */
+export const buildChatRequest = ({ messages, report = '', settings }) => {
+  const overflow = buildChatSystemPrompt(settings, report).length - REQUEST_LIMITS.systemLength;
+  const fittedReport = overflow > 0 ? clip(report, report.length - overflow) : report;
+  const budget = REQUEST_LIMITS.totalLength - buildChatSystemPrompt(settings, fittedReport).length;
+
+  const recent = messages
+    .filter((message) => message.role === CHAT_ROLES.USER || message.text)
+    .slice(-REQUEST_LIMITS.messageCount);
+  const isUser = (message) => message.role === CHAT_ROLES.USER;
+  let start = recent.findIndex(isUser);
+  let requestMessages = toRequestMessages(recent.slice(start));
+  while (totalLength(requestMessages) > budget) {
+    const next = recent.findIndex((message, i) => i > start && isUser(message));
+    if (next === -1) break;
+    start = next;
+    requestMessages = toRequestMessages(recent.slice(start));
+  }
+
+  return {
+    prompt: buildPromptSpec(PROMPT_KINDS.CHAT, settings, fittedReport),
+    messages: requestMessages,
+  };
+};
+
+/** 用户消息的估值摘要相对上一条用户消息发生变化时返回 true (用于在界面上提示) */
+export const contextChangedAt = (messages, index) => {
+  const message = messages[index];
+  if (message.role !== CHAT_ROLES.USER || !message.context) return false;
+  const previous = messages.slice(0, index).reverse().find((m) => m.role === CHAT_ROLES.USER && m.context);
+  return previous !== undefined && previous.context !== message.context;
+};
+
+/** 校验保存的对话记录，丢弃格式不符的消息 */
+export const sanitizeChat = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((m) => m && Object.values(CHAT_ROLES).includes(m.role) && typeof m.text === 'string')
+    .slice(-MAX_CHAT_MESSAGES)
+    .map((m) => ({
+      id: typeof m.id === 'string' ? m.id : createId(),
+      role: m.role,
+      text: m.text.slice(0, m.role === CHAT_ROLES.USER ? MAX_MESSAGE_LENGTH : undefined),
+      context: typeof m.context === 'string' ? m.context : null,
+    }));
+};
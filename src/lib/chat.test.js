@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { CHAT_ROLES, buildChatRequest, createMessage, describeValuationContext } from './chat.js';
+import { DEFAULT_AI_SETTINGS, buildChatSystemPrompt, buildPromptFields } from './prompts.js';
+import { DEFAULT_PARAMS } from './params.js';
+import { SCHEDULE_MODES } from './growthSchedule.js';
+import { DEFAULT_RATE_BUILDER, RATE_METHODS } from './discountRate.js';
+import { REQUEST_LIMITS } from './requestLimits.js';
+import { parseLlmRequest } from '../../api/_lib/llmRequest.js';
+
+const settings = DEFAULT_AI_SETTINGS;
+
+// 一问一答为一轮，用户消息带估值摘要
+const conversation = (turns, { question = '问题', answer = '回答', context = 'FCF 10 亿' } = {}) =>
+  Array.from({ length: turns }, (_, i) => [
+    createMessage(CHAT_ROLES.USER, `${question}${i}`, context),
+    createMessage(CHAT_ROLES.MODEL, `${answer}${i}`),
+  ]).flat();
+
+const requestLength = (request) =>
+  buildChatSystemPrompt(settings, request.prompt.report).length + request.messages.reduce((sum, m) => sum + m.content.length, 0);
+
+describe('buildChatRequest', () => {
+  it('第一条用户消息带上估值摘要，参数不变的后续消息不重复', () => {
+    const request = buildChatRequest({ messages: [...conversation(2), createMessage(CHAT_ROLES.USER, '再问', 'FCF 12 亿')], settings });
+    expect(request.messages.map((m) => m.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+    expect(request.messages[0].content).toBe('【当前估值】\nFCF 10 亿\n\n问题0');
+    expect(request.messages[2].content).toBe('问题1');
+    expect(request.messages[4].content).toBe('【估值参数已更新】\nFCF 12 亿\n\n再问');
+    expect(request.prompt).toEqual({ template: 'chat', ...settings });
+  });
+
+  it('空回复不发送，窗口以用户消息开头', () => {
+    const messages = [createMessage(CHAT_ROLES.MODEL, '开场白'), ...conversation(1), createMessage(CHAT_ROLES.MODEL, '')];
+    expect(buildChatRequest({ messages, settings }).messages.map((m) => m.role)).toEqual(['user', 'assistant']);
+  });
+
+  it('条数超出上限时丢弃最早的消息', () => {
+    const request = buildChatRequest({ messages: conversation(30), settings });
+    expect(request.messages.length).toBeLessThanOrEqual(REQUEST_LIMITS.messageCount);
+    expect(request.messages.at(-1).content).toBe('回答29');
+  });
+
+  it('总长度超出上限时从最早的一轮开始丢弃，新的窗口首条消息重新带上估值摘要', () => {
+    const messages = conversation(12, { question: '问'.repeat(3000), answer: '答'.repeat(3000) });
+    const request = buildChatRequest({ messages, report: '报告'.repeat(1000), settings });
+    expect(requestLength(request)).toBeLessThanOrEqual(REQUEST_LIMITS.totalLength);
+    expect(request.messages.length).toBeLessThan(24);
+    expect(request.messages[0].role).toBe('user');
+    expect(request.messages[0].content.startsWith('【当前估值】')).toBe(true);
+    expect(request.messages.at(-1).content).toBe(`${'答'.repeat(3000)}11`);
+  });
+
+  it('过长的报告与回复被截断，长对话之后的请求仍能通过服务端校验', () => {
+    const messages = [
+      ...conversation(20, { question: '问'.repeat(4000), answer: '答'.repeat(12000) }),
+      createMessage(CHAT_ROLES.USER, '最后一问', 'FCF 10 亿'),
+    ];
+    const request = buildChatRequest({ messages, report: '报告'.repeat(10000), settings });
+    expect(buildChatSystemPrompt(settings, request.prompt.report).length).toBe(REQUEST_LIMITS.systemLength);
+    expect(request.messages.every((m) => m.content.length <= REQUEST_LIMITS.messageLength)).toBe(true);
+    expect(request.messages.at(-1).content).toBe('最后一问');
+    expect(parseLlmRequest(request).ok).toBe(true);
+  });
+});
+
+describe('describeValuationContext', () => {
+  const valuation = { ok: false, error: { message: '无效' } };
+  const describeBoth = (overrides) => {
+    const state = { meta: {}, params: DEFAULT_PARAMS, growthSchedule: [], rateBuilder: DEFAULT_RATE_BUILDER, valuation, marketCap: null, ...overrides };
+    return { context: describeValuationContext(state), fields: buildPromptFields(state) };
+  };
+
+  it.each([
+    ['阶段增长', {}],
+    ['逐年增长', { params: { ...DEFAULT_PARAMS, scheduleMode: SCHEDULE_MODES.CUSTOM }, growthSchedule: [20, 12.345, 8] }],
+  ])('%s：增长描述与提示词字段一致', (_, overrides) => {
+    const { context, fields } = describeBoth(overrides);
+    expect(context.split('\n')).toContain(fields.growthDesc);
+  });
+
+  it.each([
+    [RATE_METHODS.WACC, 'CAPM + WACC'],
+    [RATE_METHODS.BUFFETT, '长期国债收益率 + 回报门槛'],
+  ])('折现率来源 %s 与提示词字段一致', (method, name) => {
+    const { context, fields } = describeBoth({ rateBuilder: { ...DEFAULT_RATE_BUILDER, enabled: true, method } });
+    expect(fields.discountSource).toBe(`（由${name}推导）`);
+    expect(context).toContain(`%${fields.discountSource}`);
+  });
+
+  it('未启用折现率构建器时不带来源', () => {
+    const { context, fields } = describeBoth({});
+    expect(fields.discountSource).toBe('');
+    expect(context).not.toContain('推导');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * CSV 解析 / 生成
+ * 遵循 RFC 4180：支持引号包裹、字段内换行与 "" 转义；自动识别逗号、分号与制表符分隔。
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// 以首行中出现次数最多的候选分隔符为准
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return DELIMITERS.reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+};
+
+/** 返回二维字符串数组，自动去除 UTF-8 BOM 与末尾空行 */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+};
+
+const escapeCell = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** 二维数组 → CSV 文本 (CRLF 换行)；delimiter 传入 '\t' 时得到可直接粘贴进表格软件的 TSV */
+export const toCsv = (rows, delimiter = ',') => rows.map((row) => row.map((cell) => escapeCell(cell, delimiter)).join(delimiter)).join('\r\n');
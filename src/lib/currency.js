@@ -0,0 +1,70 @@
+/**
+ * 估值货币、金额单位与汇率换算
+ * 模型内部的金额始终以 "亿 (1e8) 估值货币" 保存、股本以亿股保存，因此每股价值的单位为估值货币本身；
+ * 选择的金额单位只影响显示与输入 (输入框显示 value × factor，写回时除以 factor)，
+ * 切换单位或货币都不会改动已保存的数字，旧的分享链接与估值库数据按 人民币 / 亿 解读。
+ *
+ * 市场报价 (股价、总市值) 以报价货币输入。报价货币与估值货币不同时，
+ * 按用户填写的汇率 (1 单位估值货币 = fxRate 单位报价货币) 折算为估值货币后再与估值结果比较。
+ */
+
+export const CURRENCIES = {
+  CNY: 'CNY',
+  HKD: 'HKD',
+  USD: 'USD',
+  EUR: 'EUR',
+  GBP: 'GBP',
+  JPY: 'JPY',
+};
+
+export const CURRENCY_SYMBOLS = {
+  [CURRENCIES.CNY]: '¥',
+  [CURRENCIES.HKD]: 'HK$',
+  [CURRENCIES.USD]: '$',
+  [CURRENCIES.EUR]: '€',
+  [CURRENCIES.GBP]: '£',
+  [CURRENCIES.JPY]: 'JP¥',
+};
+
+/** 金额单位；AUTO 按界面语言选择 (中文为亿，英文为 billions，不足 1B 时显示 millions) */
+export const AMOUNT_SCALES = {
+  AUTO: 'auto',
+  UNITS: 'units',
+  THOUSANDS: 'thousands',
+  MILLIONS: 'millions',
+  YI: 'yi',
+  BILLIONS: 'billions',
+};
+
+/** 各单位相对于 "亿" 的换算系数：显示值 = 以亿计的金额 × factor */
+export const SCALE_FACTORS = {
+  [AMOUNT_SCALES.UNITS]: 1e8,
+  [AMOUNT_SCALES.THOUSANDS]: 1e5,
+  [AMOUNT_SCALES.MILLIONS]: 100,
+  [AMOUNT_SCALES.YI]: 1,
+  [AMOUNT_SCALES.BILLIONS]: 0.1,
+};
+
+export const FX_RATE_RANGE = [1e-6, 1e6];
+
+export const DEFAULT_CURRENCY = {
+  code: CURRENCIES.CNY,        // 估值货币 (财报货币)
+  scale: AMOUNT_SCALES.AUTO,   // 金额显示 / 输入单位
+  quoteCode: CURRENCIES.CNY,   // 报价货币 (上市地货币)
+  fxRate: 1,                   // 1 单位估值货币 = fxRate 单位报价货币
+};
+
+/** 报价货币与估值货币不同时需要按汇率换算 */
+export const hasFxConversion = (currency) => currency.quoteCode !== currency.code;
+
+/** 报价货币金额 → 估值货币金额；null 原样返回 */
+export const quoteToValuation = (value, currency) => {
+  if (value === null || !hasFxConversion(currency)) return value;
+  return value / currency.fxRate;
+};
+
+/** 估值货币金额 → 报价货币金额；null 原样返回 */
+export const valuationToQuote = (value, currency) => {
+  if (value === null || !hasFxConversion(currency)) return value;
+  return value * currency.fxRate;
+};
@@ -0,0 +1,145 @@
+/**
+ * 结构化 AI 诊断
+ * 通过 JSON Schema 要求模型输出 JSON (护城河、管理层、资产负债表、假设合理性、参数调整建议、总体结论)，
+ * 前端再做一次完整校验；任何一项不合格即视为格式错误，由调用方按纯文本展示。
+ * 原始文本 (deepReport) 仍是唯一的保存格式，诊断结构随时由文本重新解析得到。
+ */
+import { PARAM_LIMITS } from './params.js';
+import { PROMPT_KINDS, buildPromptSpec } from './prompts.js';
+
+export const DIAGNOSIS_ASPECTS = [
+  { key: 'moat', label: '护城河' },
+  { key: 'management', label: '管理层' },
+  { key: 'balanceSheet', label: '资产负债表稳健度' },
+  { key: 'assumptions', label: '估值假设合理性' },
+];
+
+export const VERDICTS = {
+  BUY: 'buy',
+  HOLD: 'hold',
+  AVOID: 'avoid',
+};
+
+export const VERDICT_LABELS = {
+  [VERDICTS.BUY]: '值得买入',
+  [VERDICTS.HOLD]: '继续观察',
+  [VERDICTS.AVOID]: '敬而远之',
+};
+
+// 可由 AI 建议并一键应用的参数
+export const ADJUSTABLE_PARAMS = {
+  fcf: { label: '基期 FCF', unit: ' 亿' },
+  growth: { label: '增长率', unit: '%' },
+  discount: { label: '折现率', unit: '%' },
+  perpetual: { label: '永续增长率', unit: '%' },
+  highYears: { label: '高速增长期', unit: ' 年' },
+  fadeYears: { label: '渐退期', unit: ' 年' },
+};
+
+export const MAX_SCORE = 5;
+
+const aspectSchema = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', description: `1-${MAX_SCORE} 分，分数越高越好 (资产负债表为越稳健越高)` },
+    summary: { type: 'string', description: '一到两句点评' },
+  },
+  required: ['score', 'summary'],
+};
+
+/** 标准 JSON Schema，由服务端 provider 转换为各厂商的结构化输出参数 */
+export const DIAGNOSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(DIAGNOSIS_ASPECTS.map(({ key }) => [key, aspectSchema])),
+    adjustments: {
+      type: 'array',
+      description: '建议调整的估值参数，没有则返回空数组',
+      items: {
+        type: 'object',
+        properties: {
+          param: { type: 'string', enum: Object.keys(ADJUSTABLE_PARAMS) },
+          value: { type: 'number', description: '建议值；比率类参数以 % 表示，如 8 表示 8%' },
+          reason: { type: 'string' },
+        },
+        required: ['param', 'value', 'reason'],
+      },
+    },
+    verdict: {
+      type: 'object',
+      properties: {
+        rating: { type: 'string', enum: Object.values(VERDICTS) },
+        summary: { type: 'string', description: '总体结论，口吻与篇幅遵循系统提示词' },
+      },
+      required: ['rating', 'summary'],
+    },
+  },
+  required: [...DIAGNOSIS_ASPECTS.map(({ key }) => key), 'adjustments', 'verdict'],
+};
+
+/**
+ * 结构化诊断的请求体 (通用请求格式，见 api/_lib/llmRequest.js)
+ * settings 为 AI 分析师设置，系统提示词由服务端按所选人设生成 (见 lib/prompts.js)。
+ */
+export const buildDiagnosisRequest = (userPrompt, settings) => ({
+  prompt: buildPromptSpec(PROMPT_KINDS.DIAGNOSIS, settings),
+  messages: [{ role: 'user', content: userPrompt }],
+  options: { json: { schema: DIAGNOSIS_SCHEMA } },
+});
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// 超出滑块范围的建议值收敛到边界并对齐步长，保证一键应用后滑块仍可操作
+const normalizeAdjustment = (raw) => {
+  if (!raw || !Object.hasOwn(ADJUSTABLE_PARAMS, raw.param) || !Number.isFinite(raw.value) || !isNonEmptyString(raw.reason)) return null;
+  const limits = PARAM_LIMITS[raw.param];
+  let value = limits ? clamp(raw.value, limits) : raw.value;
+  if (raw.param === 'fcf' && !(value > 0)) return null;
+  if (limits) value = Math.round(value / limits.step) * limits.step;
+  return { param: raw.param, value: Number(value.toFixed(2)), reason: raw.reason.trim() };
+};
+
+/**
+ * 解析并校验模型输出。
+ * 返回 { ok: true, diagnosis } 或 { ok: false, error: { code: 'MALFORMED', message } }
+ * 不合格的单条调整建议会被丢弃，而不是让整份诊断失效。
+ */
+export const parseDiagnosis = (text) => {
+  const malformed = { ok: false, error: { code: 'MALFORMED', message: 'AI 返回的内容不是有效的结构化诊断' } };
+  let raw;
+  try {
+    // 兼容模型偶尔包裹的 ```json 代码块
+    raw = JSON.parse(String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    return malformed;
+  }
+  if (!raw || typeof raw !== 'object') return malformed;
+
+  const diagnosis = {};
+  for (const { key } of DIAGNOSIS_ASPECTS) {
+    const aspect = raw[key];
+    if (!aspect || !Number.isFinite(aspect.score) || !isNonEmptyString(aspect.summary)) return malformed;
+    diagnosis[key] = { score: clamp(Math.round(aspect.score), { min: 1, max: MAX_SCORE }), summary: aspect.summary.trim() };
+  }
+  if (!raw.verdict || !Object.values(VERDICTS).includes(raw.verdict.rating) || !isNonEmptyString(raw.verdict.summary)) return malformed;
+  diagnosis.verdict = { rating: raw.verdict.rating, summary: raw.verdict.summary.trim() };
+  diagnosis.adjustments = (Array.isArray(raw.adjustments) ? raw.adjustments : []).map(normalizeAdjustment).filter(Boolean);
+
+  return { ok: true, diagnosis };
+};
+
+/** 诊断转为可读文本，用于备忘录与对话上下文 */
+export const formatDiagnosisText = (diagnosis) => [
+  `总体结论：${VERDICT_LABELS[diagnosis.verdict.rating]}。${diagnosis.verdict.summary}`,
+  ...DIAGNOSIS_ASPECTS.map(({ key, label }) => `${label}（${diagnosis[key].score}/${MAX_SCORE}）：${diagnosis[key].summary}`),
+  ...diagnosis.adjustments.map((a) => `建议将${ADJUSTABLE_PARAMS[a.param].label}调整为 ${a.value}${ADJUSTABLE_PARAMS[a.param].unit}：${a.reason}`),
+].join('\n');
+
+/** 报告原文 → 可读文本；非结构化报告原样返回 */
+export const reportToText = (report) => {
+  if (!report) return '';
+  const parsed = parseDiagnosis(report);
+  return parsed.ok ? formatDiagnosisText(parsed.diagnosis) : report;
+};
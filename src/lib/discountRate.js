@@ -0,0 +1,65 @@
+/**
+ * 折现率构建器
+ * 两种来源：
+ *   WACC     股权成本按 CAPM (无风险利率 + β × 股权风险溢价)，与税后债务成本按资本结构加权
+ *   BUFFETT  巴菲特式：长期国债收益率 + 自定的最低回报门槛
+ * 所有比率均以 % 表示。
+ */
+import { PARAM_LIMITS } from './params.js';
+
+export const RATE_METHODS = {
+  WACC: 'wacc',
+  BUFFETT: 'buffett',
+};
+
+/** 来源名称，AI 提示词、对话上下文与界面共用 (界面的其他语言见词典 common.rateSource) */
+export const RATE_SOURCE_NAMES = {
+  [RATE_METHODS.WACC]: 'CAPM + WACC',
+  [RATE_METHODS.BUFFETT]: '长期国债收益率 + 回报门槛',
+};
+
+export const DEFAULT_RATE_BUILDER = {
+  enabled: false,
+  method: RATE_METHODS.WACC,
+  riskFree: 2.5,
+  equityPremium: 5.5,
+  beta: 1.0,
+  costOfDebt: 4.0,
+  taxRate: 25,
+  debtWeight: 20,    // 债务占总资本比例 D / (D + E)
+  bondYield: 4.5,
+  hurdle: 5.0,
+};
+
+/**
+ * 返回：
+ *   { ok: true, rawRate, rate, clamped, breakdown }
+ *     rawRate 公式算出的折现率；rate 为截断到滑块范围后实际写入 params.discount 的值
+ *   { ok: false, error: { code, message } }
+ */
+export const computeDiscountRate = (builder) => {
+  let rawRate;
+  let breakdown;
+
+  if (builder.method === RATE_METHODS.BUFFETT) {
+    rawRate = builder.bondYield + builder.hurdle;
+    breakdown = { bondYield: builder.bondYield, hurdle: builder.hurdle };
+  } else {
+    if (builder.debtWeight < 0 || builder.debtWeight > 100) {
+      return { ok: false, error: { code: 'INVALID_CAPITAL_STRUCTURE', message: '债务占比须在 0% ~ 100% 之间' } };
+    }
+    const costOfEquity = builder.riskFree + builder.beta * builder.equityPremium;
+    const afterTaxDebt = builder.costOfDebt * (1 - builder.taxRate / 100);
+    const debtShare = builder.debtWeight / 100;
+    rawRate = (1 - debtShare) * costOfEquity + debtShare * afterTaxDebt;
+    breakdown = { costOfEquity, afterTaxDebt, equityWeight: 100 - builder.debtWeight, debtWeight: builder.debtWeight };
+  }
+
+  if (!Number.isFinite(rawRate)) {
+    return { ok: false, error: { code: 'INVALID_INPUT', message: '折现率构建参数必须为有效数字' } };
+  }
+
+  const { min, max } = PARAM_LIMITS.discount;
+  const rate = Math.round(Math.min(max, Math.max(min, rawRate)) * 100) / 100;
+  return { ok: true, rawRate, rate, clamped: rate !== Math.round(rawRate * 100) / 100, breakdown };
+};
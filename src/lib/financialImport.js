@@ -0,0 +1,211 @@
+/**
+ * 历史财务数据导入
+ * 把 CSV / XLSX 读成二维表，按列映射到标准字段，逐行校验后输出年度记录。
+ * 文件中的金额与股本按界面显示的单位填写，导入时换算为模型约定的亿 / 亿股 (见 toModelUnits)。
+ */
+import { parseCsv } from './csv.js';
+import { scaleValue } from './i18n.js';
+
+export const IMPORT_FIELDS = [
+  { key: 'year', label: '年份', required: true, aliases: ['year', 'fy', 'fiscal year', '年份', '年度', '会计年度'] },
+  { key: 'revenue', label: '营业收入', aliases: ['revenue', 'sales', 'total revenue', '营业收入', '营业总收入', '收入'] },
+  { key: 'netIncome', label: '净利润', required: true, aliases: ['net income', 'net profit', 'netincome', '净利润', '归母净利润'] },
+  { key: 'operatingCashFlow', label: '经营现金流', aliases: ['operating cash flow', 'cfo', 'ocf', '经营活动现金流量净额', '经营现金流'] },
+  { key: 'capex', label: '资本开支', aliases: ['capex', 'capital expenditure', 'capital expenditures', '资本开支', '资本支出', '购建固定资产'] },
+  { key: 'da', label: '折旧摊销', aliases: ['d&a', 'da', 'depreciation', 'depreciation and amortization', '折旧摊销', '折旧与摊销'] },
+  { key: 'shares', label: '总股本', aliases: ['shares', 'shares outstanding', 'diluted shares', '总股本', '股本'] },
+  { key: 'netDebt', label: '净负债', aliases: ['net debt', 'netdebt', '净负债', '净债务'] },
+];
+
+export const IMPORT_ERRORS = {
+  UNSUPPORTED_FILE: 'UNSUPPORTED_FILE',
+  EMPTY_FILE: 'EMPTY_FILE',
+};
+
+// 逐行校验的问题类型
+export const ROW_ERRORS = {
+  MISSING_MAPPING: 'MISSING_MAPPING',
+  UNPARSEABLE: 'UNPARSEABLE',
+  EMPTY_VALUE: 'EMPTY_VALUE',
+  DUPLICATE_YEAR: 'DUPLICATE_YEAR',
+};
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/** 按表头别名猜测列映射，返回 { fieldKey: columnIndex }，未匹配的字段为 -1 */
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(IMPORT_FIELDS.map((field) => [
+    field.key,
+    normalized.findIndex((h) => field.aliases.includes(h)),
+  ]));
+};
+
+/** 行列互换，用于 "年份横向排列" 的报表格式 */
+export const transpose = (table) => {
+  const width = Math.max(0, ...table.map((row) => row.length));
+  return Array.from({ length: width }, (_, c) => table.map((row) => row[c] ?? ''));
+};
+
+/**
+ * 解析单元格数字：兼容千分位、货币符号、括号负数 (1,234) 与 Excel 导出的数值类型。
+ * 空白返回 null，无法识别返回 NaN。
+ */
+export const parseNumber = (cell) => {
+  if (typeof cell === 'number') return cell;
+  const text = String(cell ?? '').trim();
+  if (text === '' || text === '-' || text === '—') return null;
+  const negative = /^\(.*\)$/.test(text);
+  const cleaned = text.replace(/[(),\s¥$€£]/g, '');
+  const value = Number(cleaned);
+  return negative ? -value : value;
+};
+
+// 兼容 "2023"、"FY2023"、"2023-12-31"、"2023年" 等写法
+const parseYear = (cell) => {
+  if (typeof cell === 'number') return Number.isInteger(cell) ? cell : NaN;
+  const match = String(cell ?? '').match(/(19|20)\d{2}/);
+  return match ? Number(match[0]) : NaN;
+};
+
+/**
+ * 按映射把数据行转换为记录。
+ * 返回 { records, errors }，errors 为 [{ row, field, code, value, message }]，row 为源文件中的行号 (表头为第 1 行)，
+ * code 取自 ROW_ERRORS，value 为出错的单元格内容或重复的年份。
+ * 出错的行不会进入 records；同一年份重复出现时保留后者并记录警告。
+ */
+export const mapRows = (table, mapping) => {
+  const [, ...dataRows] = table;
+  const errors = [];
+  const byYear = new Map();
+
+  dataRows.forEach((cells, i) => {
+    const rowNumber = i + 2;
+    const record = {};
+    let valid = true;
+
+    IMPORT_FIELDS.forEach((field) => {
+      const column = mapping[field.key];
+      if (column === undefined || column < 0) {
+        if (field.required) {
+          errors.push({ row: rowNumber, field: field.key, code: ROW_ERRORS.MISSING_MAPPING, message: `缺少必填字段「${field.label}」的列映射` });
+          valid = false;
+        }
+        record[field.key] = null;
+        return;
+      }
+      const cell = cells[column];
+      const value = field.key === 'year' ? parseYear(cell) : parseNumber(cell);
+      if (Number.isNaN(value)) {
+        errors.push({ row: rowNumber, field: field.key, code: ROW_ERRORS.UNPARSEABLE, value: String(cell), message: `「${field.label}」无法识别：${String(cell)}` });
+        valid = false;
+      } else if (value === null && field.required) {
+        errors.push({ row: rowNumber, field: field.key, code: ROW_ERRORS.EMPTY_VALUE, message: `「${field.label}」为空` });
+        valid = false;
+      }
+      record[field.key] = value;
+    });
+
+    if (!valid) return;
+    if (byYear.has(record.year)) {
+      errors.push({ row: rowNumber, field: 'year', code: ROW_ERRORS.DUPLICATE_YEAR, value: record.year, message: `${record.year} 年重复出现，已使用此行数据` });
+    }
+    byYear.set(record.year, record);
+  });
+
+  const records = [...byYear.values()].sort((a, b) => a.year - b.year);
+  return { records, errors };
+};
+
+/** 年复合增长率 (%)，首尾值须为正 */
+export const cagr = (first, last, years) => {
+  if (!(first > 0) || !(last > 0) || years <= 0) return null;
+  return (Math.pow(last / first, 1 / years) - 1) * 100;
+};
+
+/**
+ * 根据导入记录给出增长率建议：优先使用营业收入，其次 FCF、净利润。
+ * 返回 { value, source } 或 null，source 为 'revenue' / 'fcf' / 'netIncome'。
+ */
+export const suggestGrowth = (records) => {
+  if (records.length < 2) return null;
+  const first = records[0];
+  const last = records[records.length - 1];
+  const span = last.year - first.year;
+  const fcf = (r) => (r.operatingCashFlow !== null && r.capex !== null ? r.operatingCashFlow - Math.abs(r.capex) : null);
+  const candidates = [
+    ['revenue', first.revenue, last.revenue],
+    ['fcf', fcf(first), fcf(last)],
+    ['netIncome', first.netIncome, last.netIncome],
+  ];
+  for (const [source, a, b] of candidates) {
+    const value = cagr(a, b, span);
+    if (value !== null) return { value, source };
+  }
+  return null;
+};
+
+const AMOUNT_KEYS = ['revenue', 'netIncome', 'operatingCashFlow', 'capex', 'da', 'netDebt'];
+
+/**
+ * 把按显示单位填写的记录换算为亿 / 亿股。
+ * amountFactor / sharesFactor 为界面单位相对亿的倍数 (即 i18n 的 amountUnit.factor / sharesUnit.factor)。
+ */
+export const toModelUnits = (records, { amountFactor = 1, sharesFactor = 1 } = {}) => {
+  const toModel = (value, factor) => (value === null ? null : scaleValue(value, 1 / factor));
+  return records.map((r) => ({
+    ...r,
+    ...Object.fromEntries(AMOUNT_KEYS.map((key) => [key, toModel(r[key], amountFactor)])),
+    shares: toModel(r.shares, sharesFactor),
+  }));
+};
+
+/** 导入记录 (亿) → 所有者盈余计算器的报表行 */
+export const toFinancialRows = (records) => records.map((r) => {
+  // 报表中资本开支常以负数列示，统一取绝对值
+  const capex = Math.abs(r.capex ?? 0);
+  return {
+    year: r.year,
+    netIncome: r.netIncome,
+    da: r.da ?? 0,
+    // 导入数据无法区分维持性与扩张性资本开支，保守地以全部资本开支作为初值，用户可再调整
+    maintenanceCapex: capex,
+    capex,
+    wcChange: 0,
+    operatingCashFlow: r.operatingCashFlow,
+  };
+});
+
+/** ExcelJS 工作表 → 二维表；公式单元格取缓存结果，富文本取纯文本 */
+export const sheetToTable = (sheet) => {
+  const table = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      const v = cell.value;
+      values[col - 1] = v && typeof v === 'object' ? (v.result ?? v.text ?? '') : (v ?? '');
+    });
+    table.push(Array.from(values, (v) => v ?? ''));
+  });
+  return table;
+};
+
+/** 读取本地文件为二维表；XLSX 取第一个工作表 */
+export const readTableFromFile = async (file) => {
+  const name = file.name.toLowerCase();
+  let table;
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    table = parseCsv(await file.text());
+  } else if (name.endsWith('.xlsx')) {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await file.arrayBuffer());
+    table = workbook.worksheets[0] ? sheetToTable(workbook.worksheets[0]) : [];
+  } else {
+    return { ok: false, error: { code: IMPORT_ERRORS.UNSUPPORTED_FILE, message: '仅支持 .csv 与 .xlsx 文件' } };
+  }
+  if (table.length < 2) {
+    return { ok: false, error: { code: IMPORT_ERRORS.EMPTY_FILE, message: '文件中没有可导入的数据行' } };
+  }
+  return { ok: true, table };
+};
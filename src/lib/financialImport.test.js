@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { guessMapping, mapRows, toFinancialRows, toModelUnits } from './financialImport.js';
+import { AMOUNT_SCALES, SCALE_FACTORS } from './currency.js';
+
+const table = [
+  ['Year', 'Net income', 'Operating cash flow', 'Capex', 'D&A', 'Shares', 'Net debt', 'Revenue'],
+  ['2022', '8,000', '9,500', '(2,000)', '1,200', '1,500', '-3,000', '50,000'],
+  ['2023', '9,000', '10,000', '(2,500)', '', '1,480', '', '56,000'],
+];
+
+const importRecords = (scale) => {
+  const { records } = mapRows(table, guessMapping(table[0]));
+  return toModelUnits(records, { amountFactor: SCALE_FACTORS[scale], sharesFactor: SCALE_FACTORS[scale] });
+};
+
+describe('toModelUnits', () => {
+  it('以百万填写的金额与股本换算为亿 / 亿股', () => {
+    const [first, second] = importRecords(AMOUNT_SCALES.MILLIONS);
+    expect(first).toEqual({
+      year: 2022, revenue: 500, netIncome: 80, operatingCashFlow: 95, capex: -20, da: 12, shares: 15, netDebt: -30,
+    });
+    expect(second).toMatchObject({ year: 2023, netIncome: 90, da: null, netDebt: null, shares: 14.8 });
+  });
+
+  it('以十亿填写时放大 10 倍，以亿填写时保持不变', () => {
+    expect(importRecords(AMOUNT_SCALES.BILLIONS)[0]).toMatchObject({ netIncome: 80000, shares: 15000 });
+    expect(importRecords(AMOUNT_SCALES.YI)[0]).toMatchObject({ netIncome: 8000, shares: 1500 });
+  });
+
+  it('换算后的记录直接用于所有者盈余报表行', () => {
+    const [row] = toFinancialRows(importRecords(AMOUNT_SCALES.MILLIONS));
+    expect(row).toMatchObject({ year: 2022, netIncome: 80, da: 12, capex: 20, maintenanceCapex: 20, operatingCashFlow: 95 });
+  });
+});
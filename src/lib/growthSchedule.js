@@ -0,0 +1,33 @@
+/**
+ * 增长路径 (Growth Schedule)
+ * 三阶段模型：高速增长期 → 线性渐退期 → 永续期。
+ * 返回逐年增长率数组 (%)，长度即显式预测期年数，永续期由估值引擎单独处理。
+ */
+
+export const SCHEDULE_MODES = {
+  STAGES: 'stages',
+  CUSTOM: 'custom',
+};
+
+export const MAX_SCHEDULE_YEARS = 30;
+
+/**
+ * 高速期保持 growth 不变；渐退期第 i 年 (1..fadeYears) 从 growth 线性逼近 perpetual，
+ * 但不会在显式预测期内落到 perpetual 本身，以便与永续期自然衔接。
+ */
+export const buildGrowthSchedule = ({ growth, highYears, fadeYears, perpetual }) => {
+  const schedule = [];
+  for (let t = 1; t <= highYears; t++) schedule.push(growth);
+  for (let i = 1; i <= fadeYears; i++) {
+    schedule.push(growth + ((perpetual - growth) * i) / (fadeYears + 1));
+  }
+  return schedule;
+};
+
+/** 根据 params 中的模式返回最终生效的逐年增长率 */
+export const resolveGrowthSchedule = (params) => {
+  if (params.scheduleMode === SCHEDULE_MODES.CUSTOM && Array.isArray(params.customGrowth) && params.customGrowth.length > 0) {
+    return params.customGrowth;
+  }
+  return buildGrowthSchedule(params);
+};
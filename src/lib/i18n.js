@@ -0,0 +1,207 @@
+/**
+ * 界面语言与本地化格式
+ * 词条按组件分命名空间存放在 src/locales/<语言>.js 中，t('命名空间.词条', { 变量 }) 取词并替换 {变量}。
+ * 取词顺序：当前语言 → 简体中文 → 调用方给出的 fallback → 词条键本身，
+ * 因此 lib 中带错误码的中文提示可以直接作为 fallback，英文词典只需覆盖已知的错误码。
+ *
+ * 金额在模型内部始终以 "亿" 为单位保存 (分享链接、估值库与导出文件均不受界面语言影响)，
+ * 只在显示与输入时换算：估值选择了金额单位时按该单位显示，否则按语言选择——
+ * 中文显示 "亿"，英文显示 billions / millions (1 亿 = 0.1B = 100M)。
+ */
+import { AMOUNT_SCALES, CURRENCY_SYMBOLS, DEFAULT_CURRENCY, SCALE_FACTORS } from './currency.js';
+import zhCN from '../locales/zh-CN.js';
+import enUS from '../locales/en-US.js';
+
+export const LOCALES = {
+  ZH_CN: 'zh-CN',
+  EN_US: 'en-US',
+};
+
+export const LOCALE_OPTIONS = [
+  { id: LOCALES.ZH_CN, label: '中文', shortLabel: '中' },
+  { id: LOCALES.EN_US, label: 'English', shortLabel: 'EN' },
+];
+
+export const DEFAULT_LOCALE = LOCALES.ZH_CN;
+export const LOCALE_STORAGE_KEY = 'buffett-valuation:locale:v1';
+
+const DICTIONARIES = {
+  [LOCALES.ZH_CN]: zhCN,
+  [LOCALES.EN_US]: enUS,
+};
+
+const isLocale = (value) => Object.hasOwn(DICTIONARIES, value);
+
+/** 浏览器语言以 zh 开头时使用中文，其余使用英文 */
+export const detectLocale = (languages = []) => {
+  const first = languages.find((lang) => typeof lang === 'string' && lang);
+  if (!first) return DEFAULT_LOCALE;
+  return first.toLowerCase().startsWith('zh') ? LOCALES.ZH_CN : LOCALES.EN_US;
+};
+
+/** 读取保存的语言；未保存时按浏览器语言推断 */
+export const loadLocale = (storage = window.localStorage, languages = window.navigator.languages) => {
+  try {
+    const saved = storage.getItem(LOCALE_STORAGE_KEY);
+    if (isLocale(saved)) return saved;
+  } catch {
+    // 读取失败时按浏览器语言推断
+  }
+  return detectLocale(languages);
+};
+
+export const persistLocale = (locale, storage = window.localStorage) => {
+  try {
+    storage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch {
+    // 偏好设置写入失败时仅在本次会话内生效
+  }
+};
+
+// --- 取词 ---
+const lookup = (dictionary, key) => {
+  const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+  return typeof value === 'string' ? value : undefined;
+};
+
+/** 替换 {变量}；未提供的变量原样保留 */
+export const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+
+// --- 数值换算 ---
+/** 以 12 位有效数字截断浮点误差，如 0.1 × 3 显示为 0.3 而不是 0.30000000000000004 */
+export const scaleValue = (value, factor) => Number((value * factor).toPrecision(12));
+
+// 各语言的金额 / 股本单位；compact 为 true 时数字与单位之间不留空格 (如 "206.99B")
+const SCALE_UNITS = {
+  [LOCALES.ZH_CN]: {
+    [AMOUNT_SCALES.THOUSANDS]: { label: '千', shares: '千股' },
+    [AMOUNT_SCALES.MILLIONS]: { label: '百万', shares: '百万股' },
+    [AMOUNT_SCALES.YI]: { label: '亿', shares: '亿股' },
+    [AMOUNT_SCALES.BILLIONS]: { label: '十亿', shares: '十亿股' },
+  },
+  [LOCALES.EN_US]: {
+    [AMOUNT_SCALES.THOUSANDS]: { label: 'K', shares: 'K shares', compact: true },
+    [AMOUNT_SCALES.MILLIONS]: { label: 'M', shares: 'M shares', compact: true },
+    [AMOUNT_SCALES.YI]: { label: '亿', shares: '亿 shares', compact: true },
+    [AMOUNT_SCALES.BILLIONS]: { label: 'B', shares: 'B shares', compact: true },
+  },
+};
+
+const UNIT_SHARES_LABELS = {
+  [LOCALES.ZH_CN]: '股',
+  [LOCALES.EN_US]: 'shares',
+};
+
+// 自动单位：中文为亿，英文为 billions
+const AUTO_SCALES = {
+  [LOCALES.ZH_CN]: AMOUNT_SCALES.YI,
+  [LOCALES.EN_US]: AMOUNT_SCALES.BILLIONS,
+};
+
+/**
+ * 金额单位 { scale, label, factor, compact } 与股本单位 { label, factor }。
+ * 不带数量级 (UNITS) 时金额单位显示为货币名称，如 "元" / "USD"。
+ */
+const resolveUnits = (locale, scale, currencyName) => {
+  const resolved = scale === AMOUNT_SCALES.AUTO ? AUTO_SCALES[locale] : scale;
+  const factor = SCALE_FACTORS[resolved];
+  if (resolved === AMOUNT_SCALES.UNITS) {
+    return {
+      amount: { scale: resolved, label: currencyName, factor, compact: false },
+      shares: { label: UNIT_SHARES_LABELS[locale], factor },
+    };
+  }
+  const { label, shares, compact = false } = SCALE_UNITS[locale][resolved];
+  return {
+    amount: { scale: resolved, label, factor, compact },
+    shares: { label: shares, factor },
+  };
+};
+
+// 英文界面自动单位下，不足 1B 的金额改用 M 显示
+const EN_MILLIONS = { scale: AMOUNT_SCALES.MILLIONS, ...SCALE_UNITS[LOCALES.EN_US][AMOUNT_SCALES.MILLIONS], factor: SCALE_FACTORS[AMOUNT_SCALES.MILLIONS] };
+
+const createFormatters = (locale, currency, currencyName) => {
+  const units = resolveUnits(locale, currency.scale, currencyName);
+  const autoMillions = locale === LOCALES.EN_US && currency.scale === AMOUNT_SCALES.AUTO;
+  const numberFormats = new Map();
+  const numberFormat = (digits) => {
+    if (!numberFormats.has(digits)) {
+      numberFormats.set(digits, new Intl.NumberFormat(locale, { maximumFractionDigits: digits }));
+    }
+    return numberFormats.get(digits);
+  };
+  // 中文的货币符号与数字之间留一个空格：¥ 2,069.89 亿 / ¥206.99B
+  const withSymbol = (text, code) => (locale === LOCALES.ZH_CN ? `${CURRENCY_SYMBOLS[code]} ${text}` : `${CURRENCY_SYMBOLS[code]}${text}`);
+
+  /** 千分位 + 最多 digits 位小数 */
+  const formatNumber = (value, digits = 2) => numberFormat(digits).format(value);
+
+  /** 以亿计的金额选择显示单位 */
+  const pickAmountUnit = (value) => {
+    if (autoMillions && Math.abs(value * units.amount.factor) < 1 && value !== 0) return EN_MILLIONS;
+    return units.amount;
+  };
+
+  const scaledNumber = (value, unit, digits) => formatNumber(scaleValue(value, unit.factor), digits);
+
+  /** 金额 (亿) 的数字与单位，不带货币符号，如 "2,069.89 亿" / "206.99B" */
+  const formatAmount = (value, digits = 2) => {
+    const unit = pickAmountUnit(value);
+    const text = scaledNumber(value, unit, digits);
+    return unit.compact ? `${text}${unit.label}` : `${text} ${unit.label}`;
+  };
+
+  return {
+    formatNumber,
+    formatAmount,
+    /** 带货币符号的金额，如 "¥ 2,069.89 亿" / "$206.99B"；code 默认为估值货币 */
+    formatMoney: (value, digits = 2, code = currency.code) => {
+      const unit = pickAmountUnit(value);
+      // 不带数量级时货币符号已说明单位，不再追加货币名称
+      return withSymbol(unit.scale === AMOUNT_SCALES.UNITS ? scaledNumber(value, unit, digits) : formatAmount(value, digits), code);
+    },
+    /** 每股价格，不做单位换算；code 默认为估值货币 */
+    formatPrice: (value, digits = 2, code = currency.code) => withSymbol(formatNumber(value, digits), code),
+    formatPercent: (value, digits = 1) => `${formatNumber(value, digits)}%`,
+    /** 图表纵轴刻度：最多一位小数，数字与单位之间不留空格；不带数量级时只显示数字 */
+    formatAxisAmount: (value) => {
+      const unit = pickAmountUnit(value);
+      return unit.scale === AMOUNT_SCALES.UNITS ? scaledNumber(value, unit, 1) : formatAmount(value, 1).replace(' ', '');
+    },
+    /** 金额输入框单位：输入框显示 value × factor，写回时除以 factor */
+    amountUnit: units.amount,
+    sharesUnit: units.shares,
+    currencySymbol: CURRENCY_SYMBOLS[currency.code],
+    formatDateTime: (value) => new Date(value).toLocaleString(locale, { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }),
+    formatDate: (value) => new Date(value).toLocaleDateString(locale),
+  };
+};
+
+/**
+ * 为指定语言与估值货币创建 i18n 对象：{ locale, t, tError, tWarning, formatNumber, formatMoney, ... }
+ * t(key, params, fallback)：未找到词条时依次回退到中文词典、fallback 与 key
+ * currency 为模型状态中的货币设置 (见 lib/currency.js)，决定货币符号与金额单位。
+ */
+export const createI18n = (locale, currency = DEFAULT_CURRENCY) => {
+  const resolved = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  const dictionary = DICTIONARIES[resolved];
+  const t = (key, params, fallback) => {
+    const template = lookup(dictionary, key) ?? lookup(DICTIONARIES[DEFAULT_LOCALE], key) ?? fallback ?? key;
+    return interpolate(template, params);
+  };
+  /** 翻译 lib 返回的 { code, message } 错误：词条为 <namespace>.errors.<code>，错误对象的其余字段可作为变量 */
+  const tError = (namespace, error) => t(`${namespace}.errors.${error.code}`, error, error.message);
+  /** 载入数据时的警告 { code, message, ...参数 }，词条统一放在 warnings 下 (见 lib/modelState.js) */
+  const tWarning = (warning) => t(`warnings.${warning.code}`, warning, warning.message);
+  /** 货币名称，用作每股价格输入框的单位，如 "元" / "USD" */
+  const currencyUnit = (code = currency.code) => t(`currency.units.${code}`, {}, code);
+  const formatters = createFormatters(resolved, currency, currencyUnit());
+  // 金额单位说明，如 "单位：亿元" / "Values in billions of USD"
+  const amountUnitNote = t('common.valuesIn', {
+    scale: t(`currency.scaleNames.${formatters.amountUnit.scale}`),
+    currency: currencyUnit(),
+  });
+  return { locale: resolved, t, tError, tWarning, currencyUnit, amountUnitNote, ...formatters };
+};
@@ -0,0 +1,10 @@
+/**
+ * i18n 的 React 上下文
+ * App 持有语言状态并通过 I18nContext.Provider 下发，组件以 useI18n() 取得 t 与格式化函数。
+ */
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LOCALE } from './i18n.js';
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export const useI18n = () => useContext(I18nContext);
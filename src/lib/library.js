@@ -0,0 +1,159 @@
+/**
+ * 估值库
+ * 以公司为单位保存估值，每次保存追加一个版本，便于回看假设随时间的变化。
+ * 持久化通过一个最小的同步存储接口 ({ getItem, setItem }) 完成，默认为 localStorage，
+ * 测试或其他环境可传入任意实现。
+ */
+import { sanitizeModelState } from './modelState.js';
+import { computeValuation, SAFETY_MARGIN } from './valuation.js';
+import { resolveGrowthSchedule } from './growthSchedule.js';
+import { computeEquityBridge } from './bridge.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+import { sanitizeChat } from './chat.js';
+
+export const LIBRARY_STORAGE_KEY = 'buffett-valuation:library:v1';
+export const MAX_VERSIONS = 50;
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const stringOr = (value, fallback) => (typeof value === 'string' ? value : fallback);
+
+const isStoredVersion = (version) => isPlainObject(version) && isPlainObject(version.state) && typeof version.savedAt === 'string';
+
+const sanitizeVersion = (version) => ({
+  id: stringOr(version.id, createId()),
+  savedAt: version.savedAt,
+  state: sanitizeModelState(version.state).state,
+  report: stringOr(version.report, ''),
+  chat: sanitizeChat(version.chat),
+});
+
+/**
+ * 校验读取到的估值库：格式不符的版本丢弃，没有任何有效版本的条目整体丢弃，
+ * 每个版本的模型状态都经 sanitizeModelState 校验，列表与对比视图可以放心读取 versions[0].state。
+ */
+export const sanitizeLibrary = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  return raw.flatMap((entry) => {
+    if (!isPlainObject(entry) || typeof entry.id !== 'string' || !Array.isArray(entry.versions)) return [];
+    const versions = entry.versions.filter(isStoredVersion).slice(0, MAX_VERSIONS).map(sanitizeVersion);
+    if (versions.length === 0) return [];
+    return [{
+      id: entry.id,
+      company: stringOr(entry.company, ''),
+      ticker: stringOr(entry.ticker, ''),
+      updatedAt: stringOr(entry.updatedAt, versions[0].savedAt),
+      versions,
+    }];
+  });
+};
+
+/** 读取估值库；数据损坏时返回空库而不是抛错 */
+export const loadLibrary = (storage = window.localStorage) => {
+  try {
+    return sanitizeLibrary(JSON.parse(storage.getItem(LIBRARY_STORAGE_KEY) ?? '[]'));
+  } catch {
+    return [];
+  }
+};
+
+/** 写入估值库；存储已满等失败情况返回错误结果 */
+export const persistLibrary = (entries, storage = window.localStorage) => {
+  try {
+    storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(entries));
+    return { ok: true };
+  } catch {
+    return { ok: false, error: { code: 'STORAGE_FAILED', message: '本地存储空间不足或不可用，保存失败' } };
+  }
+};
+
+const createVersion = (state, report, chat) => ({
+  id: createId(),
+  savedAt: new Date().toISOString(),
+  state,
+  report: report || '',
+  chat: chat || [],
+});
+
+/**
+ * 保存估值。entryId 为空时新建条目，否则在该条目上追加版本 (超过 MAX_VERSIONS 时丢弃最旧版本)。
+ * report 与 chat (AI 报告与对话记录) 随版本一并保存。
+ * 返回 { entries, entryId }，entries 为新的估值库数组 (不修改原数组)。
+ */
+export const saveValuation = (entries, { entryId, state, report, chat }) => {
+  const version = createVersion(state, report, chat);
+  const existing = entryId && entries.find((entry) => entry.id === entryId);
+
+  if (!existing) {
+    const entry = {
+      id: createId(),
+      company: state.meta.company,
+      ticker: state.meta.ticker,
+      updatedAt: version.savedAt,
+      versions: [version],
+    };
+    return { entries: [entry, ...entries], entryId: entry.id };
+  }
+
+  const updated = {
+    ...existing,
+    company: state.meta.company,
+    ticker: state.meta.ticker,
+    updatedAt: version.savedAt,
+    versions: [version, ...existing.versions].slice(0, MAX_VERSIONS),
+  };
+  return {
+    entries: [updated, ...entries.filter((entry) => entry.id !== entryId)],
+    entryId,
+  };
+};
+
+/** 复制条目 (仅保留最新版本)，副本名称追加 "副本" */
+export const duplicateEntry = (entries, entryId) => {
+  const source = entries.find((entry) => entry.id === entryId);
+  if (!source) return { entries, entryId: null };
+  const [latest] = source.versions;
+  const company = `${source.company || '未命名'} 副本`;
+  const state = { ...latest.state, meta: { ...latest.state.meta, company } };
+  return saveValuation(entries, { state, report: latest.report, chat: latest.chat });
+};
+
+export const removeEntry = (entries, entryId) => entries.filter((entry) => entry.id !== entryId);
+
+/** 按公司名、代码与备注做不区分大小写的模糊搜索 */
+export const searchEntries = (entries, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return entries;
+  return entries.filter((entry) =>
+    [entry.company, entry.ticker, entry.versions[0]?.state?.meta?.notes]
+      .some((text) => (text || '').toLowerCase().includes(q)));
+};
+
+/** 载入版本时统一经过校验，兼容旧版本保存的数据结构 (早期版本没有对话记录) */
+export const restoreVersion = (version) => ({
+  ...sanitizeModelState(version.state),
+  chat: sanitizeChat(version.chat),
+});
+
+/**
+ * 由保存的模型状态重新计算关键指标，用于列表与对比视图。
+ * 安全边际价格按当前参数的股权价值计算，不考虑情景加权。
+ * 返回 { currency, total, equityValue, perShare, safetyPrice, multiple, tvRatio } 或 null (参数无效)，
+ * currency 为估值货币代码 (早期版本没有货币设置，按人民币处理)。
+ */
+export const summarizeModelState = (state) => {
+  const { params, bridge } = state;
+  const valuation = computeValuation({ ...params, growthSchedule: resolveGrowthSchedule(params) });
+  if (!valuation.ok) return null;
+  const { equityValue, perShare } = computeEquityBridge(valuation.total, bridge);
+  return {
+    currency: state.currency?.code ?? DEFAULT_CURRENCY.code,
+    total: valuation.total,
+    equityValue,
+    perShare,
+    safetyPrice: equityValue * SAFETY_MARGIN,
+    multiple: valuation.multiple,
+    tvRatio: valuation.tvRatio,
+  };
+};
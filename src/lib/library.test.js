@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_MODEL_STATE } from './modelState.js';
+import { LIBRARY_STORAGE_KEY, loadLibrary, saveValuation } from './library.js';
+
+const createStorage = (value) => {
+  const data = { [LIBRARY_STORAGE_KEY]: typeof value === 'string' ? value : JSON.stringify(value) };
+  return { getItem: (key) => data[key] ?? null, setItem: (key, text) => { data[key] = text; } };
+};
+
+const state = { ...DEFAULT_MODEL_STATE, meta: { ...DEFAULT_MODEL_STATE.meta, company: '贵州茅台' } };
+
+describe('loadLibrary', () => {
+  it('正常保存的估值库原样读回', () => {
+    const { entries } = saveValuation([], { state, report: '报告', chat: [] });
+    expect(loadLibrary(createStorage(entries))).toEqual(entries);
+  });
+
+  it('数据损坏或不是数组时返回空库', () => {
+    expect(loadLibrary(createStorage('{not json'))).toEqual([]);
+    expect(loadLibrary(createStorage({ entries: [] }))).toEqual([]);
+    expect(loadLibrary({ getItem: () => null })).toEqual([]);
+  });
+
+  it('丢弃没有有效版本的条目', () => {
+    const { entries: [valid] } = saveValuation([], { state });
+    const entries = loadLibrary(createStorage([
+      { id: 'a', company: '缺少 versions' },
+      { id: 'b', versions: [] },
+      { id: 'c', versions: [null, { savedAt: '2024-01-01T00:00:00.000Z' }] },
+      null,
+      'entry',
+      valid,
+    ]));
+    expect(entries.map((entry) => entry.id)).toEqual([valid.id]);
+  });
+
+  it('版本中的模型状态经过校验', () => {
+    const stored = [{
+      id: 'x',
+      versions: [{ id: 'v1', savedAt: '2024-01-01T00:00:00.000Z', state: { params: { fcf: 'abc', discount: 99 } }, chat: 'oops' }],
+    }];
+    const [entry] = loadLibrary(createStorage(stored));
+    const [version] = entry.versions;
+    expect(entry).toMatchObject({ company: '', ticker: '', updatedAt: '2024-01-01T00:00:00.000Z' });
+    expect(version.state.params.fcf).toBe(DEFAULT_MODEL_STATE.params.fcf);
+    expect(version.state.params.discount).toBe(20);
+    expect(version.state.monteCarlo).toBeDefined();
+    expect(version).toMatchObject({ report: '', chat: [] });
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * 市场报价
+ * 用户可直接输入总市值 (亿)，或输入股价 × 总股本 (亿股)；金额均以报价货币计，
+ * 与估值结果比较前需经 quoteToValuation (见 lib/currency.js) 折算为估值货币。
+ */
+
+export const MARKET_MODES = {
+  CAP: 'cap',
+  PRICE: 'price',
+};
+
+export const DEFAULT_MARKET = {
+  mode: MARKET_MODES.CAP,
+  cap: 0,
+  price: 0,
+  shares: 0,
+};
+
+/** 返回以亿计的市值 (报价货币)；未填写或无效时返回 null */
+export const resolveMarketCap = (market) => {
+  const cap = market.mode === MARKET_MODES.PRICE ? market.price * market.shares : market.cap;
+  return Number.isFinite(cap) && cap > 0 ? cap : null;
+};
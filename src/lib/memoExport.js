@@ -0,0 +1,60 @@
+/**
+ * 投资备忘录导出
+ * PDF 完全在浏览器中生成：html2canvas 把备忘录 DOM 渲染为位图，再由 jsPDF 分页写入 A4。
+ * 不请求任何外部资源，离线可用；中文由浏览器本地字体渲染，无需向 PDF 嵌入字体。
+ * 两个库体积较大，仅在导出时按需加载。
+ */
+
+const A4_WIDTH_MM = 210;
+const A4_HEIGHT_MM = 297;
+const PAGE_MARGIN_MM = 12;
+
+/** 导出文件名：公司-代码-日期.扩展名 */
+export const buildExportFileName = (meta, extension, date = new Date()) => {
+  const name = [meta.company, meta.ticker].filter(Boolean).join('-') || '估值备忘录';
+  // 去掉文件名中不允许出现的字符
+  return `${name.replace(/[\\/:*?"<>|]/g, '_')}-${date.toISOString().slice(0, 10)}.${extension}`;
+};
+
+/** 触发浏览器下载 */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/** 把元素导出为多页 A4 PDF 并触发下载 */
+export const exportElementToPdf = async (element, fileName) => {
+  const [{ default: html2canvas }, { jsPDF }] = await Promise.all([
+    import('html2canvas-pro'),
+    import('jspdf'),
+  ]);
+
+  const canvas = await html2canvas(element, { scale: 2, backgroundColor: '#ffffff', useCORS: false });
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+
+  const contentWidth = A4_WIDTH_MM - PAGE_MARGIN_MM * 2;
+  const pageContentHeight = A4_HEIGHT_MM - PAGE_MARGIN_MM * 2;
+  // 每页可容纳的画布像素高度，按整页切片，避免整图平移导致页边距内出现内容
+  const sliceHeightPx = Math.floor((pageContentHeight / contentWidth) * canvas.width);
+
+  const slice = document.createElement('canvas');
+  slice.width = canvas.width;
+  const context = slice.getContext('2d');
+
+  for (let offset = 0, page = 0; offset < canvas.height; offset += sliceHeightPx, page++) {
+    const height = Math.min(sliceHeightPx, canvas.height - offset);
+    slice.height = height;
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, slice.width, height);
+    context.drawImage(canvas, 0, offset, canvas.width, height, 0, 0, canvas.width, height);
+
+    if (page > 0) pdf.addPage();
+    pdf.addImage(slice.toDataURL('image/jpeg', 0.92), 'JPEG', PAGE_MARGIN_MM, PAGE_MARGIN_MM, contentWidth, (height / canvas.width) * contentWidth);
+  }
+
+  pdf.save(fileName);
+};
@@ -0,0 +1,227 @@
+/**
+ * 完整模型状态
+ * 汇总 App 中所有决定估值结果的状态 (参数、货币与单位、市场报价、股权价值桥、折现率构建器、报表、情景等)，
+ * 供分享链接与本地保存使用。外部来源的数据一律经 sanitizeModelState 校验后才会载入。
+ */
+import { DEFAULT_PARAMS, PARAM_LIMITS } from './params.js';
+import { SCHEDULE_MODES, MAX_SCHEDULE_YEARS } from './growthSchedule.js';
+import { DEFAULT_MARKET, MARKET_MODES } from './market.js';
+import { AMOUNT_SCALES, CURRENCIES, DEFAULT_CURRENCY, FX_RATE_RANGE } from './currency.js';
+import { DEFAULT_BRIDGE } from './bridge.js';
+import { DEFAULT_RATE_BUILDER, RATE_METHODS } from './discountRate.js';
+import { DEFAULT_FINANCIALS, EARNINGS_BASES, NORMALIZATION_METHODS, createFinancialRow } from './ownerEarnings.js';
+import { DEFAULT_ALT_INPUTS, ALT_MODELS } from './altModels.js';
+import { DEFAULT_SCENARIO_STATE, SAFETY_BASES, SCENARIO_IDS } from './scenarios.js';
+import { DISTRIBUTION_FIELDS, validateDistribution } from './random.js';
+import { SIMULATED_INPUTS, defaultMonteCarloSettings } from './monteCarlo.js';
+
+export const DEFAULT_META = {
+  company: '',
+  ticker: '',
+  notes: '',
+};
+
+export const DEFAULT_MODEL_STATE = {
+  meta: DEFAULT_META,
+  params: DEFAULT_PARAMS,
+  currency: DEFAULT_CURRENCY,
+  market: DEFAULT_MARKET,
+  bridge: DEFAULT_BRIDGE,
+  rateBuilder: DEFAULT_RATE_BUILDER,
+  financials: DEFAULT_FINANCIALS,
+  altInputs: DEFAULT_ALT_INPUTS,
+  scenarios: DEFAULT_SCENARIO_STATE,
+  monteCarlo: defaultMonteCarloSettings(DEFAULT_PARAMS),
+};
+
+const TEXT_LIMITS = { company: 100, ticker: 20, notes: 5000, name: 40 };
+const MAX_FINANCIAL_ROWS = 30;
+const ITERATION_RANGE = [100, 50000];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 警告码：每条警告为 { code, message, ...参数 }，message 为中文说明，
+ * 界面按词典 warnings.<code> 翻译 (见 lib/i18n.js 的 tWarning)，其余字段作为插值参数。
+ */
+export const STATE_WARNINGS = {
+  INVALID_STATE: 'INVALID_STATE',
+  INVALID_SECTION: 'INVALID_SECTION',
+  INVALID_FIELD: 'INVALID_FIELD',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  SCHEDULE_TRUNCATED: 'SCHEDULE_TRUNCATED',
+  INVALID_SCHEDULE: 'INVALID_SCHEDULE',
+  SCENARIOS_INCOMPLETE: 'SCENARIOS_INCOMPLETE',
+  INVALID_DISTRIBUTION: 'INVALID_DISTRIBUTION',
+};
+
+const warning = (code, message, details = {}) => ({ code, message, ...details });
+
+/**
+ * 按默认值的类型逐字段校验扁平对象：
+ * 缺失字段静默取默认值 (兼容旧链接)，类型不符或不在枚举内的字段重置并记录警告，未知字段丢弃。
+ * 默认值为 null 的字段允许 null 或数字；数组 / 对象字段原样取默认值，由调用方单独处理。
+ */
+const sanitizeFlat = (defaults, raw, path, warnings, enums = {}) => {
+  if (!isPlainObject(raw)) {
+    if (raw !== undefined) warnings.push(warning(STATE_WARNINGS.INVALID_SECTION, `${path} 格式无效，已使用默认值`, { path }));
+    return { ...defaults };
+  }
+  const result = {};
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    const value = raw[key];
+    if (value === undefined || Array.isArray(fallback) || isPlainObject(fallback)) {
+      result[key] = fallback;
+      return;
+    }
+    let ok;
+    if (enums[key]) ok = Object.values(enums[key]).includes(value);
+    else if (fallback === null) ok = value === null || Number.isFinite(value);
+    else if (typeof fallback === 'number') ok = Number.isFinite(value);
+    else if (typeof fallback === 'string') ok = typeof value === 'string';
+    else if (typeof fallback === 'boolean') ok = typeof value === 'boolean';
+
+    if (!ok) {
+      warnings.push(warning(STATE_WARNINGS.INVALID_FIELD, `${path}.${key} 无效，已重置为默认值`, { path: `${path}.${key}` }));
+      result[key] = fallback;
+    } else {
+      result[key] = typeof value === 'string' && TEXT_LIMITS[key] ? value.slice(0, TEXT_LIMITS[key]) : value;
+    }
+  });
+  return result;
+};
+
+const clampField = (obj, key, min, max, path, warnings, integer = false) => {
+  let value = integer ? Math.round(obj[key]) : obj[key];
+  if (value < min || value > max) {
+    const clamped = Math.min(max, Math.max(min, value));
+    warnings.push(warning(STATE_WARNINGS.OUT_OF_RANGE, `${path}.${key} = ${value} 超出范围 (${min} ~ ${max})，已调整为 ${clamped}`, {
+      path: `${path}.${key}`, value, min, max, clamped,
+    }));
+    value = clamped;
+  }
+  obj[key] = value;
+};
+
+const sanitizeParams = (raw, path, warnings) => {
+  const params = sanitizeFlat(DEFAULT_PARAMS, raw, path, warnings, { scheduleMode: SCHEDULE_MODES });
+  clampField(params, 'fcf', 0, Number.MAX_SAFE_INTEGER, path, warnings);
+  Object.entries(PARAM_LIMITS).forEach(([key, { min, max }]) => {
+    clampField(params, key, min, max, path, warnings, key === 'highYears' || key === 'fadeYears');
+  });
+
+  const custom = raw?.customGrowth;
+  if (Array.isArray(custom) && custom.every(Number.isFinite)) {
+    if (custom.length > MAX_SCHEDULE_YEARS) {
+      warnings.push(warning(STATE_WARNINGS.SCHEDULE_TRUNCATED, `${path}.customGrowth 超过 ${MAX_SCHEDULE_YEARS} 年，已截断`, {
+        path: `${path}.customGrowth`, max: MAX_SCHEDULE_YEARS,
+      }));
+    }
+    params.customGrowth = custom.slice(0, MAX_SCHEDULE_YEARS);
+  } else if (custom !== undefined) {
+    warnings.push(warning(STATE_WARNINGS.INVALID_SCHEDULE, `${path}.customGrowth 无效，已清空`, { path: `${path}.customGrowth` }));
+  }
+  return params;
+};
+
+const sanitizeCurrency = (raw, warnings) => {
+  const currency = sanitizeFlat(DEFAULT_CURRENCY, raw, 'currency', warnings, {
+    code: CURRENCIES,
+    quoteCode: CURRENCIES,
+    scale: AMOUNT_SCALES,
+  });
+  clampField(currency, 'fxRate', ...FX_RATE_RANGE, 'currency', warnings);
+  return currency;
+};
+
+const sanitizeFinancials = (raw, warnings) => {
+  const financials = sanitizeFlat(DEFAULT_FINANCIALS, raw, 'financials', warnings, {
+    basis: EARNINGS_BASES,
+    method: NORMALIZATION_METHODS,
+  });
+  if (Array.isArray(raw?.rows)) {
+    financials.rows = raw.rows.slice(0, MAX_FINANCIAL_ROWS).map((row, i) => {
+      const defaults = createFinancialRow(new Date().getFullYear() - 1);
+      const clean = sanitizeFlat(defaults, row, `financials.rows[${i}]`, warnings);
+      clean.year = Math.round(clean.year);
+      return clean;
+    });
+  }
+  return financials;
+};
+
+const sanitizeAltInputs = (raw, warnings) => {
+  const altInputs = sanitizeFlat(DEFAULT_ALT_INPUTS, raw, 'altInputs', warnings);
+  if (Array.isArray(raw?.selected)) {
+    const models = Object.values(ALT_MODELS);
+    altInputs.selected = models.filter((model) => raw.selected.includes(model));
+  }
+  return altInputs;
+};
+
+const sanitizeScenarios = (raw, warnings) => {
+  const scenarios = sanitizeFlat(DEFAULT_SCENARIO_STATE, raw, 'scenarios', warnings, { safetyBasis: SAFETY_BASES });
+  const items = Array.isArray(raw?.items) ? raw.items : [];
+  scenarios.items = SCENARIO_IDS
+    .map((id) => items.find((item) => item?.id === id))
+    .filter(Boolean)
+    .map((item) => ({
+      id: item.id,
+      name: typeof item.name === 'string' ? item.name.slice(0, TEXT_LIMITS.name) : item.id,
+      weight: Number.isFinite(item.weight) && item.weight >= 0 ? item.weight : 0,
+      params: sanitizeParams(item.params, `scenarios.${item.id}.params`, warnings),
+    }));
+  if (scenarios.enabled && scenarios.items.length !== SCENARIO_IDS.length) {
+    warnings.push(warning(STATE_WARNINGS.SCENARIOS_INCOMPLETE, 'scenarios 情景数据不完整，已关闭情景分析'));
+    scenarios.enabled = false;
+  }
+  if (!SCENARIO_IDS.includes(scenarios.activeId)) scenarios.activeId = DEFAULT_SCENARIO_STATE.activeId;
+  return scenarios;
+};
+
+const sanitizeMonteCarlo = (raw, params, warnings) => {
+  const defaults = defaultMonteCarloSettings(params);
+  const settings = sanitizeFlat(defaults, raw, 'monteCarlo', warnings);
+  clampField(settings, 'iterations', ...ITERATION_RANGE, 'monteCarlo', warnings, true);
+  settings.seed = Math.trunc(settings.seed);
+
+  // 与 runMonteCarlo 使用同一套校验，载入后即可运行
+  settings.distributions = Object.fromEntries(SIMULATED_INPUTS.map((key) => {
+    const dist = raw?.distributions?.[key];
+    const fallback = defaults.distributions[key];
+    if (dist === undefined) return [key, fallback];
+    const message = isPlainObject(dist) ? validateDistribution(dist) : '格式无效';
+    if (message) {
+      const path = `monteCarlo.distributions.${key}`;
+      warnings.push(warning(STATE_WARNINGS.INVALID_DISTRIBUTION, `${path} 无效 (${message})，已使用默认分布`, { path }));
+      return [key, fallback];
+    }
+    return [key, Object.fromEntries([['type', dist.type], ...DISTRIBUTION_FIELDS[dist.type].map((f) => [f, dist[f]])])];
+  }));
+  return settings;
+};
+
+/**
+ * 校验外部载入的模型状态。
+ * 返回 { state, warnings }：state 总是完整可用的模型状态，warnings 列出被修正或丢弃的字段 (格式见 STATE_WARNINGS)。
+ */
+export const sanitizeModelState = (raw) => {
+  const warnings = [];
+  if (!isPlainObject(raw)) {
+    return { state: DEFAULT_MODEL_STATE, warnings: [warning(STATE_WARNINGS.INVALID_STATE, '模型数据格式无效，已使用默认值')] };
+  }
+  const params = sanitizeParams(raw.params, 'params', warnings);
+  const state = {
+    meta: sanitizeFlat(DEFAULT_META, raw.meta, 'meta', warnings),
+    params,
+    currency: sanitizeCurrency(raw.currency, warnings),
+    market: sanitizeFlat(DEFAULT_MARKET, raw.market, 'market', warnings, { mode: MARKET_MODES }),
+    bridge: sanitizeFlat(DEFAULT_BRIDGE, raw.bridge, 'bridge', warnings),
+    rateBuilder: sanitizeFlat(DEFAULT_RATE_BUILDER, raw.rateBuilder, 'rateBuilder', warnings, { method: RATE_METHODS }),
+    financials: sanitizeFinancials(raw.financials, warnings),
+    altInputs: sanitizeAltInputs(raw.altInputs, warnings),
+    scenarios: sanitizeScenarios(raw.scenarios, warnings),
+    monteCarlo: sanitizeMonteCarlo(raw.monteCarlo, params, warnings),
+  };
+  return { state, warnings };
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_MODEL_STATE, STATE_WARNINGS, sanitizeModelState } from './modelState.js';
+import { createI18n, LOCALES } from './i18n.js';
+import { DEFAULT_PARAMS } from './params.js';
+import { defaultDistributions, runMonteCarlo } from './monteCarlo.js';
+
+const withDistributions = (distributions) => ({ params: DEFAULT_PARAMS, monteCarlo: { distributions } });
+
+describe('sanitizeModelState', () => {
+  it('非对象输入返回默认状态', () => {
+    expect(sanitizeModelState(null)).toEqual({ state: DEFAULT_MODEL_STATE, warnings: [{ code: STATE_WARNINGS.INVALID_STATE, message: '模型数据格式无效，已使用默认值' }] });
+  });
+
+  it('默认状态原样通过且没有警告', () => {
+    const { state, warnings } = sanitizeModelState(DEFAULT_MODEL_STATE);
+    expect(warnings).toEqual([]);
+    expect(state).toEqual(DEFAULT_MODEL_STATE);
+  });
+
+  it('超出范围的参数被截断并记录警告', () => {
+    const { state, warnings } = sanitizeModelState({ params: { ...DEFAULT_PARAMS, discount: 99 } });
+    expect(state.params.discount).toBe(20);
+    expect(warnings).toEqual([{
+      code: STATE_WARNINGS.OUT_OF_RANGE,
+      message: 'params.discount = 99 超出范围 (5 ~ 20)，已调整为 20',
+      path: 'params.discount',
+      value: 99,
+      min: 5,
+      max: 20,
+      clamped: 20,
+    }]);
+  });
+
+  it('警告按界面语言翻译，中文沿用 lib 的说明', () => {
+    const { warnings } = sanitizeModelState({ params: { ...DEFAULT_PARAMS, discount: 99, scheduleMode: 'weekly' } });
+    expect(warnings.map(createI18n(LOCALES.EN_US).tWarning)).toEqual([
+      'params.scheduleMode is invalid and was reset to its default',
+      'params.discount = 99 is out of range (5 to 20) and was set to 20',
+    ]);
+    expect(warnings.map(createI18n(LOCALES.ZH_CN).tWarning)).toEqual(warnings.map((w) => w.message));
+  });
+
+  describe('蒙特卡洛分布', () => {
+    it.each([
+      ['标准差为负', { type: 'normal', mean: 10, sd: -1 }],
+      ['均值不是数字', { type: 'normal', mean: '10', sd: 1 }],
+      ['三角分布顺序错误', { type: 'triangular', min: 5, mode: 1, max: 3 }],
+      ['均匀分布 min > max', { type: 'uniform', min: 3, max: 1 }],
+      ['未知分布类型', { type: 'lognormal', mean: 1, sd: 1 }],
+      ['不是对象', 'normal'],
+    ])('%s 时重置为默认分布并记录警告', (_, dist) => {
+      const { state, warnings } = sanitizeModelState(withDistributions({ fcf: dist }));
+      expect(state.monteCarlo.distributions.fcf).toEqual(defaultDistributions(DEFAULT_PARAMS).fcf);
+      expect(warnings).toEqual([expect.objectContaining({ code: STATE_WARNINGS.INVALID_DISTRIBUTION, path: 'monteCarlo.distributions.fcf' })]);
+    });
+
+    it('有效分布保留，并丢弃多余字段', () => {
+      const { state, warnings } = sanitizeModelState(withDistributions({ growth: { type: 'uniform', min: 5, max: 8, mean: 1 } }));
+      expect(warnings).toEqual([]);
+      expect(state.monteCarlo.distributions.growth).toEqual({ type: 'uniform', min: 5, max: 8 });
+    });
+
+    it('载入后的分布总能直接运行模拟', () => {
+      const { state } = sanitizeModelState(withDistributions({ fcf: { type: 'normal', mean: 10, sd: -1 } }));
+      const result = runMonteCarlo({ params: state.params, ...state.monteCarlo, iterations: 100 });
+      expect(result.ok).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 蒙特卡洛估值
+ * 对 fcf / growth / discount / perpetual 按各自分布抽样，重复运行估值引擎，统计内在价值的分布。
+ * 纯函数实现，既可在 Web Worker 中运行，也可在测试中以固定 seed 直接调用。
+ */
+import { computeValuation } from './valuation.js';
+import { buildGrowthSchedule, SCHEDULE_MODES } from './growthSchedule.js';
+import { DISTRIBUTION_TYPES, createRng, sample, validateDistribution } from './random.js';
+
+export const SIMULATED_INPUTS = ['fcf', 'growth', 'discount', 'perpetual'];
+export const DEFAULT_ITERATIONS = 5000;
+export const DEFAULT_SEED = 42;
+
+/** 以当前参数为中心生成一组默认分布 */
+export const defaultDistributions = (params) => ({
+  fcf: { type: DISTRIBUTION_TYPES.NORMAL, mean: params.fcf, sd: Math.abs(params.fcf) * 0.1 },
+  growth: { type: DISTRIBUTION_TYPES.TRIANGULAR, min: Math.max(0, params.growth - 5), mode: params.growth, max: params.growth + 5 },
+  discount: { type: DISTRIBUTION_TYPES.UNIFORM, min: params.discount - 1, max: params.discount + 1 },
+  perpetual: { type: DISTRIBUTION_TYPES.TRIANGULAR, min: Math.max(0, params.perpetual - 1), mode: params.perpetual, max: params.perpetual + 0.5 },
+});
+
+/** 模拟设置的默认值：分布、次数与种子 */
+export const defaultMonteCarloSettings = (params) => ({
+  distributions: defaultDistributions(params),
+  iterations: DEFAULT_ITERATIONS,
+  seed: DEFAULT_SEED,
+});
+
+/** 线性插值百分位，values 须已升序排列 */
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const index = (values.length - 1) * p;
+  const lo = Math.floor(index);
+  const hi = Math.ceil(index);
+  return values[lo] + (values[hi] - values[lo]) * (index - lo);
+};
+
+/** 在 [P1, P99] 区间内等宽分箱，两端的极端值并入首尾箱，避免长尾压扁直方图 */
+const buildHistogram = (sorted, bins) => {
+  const lo = percentile(sorted, 0.01);
+  const hi = percentile(sorted, 0.99);
+  const width = (hi - lo) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ x0: lo + i * width, x1: lo + (i + 1) * width, count: 0 }));
+  sorted.forEach((value) => {
+    const i = Math.min(bins - 1, Math.max(0, Math.floor((value - lo) / width)));
+    histogram[i].count += 1;
+  });
+  return histogram;
+};
+
+/**
+ * 输入：
+ *   params         当前模型参数 (决定增长路径结构)
+ *   distributions  { fcf, growth, discount, perpetual } 各自的分布定义
+ *   iterations     模拟次数
+ *   seed           随机种子
+ *   marketCap      可选，市场价格 (亿)，用于计算内在价值高于市价的概率
+ *
+ * 增长率样本的作用方式：三阶段模式下以样本重建路径；逐年自定义模式下把样本与
+ * params.growth 的差值平移到每一年，保留用户自定义的路径形状。
+ *
+ * 输出：{ ok: true, iterations, valid, invalid, mean, p10, p50, p90, probAboveMarket, histogram }
+ *       probAboveMarket 在未提供市价时为 null；无效样本 (如 g永续 ≥ r) 计入 invalid 且不参与统计
+ */
+export const runMonteCarlo = ({
+  params,
+  distributions,
+  iterations = DEFAULT_ITERATIONS,
+  seed = DEFAULT_SEED,
+  marketCap = null,
+  bins = 30,
+}) => {
+  for (const key of SIMULATED_INPUTS) {
+    const message = validateDistribution(distributions[key]);
+    if (message) return { ok: false, error: { code: 'INVALID_DISTRIBUTION', field: key, message } };
+  }
+
+  const rng = createRng(seed);
+  const isCustom = params.scheduleMode === SCHEDULE_MODES.CUSTOM && params.customGrowth?.length > 0;
+  const values = [];
+
+  for (let i = 0; i < iterations; i++) {
+    const draw = {};
+    SIMULATED_INPUTS.forEach((key) => { draw[key] = sample(rng, distributions[key]); });
+
+    const scenario = { ...params, ...draw };
+    const growthSchedule = isCustom
+      ? params.customGrowth.map((g) => g + (draw.growth - params.growth))
+      : buildGrowthSchedule(scenario);
+    const result = computeValuation({ ...scenario, growthSchedule });
+    if (result.ok) values.push(result.total);
+  }
+
+  if (values.length === 0) {
+    return { ok: false, error: { code: 'NO_VALID_SAMPLES', message: '所有样本均无效，请检查折现率与永续增长率的分布' } };
+  }
+
+  values.sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  return {
+    ok: true,
+    iterations,
+    valid: values.length,
+    invalid: iterations - values.length,
+    mean,
+    p10: percentile(values, 0.1),
+    p50: percentile(values, 0.5),
+    p90: percentile(values, 0.9),
+    probAboveMarket: marketCap > 0 ? values.filter((v) => v > marketCap).length / values.length : null,
+    histogram: buildHistogram(values, bins),
+  };
+};
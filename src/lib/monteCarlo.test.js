@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_PARAMS } from './params.js';
+import { DISTRIBUTION_TYPES, createRng, sample, validateDistribution } from './random.js';
+import { defaultDistributions, percentile, runMonteCarlo } from './monteCarlo.js';
+
+const draw = (dist, n = 5000, seed = 7) => {
+  const rng = createRng(seed);
+  return Array.from({ length: n }, () => sample(rng, dist));
+};
+
+describe('createRng', () => {
+  it('同一 seed 产生相同序列，取值落在 [0, 1)', () => {
+    const a = createRng(123);
+    const b = createRng(123);
+    const values = Array.from({ length: 1000 }, () => a());
+    expect(values).toEqual(Array.from({ length: 1000 }, () => b()));
+    expect(values.every((v) => v >= 0 && v < 1)).toBe(true);
+  });
+
+  it('不同 seed 产生不同序列', () => {
+    expect(createRng(1)()).not.toBe(createRng(2)());
+  });
+});
+
+describe('sample', () => {
+  it('均匀分布落在 [min, max)', () => {
+    const values = draw({ type: DISTRIBUTION_TYPES.UNIFORM, min: 8, max: 12 });
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(8);
+    expect(Math.max(...values)).toBeLessThan(12);
+  });
+
+  it('三角分布落在 [min, max]，样本均值接近 (min + mode + max) / 3', () => {
+    const values = draw({ type: DISTRIBUTION_TYPES.TRIANGULAR, min: 0, mode: 10, max: 20 });
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThanOrEqual(20);
+    expect(values.reduce((sum, v) => sum + v, 0) / values.length).toBeCloseTo(10, 0);
+  });
+
+  it('三角分布在 max ≤ min 时退化为常数', () => {
+    expect(draw({ type: DISTRIBUTION_TYPES.TRIANGULAR, min: 3, mode: 3, max: 3 }, 10)).toEqual(Array(10).fill(3));
+  });
+
+  it('正态分布的样本均值与标准差接近设定值，sd 为 0 时退化为常数', () => {
+    const values = draw({ type: DISTRIBUTION_TYPES.NORMAL, mean: 10, sd: 2 }, 20000);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+    expect(mean).toBeCloseTo(10, 1);
+    expect(sd).toBeCloseTo(2, 1);
+    expect(values.every(Number.isFinite)).toBe(true);
+    expect(draw({ type: DISTRIBUTION_TYPES.NORMAL, mean: 5, sd: 0 }, 10)).toEqual(Array(10).fill(5));
+  });
+});
+
+describe('validateDistribution', () => {
+  it.each([
+    [{ type: DISTRIBUTION_TYPES.NORMAL, mean: 10, sd: 1 }],
+    [{ type: DISTRIBUTION_TYPES.TRIANGULAR, min: 1, mode: 2, max: 3 }],
+    [{ type: DISTRIBUTION_TYPES.UNIFORM, min: 1, max: 1 }],
+  ])('有效分布 %o', (dist) => {
+    expect(validateDistribution(dist)).toBeNull();
+  });
+
+  it.each([
+    [{ type: DISTRIBUTION_TYPES.NORMAL, mean: 10, sd: -1 }],
+    [{ type: DISTRIBUTION_TYPES.NORMAL, mean: NaN, sd: 1 }],
+    [{ type: DISTRIBUTION_TYPES.TRIANGULAR, min: 1, mode: 5, max: 3 }],
+    [{ type: DISTRIBUTION_TYPES.TRIANGULAR, min: null, mode: 0, max: 1 }],
+    [{ type: DISTRIBUTION_TYPES.UNIFORM, min: 3, max: 1 }],
+    [{ type: 'lognormal', mean: 1, sd: 1 }],
+    [undefined],
+  ])('无效分布 %o', (dist) => {
+    expect(validateDistribution(dist)).toEqual(expect.any(String));
+  });
+});
+
+describe('runMonteCarlo', () => {
+  const params = DEFAULT_PARAMS;
+  const distributions = defaultDistributions(params);
+
+  it('同一 seed 得到完全相同的统计结果', () => {
+    const a = runMonteCarlo({ params, distributions, iterations: 2000, seed: 99 });
+    const b = runMonteCarlo({ params, distributions, iterations: 2000, seed: 99 });
+    expect(a.ok).toBe(true);
+    expect([a.p10, a.p50, a.p90, a.mean]).toEqual([b.p10, b.p50, b.p90, b.mean]);
+    expect(a.histogram).toEqual(b.histogram);
+    expect(a.p10).toBeLessThan(a.p50);
+    expect(a.p50).toBeLessThan(a.p90);
+  });
+
+  it('不同 seed 得到不同结果', () => {
+    const a = runMonteCarlo({ params, distributions, iterations: 2000, seed: 1 });
+    const b = runMonteCarlo({ params, distributions, iterations: 2000, seed: 2 });
+    expect(a.p50).not.toBe(b.p50);
+  });
+
+  it('统计市价以上的概率，直方图覆盖全部有效样本', () => {
+    const result = runMonteCarlo({ params, distributions, iterations: 1000, marketCap: 1 });
+    expect(result.probAboveMarket).toBe(1);
+    expect(result.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(result.valid);
+    expect(runMonteCarlo({ params, distributions, iterations: 10 }).probAboveMarket).toBeNull();
+  });
+
+  it.each(['fcf', 'growth', 'discount', 'perpetual'])('%s 分布无效时返回 INVALID_DISTRIBUTION', (field) => {
+    const invalid = { ...distributions, [field]: { type: DISTRIBUTION_TYPES.UNIFORM, min: 2, max: 1 } };
+    const result = runMonteCarlo({ params, distributions: invalid, iterations: 10 });
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatchObject({ code: 'INVALID_DISTRIBUTION', field });
+  });
+
+  it('所有样本均无效时返回 NO_VALID_SAMPLES', () => {
+    const invalid = { ...distributions, perpetual: { type: DISTRIBUTION_TYPES.UNIFORM, min: 20, max: 21 } };
+    expect(runMonteCarlo({ params, distributions: invalid, iterations: 10 }).error.code).toBe('NO_VALID_SAMPLES');
+  });
+});
+
+describe('percentile', () => {
+  it('线性插值，空数组返回 null', () => {
+    expect(percentile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(percentile([1, 2, 3, 4], 0)).toBe(1);
+    expect(percentile([1, 2, 3, 4], 1)).toBe(4);
+    expect(percentile([], 0.5)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * 所有者盈余 (Owner Earnings)
+ * 巴菲特 1986 年致股东信中的定义：
+ *   所有者盈余 = 净利润 + 折旧摊销 - 维持性资本开支 - 营运资本增加
+ * 同时给出常规自由现金流口径：
+ *   FCF = 经营现金流 - 全部资本开支；未提供经营现金流时以 净利润 + 折旧摊销 - 营运资本增加 近似
+ * 金额单位均为亿。
+ */
+
+export const EARNINGS_BASES = {
+  OWNER_EARNINGS: 'ownerEarnings',
+  FCF: 'fcf',
+};
+
+export const NORMALIZATION_METHODS = {
+  LATEST: 'latest',
+  AVG3: 'avg3',
+  AVG5: 'avg5',
+  MEDIAN: 'median',
+};
+
+export const NORMALIZATION_LABELS = {
+  [NORMALIZATION_METHODS.LATEST]: '最近一年',
+  [NORMALIZATION_METHODS.AVG3]: '近3年平均',
+  [NORMALIZATION_METHODS.AVG5]: '近5年平均',
+  [NORMALIZATION_METHODS.MEDIAN]: '中位数',
+};
+
+export const DEFAULT_FINANCIALS = {
+  rows: [],
+  basis: EARNINGS_BASES.OWNER_EARNINGS,
+  method: NORMALIZATION_METHODS.AVG3,
+};
+
+export const createFinancialRow = (year) => ({
+  year,
+  netIncome: 0,
+  da: 0,
+  maintenanceCapex: 0,
+  capex: 0,
+  wcChange: 0,
+  operatingCashFlow: null,
+});
+
+/** 按年份升序返回带 ownerEarnings / fcf 两列的明细 */
+export const computeOwnerEarnings = (rows) =>
+  [...rows]
+    .sort((a, b) => a.year - b.year)
+    .map((row) => {
+      const cashFromOperations = row.operatingCashFlow ?? (row.netIncome + row.da - row.wcChange);
+      return {
+        ...row,
+        ownerEarnings: row.netIncome + row.da - row.maintenanceCapex - row.wcChange,
+        fcf: cashFromOperations - row.capex,
+      };
+    });
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/** values 须按年份升序；样本不足 N 年时按现有年份平均 */
+export const normalizeEarnings = (values, method) => {
+  if (values.length === 0) return null;
+  switch (method) {
+    case NORMALIZATION_METHODS.LATEST:
+      return values[values.length - 1];
+    case NORMALIZATION_METHODS.AVG3:
+      return average(values.slice(-3));
+    case NORMALIZATION_METHODS.AVG5:
+      return average(values.slice(-5));
+    case NORMALIZATION_METHODS.MEDIAN: {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    default:
+      return null;
+  }
+};
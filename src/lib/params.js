@@ -0,0 +1,29 @@
+/**
+ * 模型参数的默认值与取值范围
+ * 滑块、敏感性分析等处共享同一份范围定义，保证各入口写入的参数一致有效。
+ */
+import { SCHEDULE_MODES } from './growthSchedule.js';
+
+export const DEFAULT_PARAMS = {
+  fcf: 10,
+  growth: 15,
+  discount: 10,
+  perpetual: 3.0,
+  highYears: 10,
+  fadeYears: 0,
+  scheduleMode: SCHEDULE_MODES.STAGES,
+  customGrowth: []
+};
+
+export const PARAM_LIMITS = {
+  growth: { min: 0, max: 50, step: 1 },
+  discount: { min: 5, max: 20, step: 1 },
+  perpetual: { min: 0, max: 5, step: 0.1 },
+  highYears: { min: 1, max: 20, step: 1 },
+  fadeYears: { min: 0, max: 10, step: 1 },
+};
+
+export const isWithinLimits = (key, value) => {
+  const limits = PARAM_LIMITS[key];
+  return !limits || (value >= limits.min && value <= limits.max);
+};
@@ -0,0 +1,52 @@
+/**
+ * 现金流预测图表数据
+ * 图表可在 名义 FCF / 折现值 PV / 累计现值 / 价值构成 之间切换；
+ * series 为参与绘制的估值 [{ id, valuation }] (未启用情景分析时只有当前估值，启用时为各情景)，
+ * 折线模式下每个估值的取值写入 row[id]，历史年份只在名义 FCF 模式下绘制在第1年之前。
+ */
+
+export const CHART_MODES = {
+  FCF: 'fcf',
+  PV: 'pv',
+  CUMULATIVE: 'cumulative',
+  COMPOSITION: 'composition',
+};
+
+const LINE_METRICS = {
+  [CHART_MODES.FCF]: 'fcf',
+  [CHART_MODES.PV]: 'pv',
+  [CHART_MODES.CUMULATIVE]: 'cumulativePv',
+};
+
+/** 逐年预测行附加累计现值 cumulativePv，末年的累计现值即 PV1 */
+export const withCumulativePv = (years) => {
+  let sum = 0;
+  return years.map((row) => {
+    sum += row.pv;
+    return { ...row, cumulativePv: sum };
+  });
+};
+
+/**
+ * 折线模式的图表数据。
+ * 预测行为 { t, [id]: 数值 }，历史行为 { fiscalYear, historical }；history 为 [{ year, value }]。
+ */
+export const buildLineChartData = (series, mode, history = []) => {
+  const metric = LINE_METRICS[mode];
+  const seriesYears = series.map(({ valuation }) => withCumulativePv(valuation.years));
+  const length = Math.max(0, ...seriesYears.map((years) => years.length));
+  const projected = Array.from({ length }, (_, i) => {
+    const row = { t: i + 1 };
+    series.forEach(({ id }, k) => {
+      const year = seriesYears[k][i];
+      if (year) row[id] = year[metric];
+    });
+    return row;
+  });
+  if (mode !== CHART_MODES.FCF) return projected;
+  return [...history.map(({ year, value }) => ({ fiscalYear: year, historical: value })), ...projected];
+};
+
+/** 价值构成：每个估值一根柱，PV1 与 PV2 堆叠为内在价值 */
+export const buildValueComposition = (series) =>
+  series.map(({ id, valuation }) => ({ id, pv1: valuation.stage1, pv2: valuation.tv, total: valuation.total }));
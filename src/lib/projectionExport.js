@@ -0,0 +1,250 @@
+/**
+ * 预测明细导出 / 回读
+ * 同一份表格模型同时生成 CSV 与 XLSX：
+ *   - XLSX 中 "预测"、"汇总" 工作表的单元格是引用 "输入" 工作表的真实公式 (增长率、折现系数、永续价值等)，
+ *     在 Excel 中修改输入即可联动重算；公式同时写入计算结果，未重算的阅读器也能看到数值。
+ *   - CSV 只保存数值。
+ * 两种格式的输入区都带有 "字段" 列，重新导入时据此还原参数；完整模型状态 (同分享链接编码)
+ * 另存于 XLSX 的隐藏工作表 / CSV 输入区末尾，用于还原输入区以外的设置。
+ */
+import { SCHEDULE_MODES, resolveGrowthSchedule } from './growthSchedule.js';
+import { SAFETY_MARGIN, computeValuation } from './valuation.js';
+import { computeEquityBridge } from './bridge.js';
+import { parseCsv, toCsv } from './csv.js';
+import { parseNumber, sheetToTable } from './financialImport.js';
+import { encodeModelState, decodeModelState } from './shareLink.js';
+import { sanitizeModelState } from './modelState.js';
+
+export const PROJECTION_ERRORS = {
+  INVALID_MODEL: 'INVALID_MODEL',
+  UNSUPPORTED_FILE: 'UNSUPPORTED_FILE',
+  NOT_A_PROJECTION: 'NOT_A_PROJECTION',
+};
+
+// 还原时的警告码，格式与模型状态校验的警告相同 (见 lib/modelState.js 的 STATE_WARNINGS)
+export const PROJECTION_WARNINGS = {
+  MODEL_UNREADABLE: 'MODEL_UNREADABLE',
+  INVALID_INPUT_CELL: 'INVALID_INPUT_CELL',
+};
+
+const SHEETS = {
+  INPUTS: '输入',
+  PROJECTION: '预测',
+  SUMMARY: '汇总',
+  MODEL: '_model',
+};
+
+const HEADER = ['项目', '取值', '说明', '字段'];
+const MODEL_KEY = 'model';
+// 单元格文本上限为 32767 字符，完整模型按块拆成多行保存
+const MODEL_CHUNK_SIZE = 30000;
+
+const PARAM_INPUTS = [
+  { key: 'fcf', label: '基期自由现金流 (亿)' },
+  { key: 'growth', label: '高速增长率 (%)' },
+  { key: 'highYears', label: '高速增长期 (年)', note: '修改年数不会增减预测行' },
+  { key: 'fadeYears', label: '渐退期 (年)', note: '修改年数不会增减预测行' },
+  { key: 'discount', label: '折现率 (%)' },
+  { key: 'perpetual', label: '永续增长率 (%)' },
+];
+
+const BRIDGE_INPUTS = [
+  { key: 'netCash', label: '净现金 (亿)', note: '负数表示净负债' },
+  { key: 'nonOperating', label: '非经营性资产 (亿)' },
+  { key: 'minority', label: '少数股东权益 (亿)' },
+  { key: 'dilutedShares', label: '稀释后总股本 (亿股)', note: '0 表示未填写' },
+];
+
+const customGrowthKey = (t) => `customGrowth.${t}`;
+
+/** 公式单元格：XLSX 写入 formula，CSV 取 result */
+const formula = (text, result) => ({ formula: text, result });
+
+const cellResult = (cell) => (cell !== null && typeof cell === 'object' ? cell.result : cell);
+
+const quoteSheet = (name) => `'${name}'`;
+
+/**
+ * 生成三张工作表的行数据 (单元格为原始值或 { formula, result })。
+ * 返回 { ok: true, sheets: [{ name, rows, hidden? }] } 或 { ok: false, error }
+ */
+export const buildProjectionSheets = (state) => {
+  const { params, bridge, currency } = state;
+  const schedule = resolveGrowthSchedule(params);
+  const valuation = computeValuation({ ...params, growthSchedule: schedule });
+  if (!valuation.ok) {
+    return { ok: false, error: { code: PROJECTION_ERRORS.INVALID_MODEL, message: `当前参数无法估值：${valuation.error.message}` } };
+  }
+  const isCustom = params.scheduleMode === SCHEDULE_MODES.CUSTOM && params.customGrowth.length > 0;
+
+  // --- 输入 ---
+  const inputRows = [HEADER];
+  const refs = {};
+  const addInput = (key, label, value, note = '') => {
+    inputRows.push([label, value, note, key]);
+    refs[key] = `${quoteSheet(SHEETS.INPUTS)}!$B$${inputRows.length}`;
+  };
+  // 货币仅作说明，重新导入时随完整模型还原
+  inputRows.push(['估值货币', currency.code, '表中金额均以亿为单位、以估值货币计', 'currency']);
+  PARAM_INPUTS.forEach(({ key, label, note }) => addInput(key, label, params[key], note));
+  addInput('scheduleMode', '增长路径模式', params.scheduleMode, 'stages = 分阶段，custom = 逐年自定义');
+  if (isCustom) {
+    schedule.forEach((g, i) => addInput(customGrowthKey(i + 1), `第${i + 1}年增长率 (%)`, g));
+  }
+  BRIDGE_INPUTS.forEach(({ key, label, note }) => addInput(key, label, bridge[key], note));
+  addInput('safetyMargin', '安全边际系数', SAFETY_MARGIN, '仅供表内测算，重新导入时不读取');
+
+  const token = encodeModelState(state);
+  const modelRows = [];
+  for (let i = 0; i < token.length; i += MODEL_CHUNK_SIZE) {
+    modelRows.push(['模型数据', token.slice(i, i + MODEL_CHUNK_SIZE), '请勿修改', MODEL_KEY]);
+  }
+
+  // --- 逐年预测 ---
+  const projectionRows = [['年份', '增长率 (%)', 'FCF (亿)', '折现系数', '现值 (亿)']];
+  valuation.years.forEach((year) => {
+    const r = projectionRows.length + 1;
+    const growthFormula = isCustom
+      ? `${refs[customGrowthKey(year.t)]}`
+      : `IF(A${r}<=${refs.highYears},${refs.growth},${refs.growth}+(${refs.perpetual}-${refs.growth})*(A${r}-${refs.highYears})/(${refs.fadeYears}+1))`;
+    projectionRows.push([
+      year.t,
+      formula(growthFormula, year.growth),
+      formula(`${year.t === 1 ? refs.fcf : `C${r - 1}`}*(1+B${r}/100)`, year.fcf),
+      formula(`1/(1+${refs.discount}/100)^A${r}`, year.discountFactor),
+      formula(`C${r}*D${r}`, year.pv),
+    ]);
+  });
+  const lastRow = projectionRows.length;
+  const projectionRef = (col, row) => `${quoteSheet(SHEETS.PROJECTION)}!${col}${row}`;
+
+  // --- 永续价值与汇总 ---
+  const { equityValue, perShare } = computeEquityBridge(valuation.total, bridge);
+  const summaryRows = [['项目', '数值', '计算方式']];
+  const addSummary = (label, cell, note) => {
+    summaryRows.push([label, cell, note]);
+    return `B${summaryRows.length}`;
+  };
+  const pv1 = addSummary('PV1：显式预测期现值 (亿)', formula(`SUM(${projectionRef('E', 2)}:E${lastRow})`, valuation.stage1), '逐年现值之和');
+  const tv = addSummary('永续价值 TV (亿)', formula(`${projectionRef('C', lastRow)}*(1+${refs.perpetual}/100)/((${refs.discount}-${refs.perpetual})/100)`, valuation.terminalValue), '末年 FCF × (1 + g永续) ÷ (r − g永续)');
+  const pv2 = addSummary('PV2：永续价值现值 (亿)', formula(`${tv}*${projectionRef('D', lastRow)}`, valuation.tv), 'TV × 末年折现系数');
+  const ev = addSummary('企业价值 (亿)', formula(`${pv1}+${pv2}`, valuation.total), 'PV1 + PV2');
+  const equity = addSummary('股权价值 (亿)', formula(`${ev}+${refs.netCash}+${refs.nonOperating}-${refs.minority}`, equityValue), '企业价值 + 净现金 + 非经营资产 − 少数股东权益');
+  addSummary('每股内在价值 (元)', formula(`IF(${refs.dilutedShares}>0,${equity}/${refs.dilutedShares},"")`, perShare ?? ''), '股权价值 ÷ 稀释后总股本');
+  addSummary('安全边际买入价 (亿)', formula(`${equity}*${refs.safetyMargin}`, equityValue * SAFETY_MARGIN), '股权价值 × 安全边际系数');
+  addSummary('每股买入价 (元)', formula(`IF(${refs.dilutedShares}>0,${equity}*${refs.safetyMargin}/${refs.dilutedShares},"")`, perShare !== null ? perShare * SAFETY_MARGIN : ''), '每股内在价值 × 安全边际系数');
+  addSummary('估值倍数 (P/FCF)', formula(`IF(${refs.fcf}<>0,${ev}/${refs.fcf},"")`, valuation.multiple ?? ''), '企业价值 ÷ 基期 FCF');
+  addSummary('远期价值占比 (%)', formula(`IF(${ev}<>0,${pv2}/${ev}*100,"")`, valuation.tvRatio ?? ''), 'PV2 ÷ 企业价值');
+
+  return {
+    ok: true,
+    sheets: [
+      { name: SHEETS.INPUTS, rows: inputRows },
+      { name: SHEETS.PROJECTION, rows: projectionRows },
+      { name: SHEETS.SUMMARY, rows: summaryRows },
+      { name: SHEETS.MODEL, rows: modelRows, hidden: true },
+    ],
+  };
+};
+
+/** CSV：各工作表依次排列，以【名称】行分隔；模型数据接在输入区之后 */
+export const buildProjectionCsv = (sheets) => {
+  const rows = [];
+  sheets.forEach(({ name, rows: sheetRows }) => {
+    if (name !== SHEETS.MODEL) {
+      if (rows.length > 0) rows.push([]);
+      rows.push([`【${name}】`]);
+    }
+    sheetRows.forEach((row) => rows.push(row.map(cellResult)));
+  });
+  // UTF-8 BOM 让 Excel 正确识别中文
+  return `\uFEFF${toCsv(rows)}`;
+};
+
+/** XLSX：返回 Blob；exceljs 体积较大，按需加载 */
+export const buildProjectionWorkbook = async (sheets) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  // 打开时强制重算，保证显示值与输入一致
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  sheets.forEach(({ name, rows, hidden }) => {
+    const sheet = workbook.addWorksheet(name, hidden ? { state: 'veryHidden' } : {});
+    rows.forEach((row) => sheet.addRow(row));
+    if (hidden) return;
+    sheet.getRow(1).font = { bold: true };
+    sheet.columns.forEach((column, i) => {
+      column.width = i === 0 ? 28 : 16;
+      if (i > 0) column.numFmt = '#,##0.00##';
+    });
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+/** 读取导出文件中所有行；XLSX 合并全部工作表 (含隐藏的模型数据) */
+export const readProjectionFile = async (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.csv')) {
+    return { ok: true, rows: parseCsv(await file.text()) };
+  }
+  if (name.endsWith('.xlsx')) {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await file.arrayBuffer());
+    return { ok: true, rows: workbook.worksheets.flatMap(sheetToTable) };
+  }
+  return { ok: false, error: { code: PROJECTION_ERRORS.UNSUPPORTED_FILE, message: '仅支持本应用导出的 .csv 与 .xlsx 文件' } };
+};
+
+/**
+ * 从导出文件的行数据还原模型状态。
+ * 以文件内的完整模型为底 (缺失或损坏时以 currentState 为底)，再用输入区的参数覆盖，
+ * 因此在 Excel 中修改过的输入会被带回。
+ * 返回 { ok: true, state, warnings } 或 { ok: false, error }
+ */
+export const restoreFromProjection = (rows, currentState) => {
+  const values = new Map();
+  let token = '';
+  rows.forEach((row) => {
+    const key = String(row[3] ?? '').trim();
+    if (key === MODEL_KEY) token += String(row[1] ?? '');
+    else if (key) values.set(key, row[1]);
+  });
+  if (!values.has('fcf')) {
+    return { ok: false, error: { code: PROJECTION_ERRORS.NOT_A_PROJECTION, message: '文件中未找到估值输入区，请选择本应用导出的预测文件' } };
+  }
+
+  const warnings = [];
+  let base = currentState;
+  if (token) {
+    const decoded = decodeModelState(token);
+    if (decoded.ok) base = decoded.state;
+    else warnings.push({ code: PROJECTION_WARNINGS.MODEL_UNREADABLE, message: '完整模型数据无法解析，仅还原输入区中的参数' });
+  }
+
+  const readNumber = (key) => {
+    const value = parseNumber(values.get(key));
+    if (values.has(key) && !Number.isFinite(value)) {
+      warnings.push({ code: PROJECTION_WARNINGS.INVALID_INPUT_CELL, message: `输入区 "${key}" 不是有效数字，已忽略`, key });
+    }
+    return Number.isFinite(value) ? value : undefined;
+  };
+  const pick = (keys) => Object.fromEntries(keys.map((key) => [key, readNumber(key)]).filter(([, value]) => value !== undefined));
+
+  const params = { ...base.params, ...pick(PARAM_INPUTS.map((f) => f.key)) };
+  const scheduleMode = String(values.get('scheduleMode') ?? '').trim();
+  if (Object.values(SCHEDULE_MODES).includes(scheduleMode)) params.scheduleMode = scheduleMode;
+  const customGrowth = [];
+  for (let t = 1; values.has(customGrowthKey(t)); t++) customGrowth.push(readNumber(customGrowthKey(t)) ?? 0);
+  if (customGrowth.length > 0) params.customGrowth = customGrowth;
+
+  const bridge = { ...base.bridge, ...pick(BRIDGE_INPUTS.map((f) => f.key)) };
+
+  // 在 Excel 中改过折现率时，不再沿用折现率构建器的推导结果
+  const rateBuilder = params.discount !== base.params.discount ? { ...base.rateBuilder, enabled: false } : base.rateBuilder;
+
+  const sanitized = sanitizeModelState({ ...base, params, bridge, rateBuilder });
+  return { ok: true, state: sanitized.state, warnings: [...warnings, ...sanitized.warnings] };
+};
@@ -0,0 +1,146 @@
+/**
+ * AI 分析师人设与提示词模板
+ * 人设、报告长度、输出语言与模板文本都存放在 aiPrompts.json 中，新增人设或改写模板只需编辑数据文件。
+ *
+ * 模板以 {{字段}} 引用变量，未知字段原样保留，便于发现拼写错误。可用字段：
+ *   系统提示词  voice (人设口吻)、length (长度要求)、language (语言要求)
+ *   估值字段    company / ticker / companyLine (非人民币估值时附带货币说明)、currency (货币代码)、fcf、growthDesc、discount / discountSource、perpetual、
+ *               total、pv1、pv2、terminalShare (永续价值占比 %)、equityValue、perShare、
+ *               safetyPrice、safetyPerShare、marketCap / marketCapLine、years、fcfByYear、pvByYear
+ * 金额以亿计，市值已按汇率折算为估值货币；数值字段保留两位小数；估值无效或数据缺失时为 "无效" / "—"。
+ */
+import AI_PROMPTS from './aiPrompts.json' with { type: 'json' };
+import { SCHEDULE_MODES } from './growthSchedule.js';
+import { RATE_SOURCE_NAMES } from './discountRate.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+
+export const PERSONAS = AI_PROMPTS.personas;
+export const REPORT_LENGTHS = AI_PROMPTS.lengths;
+export const REPORT_LANGUAGES = AI_PROMPTS.languages;
+export const PROMPT_TEMPLATES = AI_PROMPTS.templates;
+
+export const AI_SETTINGS_STORAGE_KEY = 'buffett-valuation:ai-settings:v1';
+
+export const DEFAULT_AI_SETTINGS = {
+  persona: 'buffett',
+  length: 'standard',
+  language: 'zh-CN',
+};
+
+const findById = (list, id) => list.find((item) => item.id === id) ?? list[0];
+
+export const findPersona = (id) => findById(PERSONAS, id);
+
+/** 未知的 id (如数据文件中删除了某个人设) 回退到默认值 */
+export const sanitizeAiSettings = (raw) => {
+  const pick = (list, key) => (list.some((item) => item.id === raw?.[key]) ? raw[key] : DEFAULT_AI_SETTINGS[key]);
+  return {
+    persona: pick(PERSONAS, 'persona'),
+    length: pick(REPORT_LENGTHS, 'length'),
+    language: pick(REPORT_LANGUAGES, 'language'),
+  };
+};
+
+export const loadAiSettings = (storage = window.localStorage) => {
+  try {
+    return sanitizeAiSettings(JSON.parse(storage.getItem(AI_SETTINGS_STORAGE_KEY) ?? 'null'));
+  } catch {
+    return { ...DEFAULT_AI_SETTINGS };
+  }
+};
+
+export const persistAiSettings = (settings, storage = window.localStorage) => {
+  try {
+    storage.setItem(AI_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // 偏好设置写入失败时仅在本次会话内生效
+  }
+};
+
+/** 以 fields 替换模板中的 {{字段}} */
+export const renderTemplate = (template, fields) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (Object.hasOwn(fields, key) ? String(fields[key]) : match));
+
+// --- 估值描述 ---
+// 提示词字段与对话上下文 (lib/chat.js) 共用，保证两处对同一估值的表述一致
+
+/** 保留两位小数并加千分位 */
+export const formatPromptNumber = (value) => Number(value.toFixed(2)).toLocaleString('en-US');
+
+export const describeGrowth = (params, growthSchedule) => (params.scheduleMode === SCHEDULE_MODES.CUSTOM
+  ? `逐年增长率 ${growthSchedule.map((g) => `${formatPromptNumber(g)}%`).join('、')}`
+  : `增长率 ${formatPromptNumber(params.growth)}%（高速期 ${params.highYears} 年，渐退期 ${params.fadeYears} 年）`);
+
+/** 折现率由构建器推导时返回 "（由…推导）"，否则为空字符串 */
+export const describeDiscountSource = (rateBuilder) => (rateBuilder.enabled ? `（由${RATE_SOURCE_NAMES[rateBuilder.method]}推导）` : '');
+
+// 默认的人民币估值不额外说明，保持提示词与缓存键不变
+const describeCurrency = (currency) => (currency.code === DEFAULT_CURRENCY.code ? '' : `金额以 ${currency.code} 计。`);
+const fmtOrDash = (value) => (value === null || value === undefined ? '—' : formatPromptNumber(value));
+
+/** 估值字段，供用户提示词模板引用 */
+export const buildPromptFields = ({ meta, params, currency = DEFAULT_CURRENCY, growthSchedule, rateBuilder, valuation, bridgeResult, safety, marketCap }) => {
+  const invalid = '无效';
+  const ok = valuation.ok;
+  return {
+    company: meta.company || '',
+    ticker: meta.ticker || '',
+    currency: currency.code,
+    companyLine: `${meta.company ? `公司：${meta.company}${meta.ticker ? `（${meta.ticker}）` : ''}。` : ''}${describeCurrency(currency)}`,
+    fcf: params.fcf,
+    growthDesc: describeGrowth(params, growthSchedule),
+    discount: params.discount,
+    discountSource: describeDiscountSource(rateBuilder),
+    perpetual: params.perpetual,
+    total: ok ? valuation.total.toFixed(2) : invalid,
+    pv1: ok ? formatPromptNumber(valuation.stage1) : invalid,
+    pv2: ok ? formatPromptNumber(valuation.tv) : invalid,
+    terminalShare: ok ? fmtOrDash(valuation.tvRatio) : invalid,
+    equityValue: ok ? formatPromptNumber(bridgeResult.equityValue) : invalid,
+    perShare: ok ? fmtOrDash(bridgeResult.perShare) : invalid,
+    safetyPrice: safety ? formatPromptNumber(safety.value) : invalid,
+    safetyPerShare: safety ? fmtOrDash(safety.perShare) : invalid,
+    marketCap: fmtOrDash(marketCap),
+    marketCapLine: marketCap !== null ? `，当前市值 ${formatPromptNumber(marketCap)}亿` : '',
+    years: ok ? valuation.years.length : invalid,
+    fcfByYear: ok ? valuation.years.map((row) => `第${row.t}年 ${formatPromptNumber(row.fcf)}亿`).join('、') : invalid,
+    pvByYear: ok ? valuation.years.map((row) => `第${row.t}年 ${formatPromptNumber(row.pv)}亿`).join('、') : invalid,
+  };
+};
+
+const personaFields = (settings, kind) => ({
+  voice: findPersona(settings.persona).voice,
+  length: findById(REPORT_LENGTHS, settings.length)[kind],
+  language: findById(REPORT_LANGUAGES, settings.language).instruction,
+});
+
+export const buildDiagnosisSystemPrompt = (settings) => renderTemplate(PROMPT_TEMPLATES.diagnosisSystem, personaFields(settings, 'diagnosis'));
+
+export const buildDiagnosisPrompt = (fields) => renderTemplate(PROMPT_TEMPLATES.diagnosisUser, fields);
+
+/** 对话的系统提示词；report 为此前的深度报告，附在其后作为 "此前的点评" */
+export const buildChatSystemPrompt = (settings, report = '') => {
+  const system = renderTemplate(PROMPT_TEMPLATES.chatSystem, personaFields(settings, 'chat'));
+  return report ? `${system}\n\n你此前对这份估值的点评：\n${report}` : system;
+};
+
+// --- 请求中的提示词描述 ---
+// 系统提示词不由前端发送，而是由服务端按 { template, persona, length, language, report? } 生成 (见 api/_lib/llmRequest.js)，
+// 避免接口被当作可任意设定系统提示词的通用模型代理。
+
+export const PROMPT_KINDS = {
+  DIAGNOSIS: 'diagnosis',
+  CHAT: 'chat',
+};
+
+/** 组装请求体中的 prompt 字段；report 只用于对话 */
+export const buildPromptSpec = (kind, settings, report = '') => ({
+  template: kind,
+  ...sanitizeAiSettings(settings),
+  ...(kind === PROMPT_KINDS.CHAT && report ? { report } : {}),
+});
+
+/** 按 prompt 字段生成系统提示词，调用方须先校验各 id (服务端见 api/_lib/llmRequest.js) */
+export const buildSystemPrompt = ({ template, report, ...settings }) => (template === PROMPT_KINDS.DIAGNOSIS
+  ? buildDiagnosisSystemPrompt(settings)
+  : buildChatSystemPrompt(settings, report));
@@ -0,0 +1,75 @@
+/**
+ * 可复现的随机数与概率分布抽样
+ * 使用 mulberry32 作为种子化 PRNG：同一 seed 总是产生相同序列，便于在测试中复现模拟结果。
+ */
+
+export const DISTRIBUTION_TYPES = {
+  NORMAL: 'normal',
+  TRIANGULAR: 'triangular',
+  UNIFORM: 'uniform',
+};
+
+/** 各分布的参数字段 */
+export const DISTRIBUTION_FIELDS = {
+  [DISTRIBUTION_TYPES.NORMAL]: ['mean', 'sd'],
+  [DISTRIBUTION_TYPES.TRIANGULAR]: ['min', 'mode', 'max'],
+  [DISTRIBUTION_TYPES.UNIFORM]: ['min', 'max'],
+};
+
+/** 返回 [0, 1) 均匀分布的随机函数 */
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller 变换，1 - rng() 避免 log(0)
+const standardNormal = (rng) =>
+  Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+
+/**
+ * 按分布定义抽取一个样本：
+ *   normal      { mean, sd }
+ *   triangular  { min, mode, max }
+ *   uniform     { min, max }
+ */
+export const sample = (rng, dist) => {
+  switch (dist.type) {
+    case DISTRIBUTION_TYPES.NORMAL:
+      return dist.mean + dist.sd * standardNormal(rng);
+    case DISTRIBUTION_TYPES.TRIANGULAR: {
+      const { min, mode, max } = dist;
+      if (max <= min) return min;
+      const u = rng();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case DISTRIBUTION_TYPES.UNIFORM:
+      return dist.min + (dist.max - dist.min) * rng();
+    default:
+      throw new Error(`Unknown distribution type: ${dist.type}`);
+  }
+};
+
+const allFinite = (...values) => values.every(Number.isFinite);
+
+/** 校验分布参数，返回错误信息或 null；各参数须为有限数字 */
+export const validateDistribution = (dist) => {
+  switch (dist?.type) {
+    case DISTRIBUTION_TYPES.NORMAL:
+      return allFinite(dist.mean, dist.sd) && dist.sd >= 0 ? null : '需填写有效的均值与非负的标准差';
+    case DISTRIBUTION_TYPES.TRIANGULAR:
+      return allFinite(dist.min, dist.mode, dist.max) && dist.min <= dist.mode && dist.mode <= dist.max ? null : '需满足 最小值 ≤ 众数 ≤ 最大值';
+    case DISTRIBUTION_TYPES.UNIFORM:
+      return allFinite(dist.min, dist.max) && dist.min <= dist.max ? null : '最小值不能大于最大值';
+    default:
+      return '未知的分布类型';
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * AI 请求缓存键
+ * 浏览器端与 api/generate.js 共用：通用请求格式 (见 api/_lib/llmRequest.js) 归一化后连同模型名做哈希。
+ * 浏览器端的请求以 prompt 描述系统提示词，服务端以生成后的 system 计算，两者各自稳定即可。
+ * 归一化只折叠空白并固定对象键顺序，不改动文字本身，措辞不同的提问仍视为不同请求。
+ */
+
+const normalizeText = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+// 键按字母序输出，保证同一对象无论构造顺序如何都得到相同字符串
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const normalizeLlmRequest = ({ system, prompt, messages = [], options = {} }) => ({
+  system: normalizeText(system),
+  prompt: prompt ? { ...prompt, report: normalizeText(prompt.report) } : undefined,
+  messages: messages.map(({ role, content }) => ({ role, content: normalizeText(content) })),
+  options,
+});
+
+/** 53 位字符串哈希 (cyrb53)，返回 14 位以内的十六进制串 */
+export const hashString = (str, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+};
+
+/** model 形如 "gemini:gemini-2.5-flash"，来自服务端 X-LLM-Model 响应头 */
+export const buildRequestKey = (request, model = '') => hashString(`${model}\n${stableStringify(normalizeLlmRequest(request))}`);
@@ -0,0 +1,13 @@
+/**
+ * /api/generate 请求的长度与条数上限
+ * 服务端据此校验请求 (见 api/_lib/llmRequest.js)，前端组装请求时按同一份上限裁剪 (见 lib/chat.js)，
+ * 单位为字符数 (JavaScript 字符串长度)。
+ */
+
+export const REQUEST_LIMITS = {
+  systemLength: 8000,
+  messageCount: 40,
+  messageLength: 8000,
+  totalLength: 40000,
+  maxTokens: 4096,
+};
@@ -0,0 +1,106 @@
+/**
+ * 反向 DCF
+ * 给定市场价格，数值求解市场隐含的高速增长率或折现率。
+ * 采用二分法：估值对增长率 / 折现率单调，只要区间两端与目标值异号即可收敛。
+ */
+import { computeValuation, MIN_SPREAD } from './valuation.js';
+import { buildGrowthSchedule } from './growthSchedule.js';
+
+export const REVERSE_TARGETS = {
+  GROWTH: 'growth',
+  DISCOUNT: 'discount',
+};
+
+// 求解区间 (%)：超出此范围的隐含值已无经济意义，直接视为无解
+export const GROWTH_RANGE = [-50, 100];
+export const DISCOUNT_CEILING = 50;
+
+export const REVERSE_ERRORS = {
+  INVALID_TARGET: 'INVALID_TARGET',
+  NON_POSITIVE_FCF: 'NON_POSITIVE_FCF',
+  NO_SOLUTION: 'NO_SOLUTION',
+};
+
+const TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 200;
+
+/**
+ * 在 [lo, hi] 上求 f(x) = 0，其中 f(x) = 估值(x) - 市场价格。
+ * 无解时 error.side 为 'above' (市场价格高于区间内任何估值) 或 'below' (低于任何估值)，error.lo / error.hi 为求解区间。
+ */
+export const bisect = (f, lo, hi) => {
+  let fLo = f(lo);
+  const fHi = f(hi);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) {
+    const side = fLo < 0 && fHi < 0 ? 'above' : 'below';
+    return {
+      ok: false,
+      error: {
+        code: REVERSE_ERRORS.NO_SOLUTION,
+        side,
+        lo,
+        hi,
+        message: `在 ${lo.toFixed(2)}% ~ ${hi.toFixed(2)}% 区间内无解：市场价格${side === 'above' ? '高于' : '低于'}该区间内任何估值`,
+      },
+    };
+  }
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (Math.abs(fMid) < TOLERANCE || (hi - lo) / 2 < TOLERANCE) {
+      return { ok: true, value: mid, iterations: i + 1 };
+    }
+    if (fMid * fLo < 0) {
+      hi = mid;
+    } else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return { ok: true, value: (lo + hi) / 2, iterations: MAX_ITERATIONS };
+};
+
+const invalidTarget = () => ({ ok: false, error: { code: REVERSE_ERRORS.INVALID_TARGET, message: '请输入有效的市场价格' } });
+
+// 基期 FCF 为零或为负时，估值在任何增长率 / 折现率下都不为正，二分法的 "无解" 会误导为价格过高
+const checkInputs = (params, targetValue) => {
+  if (!(targetValue > 0)) return invalidTarget();
+  if (!(params.fcf > 0)) {
+    return { ok: false, error: { code: REVERSE_ERRORS.NON_POSITIVE_FCF, message: '基期自由现金流须为正数，零或负的现金流无法推算市场隐含的增长率或折现率' } };
+  }
+  return null;
+};
+
+const totalOrNaN = (input) => {
+  const result = computeValuation(input);
+  return result.ok ? result.total : NaN;
+};
+
+/**
+ * 求解隐含高速增长率。沿用当前的高速期 / 渐退期年数，
+ * 逐年自定义模式下同样按三阶段结构求解，得到一个可与滑块直接对照的单一增长率。
+ */
+export const solveImpliedGrowth = (params, targetValue) => {
+  const invalid = checkInputs(params, targetValue);
+  if (invalid) return invalid;
+  const [lo, hi] = GROWTH_RANGE;
+  return bisect(
+    (growth) => totalOrNaN({ ...params, growthSchedule: buildGrowthSchedule({ ...params, growth }) }) - targetValue,
+    lo,
+    hi
+  );
+};
+
+/** 求解隐含折现率，增长路径保持为当前生效的路径 */
+export const solveImpliedDiscount = (params, growthSchedule, targetValue) => {
+  const invalid = checkInputs(params, targetValue);
+  if (invalid) return invalid;
+  // 折现率须比永续增长率至少高 MIN_SPREAD 个百分点，下界即为该间隔
+  const lo = params.perpetual + MIN_SPREAD;
+  return bisect(
+    (discount) => totalOrNaN({ ...params, discount, growthSchedule }) - targetValue,
+    lo,
+    Math.max(DISCOUNT_CEILING, lo + 1)
+  );
+};
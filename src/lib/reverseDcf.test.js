@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_PARAMS } from './params.js';
+import { buildGrowthSchedule } from './growthSchedule.js';
+import { computeValuation, MIN_SPREAD } from './valuation.js';
+import { REVERSE_ERRORS, bisect, solveImpliedDiscount, solveImpliedGrowth } from './reverseDcf.js';
+
+const params = DEFAULT_PARAMS;
+const schedule = buildGrowthSchedule(params);
+const currentTotal = computeValuation({ ...params, growthSchedule: schedule }).total;
+
+describe('solveImpliedGrowth', () => {
+  it('以当前估值为市场价格时解出当前增长率', () => {
+    const result = solveImpliedGrowth(params, currentTotal);
+    expect(result.ok).toBe(true);
+    expect(result.value).toBeCloseTo(params.growth, 4);
+  });
+
+  it.each([0, -5])('基期 FCF 为 %s 时返回 NON_POSITIVE_FCF，而不是 "价格过高"', (fcf) => {
+    const result = solveImpliedGrowth({ ...params, fcf }, 100);
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe(REVERSE_ERRORS.NON_POSITIVE_FCF);
+  });
+
+  it('市场价格无效时返回 INVALID_TARGET', () => {
+    expect(solveImpliedGrowth(params, 0).error.code).toBe(REVERSE_ERRORS.INVALID_TARGET);
+    expect(solveImpliedGrowth({ ...params, fcf: 0 }, NaN).error.code).toBe(REVERSE_ERRORS.INVALID_TARGET);
+  });
+
+  it('超出求解区间时返回 NO_SOLUTION 并标明方向', () => {
+    expect(solveImpliedGrowth(params, 1e9).error).toMatchObject({ code: REVERSE_ERRORS.NO_SOLUTION, side: 'above' });
+    expect(solveImpliedGrowth(params, 1e-6).error).toMatchObject({ code: REVERSE_ERRORS.NO_SOLUTION, side: 'below' });
+  });
+});
+
+describe('solveImpliedDiscount', () => {
+  it('以当前估值为市场价格时解出当前折现率', () => {
+    const result = solveImpliedDiscount(params, schedule, currentTotal);
+    expect(result.ok).toBe(true);
+    expect(result.value).toBeCloseTo(params.discount, 4);
+  });
+
+  it('求解下界为永续增长率加最小间隔', () => {
+    const result = solveImpliedDiscount(params, schedule, 1e9);
+    expect(result.error).toMatchObject({ code: REVERSE_ERRORS.NO_SOLUTION, lo: params.perpetual + MIN_SPREAD });
+  });
+
+  it('基期 FCF 不为正时返回 NON_POSITIVE_FCF', () => {
+    expect(solveImpliedDiscount({ ...params, fcf: 0 }, schedule, 100).error.code).toBe(REVERSE_ERRORS.NON_POSITIVE_FCF);
+  });
+});
+
+describe('bisect', () => {
+  it('求解单调函数的零点', () => {
+    const result = bisect((x) => x * x - 2, 0, 2);
+    expect(result.ok).toBe(true);
+    expect(result.value).toBeCloseTo(Math.SQRT2, 5);
+  });
+});
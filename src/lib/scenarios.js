@@ -0,0 +1,89 @@
+/**
+ * 情景分析 (乐观 / 基准 / 悲观)
+ * 每个情景持有一套完整的模型参数与概率权重，分别估值后按权重求期望内在价值。
+ */
+import { computeValuation } from './valuation.js';
+import { resolveGrowthSchedule } from './growthSchedule.js';
+
+export const SAFETY_BASES = {
+  EXPECTED: 'expected',
+  BEAR: 'bear',
+};
+
+export const SCENARIO_IDS = ['bull', 'base', 'bear'];
+
+// 启用后 params 始终代表当前选中 (activeId) 的情景，其余情景的参数保存在 items 中
+export const DEFAULT_SCENARIO_STATE = {
+  enabled: false,
+  activeId: 'base',
+  safetyBasis: SAFETY_BASES.EXPECTED,
+  items: [],
+};
+
+export const SCENARIO_COLORS = {
+  bull: '#059669',
+  base: '#1e3a8a',
+  bear: '#dc2626',
+};
+
+// 默认情景名称；未被用户改名的情景在界面上按当前语言显示
+export const DEFAULT_SCENARIO_NAMES = {
+  bull: '乐观',
+  base: '基准',
+  bear: '悲观',
+};
+
+export const isDefaultScenarioName = ({ id, name }) => DEFAULT_SCENARIO_NAMES[id] === name;
+
+/** 以当前参数为基准情景，上下各偏移一档生成乐观 / 悲观情景 */
+export const createDefaultScenarios = (params) => [
+  {
+    id: 'bull',
+    name: DEFAULT_SCENARIO_NAMES.bull,
+    weight: 25,
+    params: { ...params, growth: params.growth + 5, perpetual: Math.min(params.perpetual + 0.5, params.discount - 0.5) },
+  },
+  { id: 'base', name: DEFAULT_SCENARIO_NAMES.base, weight: 50, params: { ...params } },
+  {
+    id: 'bear',
+    name: DEFAULT_SCENARIO_NAMES.bear,
+    weight: 25,
+    params: { ...params, growth: Math.max(0, params.growth - 7), fcf: params.fcf * 0.9, perpetual: Math.max(0, params.perpetual - 1) },
+  },
+];
+
+/**
+ * 返回：
+ *   { ok: true, results, expected, bear, totalWeight }
+ *     results  [{ id, name, weight, probability, valuation, growthSchedule }]，probability 为归一化后的权重
+ *     expected 概率加权的期望内在价值
+ *     bear     内在价值最低的情景，作为 "悲观情景" 的安全边际基准
+ *   { ok: false, error: { code, message } }  某情景参数无效或权重之和为 0
+ */
+export const evaluateScenarios = (scenarios) => {
+  const totalWeight = scenarios.reduce((sum, s) => sum + Math.max(0, s.weight), 0);
+  const results = scenarios.map((s) => {
+    const growthSchedule = resolveGrowthSchedule(s.params);
+    return {
+      id: s.id,
+      name: s.name,
+      weight: s.weight,
+      probability: totalWeight > 0 ? Math.max(0, s.weight) / totalWeight : 0,
+      growthSchedule,
+      valuation: computeValuation({ ...s.params, growthSchedule }),
+    };
+  });
+
+  const invalid = results.find((r) => !r.valuation.ok);
+  if (invalid) {
+    return { ok: false, results, error: { code: 'INVALID_SCENARIO', message: `「${invalid.name}」情景：${invalid.valuation.error.message}` } };
+  }
+  if (totalWeight <= 0) {
+    return { ok: false, results, error: { code: 'ZERO_WEIGHT', message: '情景权重之和必须大于 0' } };
+  }
+
+  const expected = results.reduce((sum, r) => sum + r.probability * r.valuation.total, 0);
+  const bear = results.reduce((low, r) => (r.valuation.total < low.valuation.total ? r : low));
+
+  return { ok: true, results, expected, bear, totalWeight };
+};
@@ -0,0 +1,48 @@
+/**
+ * 敏感性分析
+ * 以折现率为纵轴、增长率 (高速或永续) 为横轴，逐格调用估值引擎生成二维矩阵。
+ */
+import { computeValuation } from './valuation.js';
+import { buildGrowthSchedule } from './growthSchedule.js';
+import { isWithinLimits } from './params.js';
+
+export const SENSITIVITY_AXES = {
+  GROWTH: 'growth',
+  PERPETUAL: 'perpetual',
+};
+
+// 各轴默认步长 (%)，网格以当前参数为中心向两侧各展开 radius 格，超出滑块范围的格子被裁掉
+export const AXIS_STEPS = {
+  discount: 1,
+  [SENSITIVITY_AXES.GROWTH]: 2,
+  [SENSITIVITY_AXES.PERPETUAL]: 0.5,
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const buildAxis = (key, center, step, radius) =>
+  Array.from({ length: radius * 2 + 1 }, (_, i) => round(center + (i - radius) * step))
+    .filter((value) => isWithinLimits(key, value));
+
+/**
+ * 返回 { rows, cols, cells }：
+ *   rows  折现率序列 (%)
+ *   cols  增长率序列 (%)
+ *   cells cells[i][j] 为对应组合的估值结果 (computeValuation 的返回值)
+ *
+ * 高速增长率轴按三阶段模型重建路径；永续增长率轴沿用当前生效的增长路径。
+ */
+export const buildSensitivityGrid = (params, growthSchedule, { axis = SENSITIVITY_AXES.GROWTH, radius = 3 } = {}) => {
+  const rows = buildAxis('discount', params.discount, AXIS_STEPS.discount, radius);
+  const cols = buildAxis(axis, params[axis], AXIS_STEPS[axis], radius);
+
+  const cells = rows.map((discount) => cols.map((value) => {
+    if (axis === SENSITIVITY_AXES.GROWTH) {
+      const scenario = { ...params, discount, growth: value };
+      return computeValuation({ ...scenario, growthSchedule: buildGrowthSchedule(scenario) });
+    }
+    return computeValuation({ ...params, discount, perpetual: value, growthSchedule });
+  }));
+
+  return { rows, cols, cells };
+};
@@ -0,0 +1,45 @@
+/**
+ * 分享链接
+ * 把完整模型状态压缩进 URL hash (#m=<版本>.<lz-string 压缩串>)，
+ * hash 不会发送到服务器，链接再长也不影响请求，且不会在服务端日志中留下估值内容。
+ */
+import LZString from 'lz-string';
+import { sanitizeModelState } from './modelState.js';
+
+export const SHARE_VERSION = 1;
+
+// lz-string 的 URI 安全字符集包含 '+'，不能用 URLSearchParams 解析 (会被当作空格)
+const TOKEN_PATTERN = /[#&]m=([^&]*)/;
+
+export const encodeModelState = (state) =>
+  `${SHARE_VERSION}.${LZString.compressToEncodedURIComponent(JSON.stringify(state))}`;
+
+/**
+ * 解析链接中的 token。
+ * 返回 { ok: true, state, warnings } 或 { ok: false, error: { code, message } }
+ */
+export const decodeModelState = (token) => {
+  const separator = token.indexOf('.');
+  const version = Number(token.slice(0, separator));
+  if (separator < 0 || version !== SHARE_VERSION) {
+    return { ok: false, error: { code: 'UNSUPPORTED_VERSION', message: '分享链接版本不受支持' } };
+  }
+  let raw;
+  try {
+    raw = JSON.parse(LZString.decompressFromEncodedURIComponent(token.slice(separator + 1)) ?? '');
+  } catch {
+    return { ok: false, error: { code: 'CORRUPTED', message: '分享链接已损坏，无法解析' } };
+  }
+  return { ok: true, ...sanitizeModelState(raw) };
+};
+
+/** 从 location.hash 读取分享数据；hash 中没有模型时返回 null */
+export const readShareHash = (hash) => {
+  const match = hash.match(TOKEN_PATTERN);
+  return match ? decodeModelState(match[1]) : null;
+};
+
+export const buildShareHash = (state) => `#m=${encodeModelState(state)}`;
+
+export const buildShareUrl = (state, location = window.location) =>
+  `${location.origin}${location.pathname}${location.search}${buildShareHash(state)}`;
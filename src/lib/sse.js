@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events 读写
+ * 服务端转发上游流式响应与前端读取 /api/generate 流共用，不依赖 Node 或浏览器专有 API。
+ */
+
+/** 按空行切分事件，拼接多行 data；以 ':' 开头的注释行 (心跳) 忽略 */
+export const createSseParser = (onEvent) => {
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line === '' || line.startsWith(':')) return;
+      const colon = line.indexOf(':');
+      const field = colon < 0 ? line : line.slice(0, colon);
+      const value = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    });
+    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    },
+    end() {
+      if (buffer.trim() !== '') dispatch(buffer);
+      buffer = '';
+    },
+  };
+};
+
+/** 逐块读取 ReadableStream 并逐个产出事件；消费方提前退出时取消底层连接，避免上游继续推送 */
+export async function* iterateSseStream(stream) {
+  const pending = [];
+  const parser = createSseParser((event) => pending.push(event));
+  const decoder = new TextDecoder();
+  const reader = stream.getReader();
+  let finished = false;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+      yield* pending.splice(0);
+    }
+    parser.push(decoder.decode());
+    parser.end();
+    finished = true;
+    yield* pending.splice(0);
+  } finally {
+    if (!finished) reader.cancel().catch(() => {});
+  }
+}
+
+/** 回调形式；onEvent 抛出的异常会中止读取 */
+export const readSseStream = async (stream, onEvent) => {
+  for await (const event of iterateSseStream(stream)) onEvent(event);
+};
+
+export const formatSseEvent = (data, event) => `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
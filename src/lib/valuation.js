@@ -0,0 +1,114 @@
+/**
+ * DCF 估值引擎
+ * 显式预测期 + 永续期的自由现金流折现模型纯函数实现，不依赖 React，可在组件、Worker 或脚本中直接调用。
+ *
+ * 输入 (比率类参数与 App 中的 params 保持一致，均以 % 表示)：
+ *   fcf           基期自由现金流 (亿)
+ *   growth        高速增长率 g (%)
+ *   discount      折现率 r (%)
+ *   perpetual     永续增长率 g永续 (%)
+ *   years         高速增长期年数，默认 10
+ *   growthSchedule 可选，逐年增长率数组 (%)；提供时覆盖 growth / years (见 lib/growthSchedule.js)
+ *   safetyMargin  安全边际系数，默认 0.7 (即 7 折)
+ *
+ * 输出 (全部为未经格式化的数值)：
+ *   成功: { ok: true, total, stage1, tv, terminalValue, safetyPrice, multiple, tvRatio, years }
+ *         years 为逐年明细 [{ t, growth, fcf, discountFactor, pv }]
+ *         multiple / tvRatio 在分母为 0 时为 null
+ *   失败: { ok: false, error: { code, message } }，code 取自 VALUATION_ERRORS
+ *         折现率须比永续增长率至少高 MIN_SPREAD 个百分点，否则返回 SPREAD_TOO_NARROW (error.minSpread 为该间隔)
+ */
+
+export const DEFAULT_YEARS = 10;
+export const SAFETY_MARGIN = 0.7;
+
+// 折现率与永续增长率的最小间隔 (百分点)：间隔趋近 0 时永续价值 FCF × (1 + g) / (r - g) 被无限放大，结果已无意义
+export const MIN_SPREAD = 0.5;
+// 按百分点比较间隔时容忍 2.3 - 1.8 这类浮点误差
+const SPREAD_EPSILON = 1e-9;
+
+export const VALUATION_ERRORS = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  INVALID_HORIZON: 'INVALID_HORIZON',
+  PERPETUAL_GTE_DISCOUNT: 'PERPETUAL_GTE_DISCOUNT',
+  SPREAD_TOO_NARROW: 'SPREAD_TOO_NARROW',
+  NON_FINITE_RESULT: 'NON_FINITE_RESULT',
+};
+
+const ERROR_MESSAGES = {
+  [VALUATION_ERRORS.INVALID_INPUT]: '估值参数必须为有效数字',
+  [VALUATION_ERRORS.INVALID_HORIZON]: '预测年数必须为正整数',
+  [VALUATION_ERRORS.PERPETUAL_GTE_DISCOUNT]: '永续增长率必须小于折现率',
+  [VALUATION_ERRORS.SPREAD_TOO_NARROW]: `折现率须比永续增长率至少高 ${MIN_SPREAD} 个百分点`,
+  [VALUATION_ERRORS.NON_FINITE_RESULT]: '估值结果溢出，请检查参数',
+};
+
+const fail = (code, details) => ({ ok: false, error: { code, ...details, message: ERROR_MESSAGES[code] } });
+
+export const computeValuation = ({
+  fcf,
+  growth,
+  discount,
+  perpetual,
+  years = DEFAULT_YEARS,
+  growthSchedule,
+  safetyMargin = SAFETY_MARGIN,
+}) => {
+  if (growthSchedule) {
+    if (!Array.isArray(growthSchedule) || growthSchedule.length === 0) {
+      return fail(VALUATION_ERRORS.INVALID_HORIZON);
+    }
+    if (!growthSchedule.every(Number.isFinite)) return fail(VALUATION_ERRORS.INVALID_INPUT);
+  } else {
+    if (!Number.isFinite(growth)) return fail(VALUATION_ERRORS.INVALID_INPUT);
+    if (!Number.isInteger(years) || years < 1) {
+      return fail(VALUATION_ERRORS.INVALID_HORIZON);
+    }
+  }
+  if (![fcf, discount, perpetual, safetyMargin].every(Number.isFinite)) {
+    return fail(VALUATION_ERRORS.INVALID_INPUT);
+  }
+
+  const schedule = growthSchedule || Array.from({ length: years }, () => growth);
+  const r = discount / 100;
+  const pg = perpetual / 100;
+
+  if (r <= -1) return fail(VALUATION_ERRORS.INVALID_INPUT);
+  if (pg >= r) return fail(VALUATION_ERRORS.PERPETUAL_GTE_DISCOUNT);
+  if (discount - perpetual < MIN_SPREAD - SPREAD_EPSILON) return fail(VALUATION_ERRORS.SPREAD_TOO_NARROW, { minSpread: MIN_SPREAD });
+
+  // --- 第一阶段：逐年增长并折现 ---
+  let stage1 = 0;
+  let currentFcf = fcf;
+  let discountFactor = 1;
+  const rows = [];
+
+  schedule.forEach((yearGrowth, i) => {
+    currentFcf *= (1 + yearGrowth / 100);
+    discountFactor /= (1 + r);
+    const pv = currentFcf * discountFactor;
+    rows.push({ t: i + 1, growth: yearGrowth, fcf: currentFcf, discountFactor, pv });
+    stage1 += pv;
+  });
+
+  // --- 第二阶段：永续价值 (Gordon 增长模型) 折现回当前 ---
+  const terminalValue = (currentFcf * (1 + pg)) / (r - pg);
+  const tv = terminalValue * discountFactor;
+  const total = stage1 + tv;
+
+  if (![stage1, terminalValue, tv, total].every(Number.isFinite)) {
+    return fail(VALUATION_ERRORS.NON_FINITE_RESULT);
+  }
+
+  return {
+    ok: true,
+    total,
+    stage1,
+    tv,
+    terminalValue,
+    safetyPrice: total * safetyMargin,
+    multiple: fcf !== 0 ? total / fcf : null,
+    tvRatio: total !== 0 ? (tv / total) * 100 : null,
+    years: rows,
+  };
+};
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { computeValuation, MIN_SPREAD, VALUATION_ERRORS } from './valuation.js';
+
+const BASE = { fcf: 10, growth: 15, discount: 10, perpetual: 3 };
+
+describe('computeValuation', () => {
+  it('两阶段估值与逐年明细一致', () => {
+    const result = computeValuation({ fcf: 10, growth: 10, discount: 10, perpetual: 3, years: 3 });
+    expect(result.ok).toBe(true);
+    // 增长率与折现率相同时每年现值都等于基期 FCF
+    expect(result.years.map((row) => row.pv)).toEqual([10, 10, 10].map((v) => expect.closeTo(v, 9)));
+    expect(result.stage1).toBeCloseTo(30, 9);
+    expect(result.terminalValue).toBeCloseTo((13.31 * 1.03) / 0.07, 9);
+    expect(result.tv).toBeCloseTo(result.terminalValue / 1.331, 9);
+    expect(result.total).toBeCloseTo(result.stage1 + result.tv, 9);
+    expect(result.safetyPrice).toBeCloseTo(result.total * 0.7, 9);
+    expect(result.multiple).toBeCloseTo(result.total / 10, 9);
+    expect(result.tvRatio).toBeCloseTo((result.tv / result.total) * 100, 9);
+  });
+
+  it('growthSchedule 覆盖 growth 与 years', () => {
+    const result = computeValuation({ ...BASE, growth: 99, years: 1, growthSchedule: [20, 10, 0] });
+    expect(result.years.map((row) => row.growth)).toEqual([20, 10, 0]);
+    expect(result.years[2].fcf).toBeCloseTo(13.2, 9);
+  });
+
+  describe('错误码', () => {
+    it.each([
+      ['fcf 非数字', { ...BASE, fcf: NaN }],
+      ['growth 非数字', { ...BASE, growth: undefined }],
+      ['discount 为 Infinity', { ...BASE, discount: Infinity }],
+      ['增长路径含非数字', { ...BASE, growthSchedule: [10, NaN] }],
+      ['折现率 ≤ -100%', { ...BASE, discount: -100, perpetual: -200 }],
+    ])('%s → INVALID_INPUT', (_, input) => {
+      expect(computeValuation(input).error.code).toBe(VALUATION_ERRORS.INVALID_INPUT);
+    });
+
+    it.each([
+      ['years 为 0', { ...BASE, years: 0 }],
+      ['years 非整数', { ...BASE, years: 2.5 }],
+      ['增长路径为空', { ...BASE, growthSchedule: [] }],
+    ])('%s → INVALID_HORIZON', (_, input) => {
+      expect(computeValuation(input).error.code).toBe(VALUATION_ERRORS.INVALID_HORIZON);
+    });
+
+    it.each([
+      ['永续增长率等于折现率', { ...BASE, discount: 3, perpetual: 3 }],
+      ['永续增长率大于折现率', { ...BASE, discount: 3, perpetual: 4 }],
+    ])('%s → PERPETUAL_GTE_DISCOUNT', (_, input) => {
+      expect(computeValuation(input).error.code).toBe(VALUATION_ERRORS.PERPETUAL_GTE_DISCOUNT);
+    });
+
+    it('溢出 → NON_FINITE_RESULT', () => {
+      const result = computeValuation({ ...BASE, fcf: 1e300, growth: 1000, years: 20 });
+      expect(result.ok).toBe(false);
+      expect(result.error.code).toBe(VALUATION_ERRORS.NON_FINITE_RESULT);
+    });
+  });
+
+  describe('折现率逼近永续增长率', () => {
+    it('间隔小于 MIN_SPREAD 时拒绝计算，而不是返回被无限放大的估值', () => {
+      const result = computeValuation({ ...BASE, discount: 3.0000001, perpetual: 3 });
+      expect(result.ok).toBe(false);
+      expect(result.error).toMatchObject({ code: VALUATION_ERRORS.SPREAD_TOO_NARROW, minSpread: MIN_SPREAD });
+    });
+
+    it('间隔恰好为 MIN_SPREAD 时不受浮点误差影响', () => {
+      // 2.3 - 1.8 在浮点下略小于 0.5
+      expect(computeValuation({ ...BASE, discount: 2.3, perpetual: 1.8 }).ok).toBe(true);
+      expect(computeValuation({ ...BASE, discount: 3 + MIN_SPREAD, perpetual: 3 }).ok).toBe(true);
+    });
+  });
+
+  describe('基期 FCF 为零或为负', () => {
+    it('FCF 为 0 时估值为 0，倍数与永续占比为 null', () => {
+      const result = computeValuation({ ...BASE, fcf: 0 });
+      expect(result.ok).toBe(true);
+      expect(result.total).toBe(0);
+      expect(result.multiple).toBeNull();
+      expect(result.tvRatio).toBeNull();
+    });
+
+    it('FCF 为负时估值按比例为负', () => {
+      const positive = computeValuation(BASE);
+      const negative = computeValuation({ ...BASE, fcf: -10 });
+      expect(negative.ok).toBe(true);
+      expect(negative.total).toBeCloseTo(-positive.total, 9);
+      expect(negative.safetyPrice).toBeLessThan(0);
+      expect(negative.multiple).toBeCloseTo(positive.multiple, 9);
+      expect(negative.tvRatio).toBeCloseTo(positive.tvRatio, 9);
+    });
+  });
+
+  describe('超长预测期', () => {
+    it('增长率低于折现率时收敛到 Gordon 增长模型', () => {
+      const result = computeValuation({ fcf: 10, growth: 3, discount: 10, perpetual: 3, years: 1000 });
+      expect(result.ok).toBe(true);
+      expect(result.years).toHaveLength(1000);
+      expect(result.total).toBeCloseTo((10 * 1.03) / 0.07, 6);
+      expect(result.tvRatio).toBeLessThan(1e-20);
+    });
+
+    it('增长率高于折现率时溢出返回 NON_FINITE_RESULT', () => {
+      const result = computeValuation({ ...BASE, growth: 50, years: 100000 });
+      expect(result.error.code).toBe(VALUATION_ERRORS.NON_FINITE_RESULT);
+    });
+  });
+});
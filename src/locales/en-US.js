@@ -0,0 +1,622 @@
+/**
+ * English dictionary
+ * 除界面文字外，还覆盖 lib 中只有中文提示的错误码、人设、模型名称等 (中文界面直接使用 lib 的文字)。
+ */
+const enUS = {
+  common: {
+    enable: 'Enable',
+    enabled: 'Enabled',
+    stop: 'Stop',
+    generating: 'Generating...',
+    noData: 'No data yet',
+    colon: ': ',
+    listSeparator: ', ',
+    yearN: 'Y{n}',
+    fiscalYear: 'FY{year}',
+    yearsUnit: ' yrs',
+    valuesIn: 'Values in {scale} of {currency}',
+    rateSource: {
+      buffett: 'Long-term Treasury yield + hurdle',
+    },
+  },
+
+  app: {
+    title: 'Buffett AI Valuation Assistant 2.0',
+    language: 'Language',
+    printMemo: 'Print memo',
+    exportPdf: 'Export PDF',
+    pdfFailed: 'PDF generation failed. Use the browser\'s print dialog to save as PDF instead.',
+    banner: 'This model follows Warren Buffett\'s discounted free cash flow (DCF) approach to valuation.',
+    shareWarnings: 'Some parameters in the shared link were invalid and have been corrected:',
+    params: 'Model parameters',
+    fcf: 'Base-year free cash flow (FCF)',
+    discount: 'Discount rate (r)',
+    discountSource: 'Source: {source}',
+    perpetual: 'Perpetual growth rate (g∞)',
+    formula: {
+      title: 'How the valuation works',
+      pv1: '① PV of the first {years} years (PV1)',
+      pv2: '② PV of the terminal value (PV2)',
+      terminalSub: '∞',
+    },
+    intrinsicValue: 'Intrinsic Value',
+    equityValue: 'Equity value {value}',
+    perShare: 'Per share',
+    invalidParams: 'Invalid parameters',
+    recommendation: 'Buy recommendation',
+    safetyPrice: 'Suggested buy price (30% margin of safety)',
+    safetyPriceBasis: 'Suggested buy price (30% margin of safety, based on {basis})',
+    multiple: 'Valuation multiple (P/FCF)',
+    tvRatio: 'Terminal value share',
+    deepReport: '{name} AI in-depth report',
+    getReview: 'Get {name} AI review',
+    analyzing: 'Working through the financials...',
+    stopGenerating: 'Stop generating',
+    cachedResult: 'Cached result for identical parameters',
+    regenerate: 'Regenerate',
+    generatingDiagnosis: 'Generating structured diagnosis...',
+    chart: {
+      title: 'Projected cash flows (next {years} years)',
+      historical: 'Historical cash flow',
+      projected: 'Projected cash flow',
+      modes: {
+        fcf: 'Nominal FCF',
+        pv: 'Discounted PV',
+        cumulative: 'Cumulative PV',
+        composition: 'Value breakdown',
+      },
+      pv1: 'PV1: forecast period',
+      pv2: 'PV2: terminal value',
+      intrinsicValueLine: 'Intrinsic value {value}',
+      terminalValue: 'Terminal value',
+      showTable: 'Show data table',
+      hideTable: 'Hide data table',
+      copyTable: 'Copy table',
+      copied: 'Copied',
+      copyFailed: 'Copy failed',
+      tableCaption: 'Yearly cash flow projection: historical years, forecast period and terminal value',
+      columns: {
+        year: 'Year',
+        growth: 'Growth',
+        fcf: 'FCF ({unit})',
+        discountFactor: 'Discount factor',
+        pv: 'PV ({unit})',
+        cumulativePv: 'Cumulative PV ({unit})',
+      },
+    },
+  },
+
+  currency: {
+    fields: {
+      code: 'Valuation currency',
+      scale: 'Amount unit',
+      quoteCode: 'Quote currency',
+      fxRate: 'FX rate (1 {code} = ? {quote})',
+    },
+    units: {
+      CNY: 'CNY',
+      HKD: 'HKD',
+      USD: 'USD',
+      EUR: 'EUR',
+      GBP: 'GBP',
+      JPY: 'JPY',
+    },
+    scaleOptions: {
+      auto: 'Auto',
+      units: 'Units',
+      thousands: 'Thousands',
+      millions: 'Millions',
+      yi: '亿 (100 millions)',
+      billions: 'Billions',
+    },
+    scaleNames: {
+      units: 'units',
+      thousands: 'thousands',
+      millions: 'millions',
+      yi: '亿 (100 millions)',
+      billions: 'billions',
+    },
+    amountIn: '{unit} {currency}',
+    converted: '≈ {price}',
+    fxNote: 'Market prices are converted at 1 {code} = {rate} {quote} before comparing with the valuation',
+  },
+
+  meta: {
+    title: 'Valuation profile',
+    copied: 'Copied',
+    copyFailed: 'Copy failed',
+    copyLink: 'Copy share link',
+    company: 'Company name',
+    ticker: 'Ticker',
+    notes: 'Notes: moat, key assumptions, open questions...',
+  },
+
+  growth: {
+    stages: 'Three-stage model',
+    custom: 'Year by year',
+    year: 'Year',
+    rate: 'Growth (%)',
+    highGrowth: 'High growth rate (years 1-{years}) (g)',
+    highYears: 'High-growth period',
+    fadeYears: 'Fade period (linear decline to perpetual)',
+  },
+
+  discountBuilder: {
+    title: 'Discount rate builder',
+    buffett: 'Treasury + hurdle',
+    riskFree: 'Risk-free rate',
+    equityPremium: 'Equity risk premium',
+    costOfDebt: 'Pre-tax cost of debt',
+    taxRate: 'Tax rate',
+    debtWeight: 'Debt weight D/(D+E)',
+    bondYield: 'Long-term Treasury yield',
+    hurdle: 'Minimum hurdle rate',
+    kdAfterTax: 'Kd (after tax)',
+    clamped: 'Outside the slider range, calculated at {rate}',
+  },
+
+  discountRate: {
+    errors: {
+      INVALID_CAPITAL_STRUCTURE: 'Debt weight must be between 0% and 100%',
+      INVALID_INPUT: 'Discount rate inputs must be valid numbers',
+    },
+  },
+
+  valuation: {
+    errors: {
+      INVALID_INPUT: 'Valuation parameters must be valid numbers',
+      INVALID_HORIZON: 'The forecast horizon must be a positive whole number of years',
+      PERPETUAL_GTE_DISCOUNT: 'Perpetual growth must be lower than the discount rate',
+      SPREAD_TOO_NARROW: 'The discount rate must exceed perpetual growth by at least {minSpread} percentage points',
+      NON_FINITE_RESULT: 'The valuation overflowed, please check the parameters',
+    },
+  },
+
+  scenario: {
+    title: 'Scenario analysis',
+    intro: 'Builds bull / base / bear parameter sets around the current inputs and weights them by probability into an expected intrinsic value.',
+    names: {
+      bull: 'Bull',
+      base: 'Base',
+      bear: 'Bear',
+    },
+    editing: 'Editing with sliders',
+    edit: 'Edit this scenario',
+    expected: 'Probability-weighted expected value',
+    safetyBasis: 'Margin of safety based on',
+    basis: {
+      expected: 'expected value',
+      bear: 'bear case',
+    },
+    errors: {
+      INVALID_SCENARIO: '"{name}" scenario: {message}',
+      ZERO_WEIGHT: 'Scenario weights must add up to more than 0',
+    },
+  },
+
+  bridge: {
+    title: 'Equity bridge (EV → value per share)',
+    netCash: 'Net cash (negative for net debt)',
+    nonOperating: 'Non-operating assets',
+    minority: 'Minority interest',
+    dilutedShares: 'Diluted shares',
+    enterpriseValue: 'Enterprise value (EV)',
+    equityValue: 'Equity value',
+    perShare: 'Intrinsic value per share',
+    perShareValue: '{price} / share',
+    sharesRequired: 'Enter the share count',
+    upside: '{percent}% upside vs. price {price}',
+    downside: '{percent}% downside vs. price {price}',
+    steps: {
+      PV1: 'PV1',
+      PV2: 'PV2',
+      企业价值: 'Enterprise value',
+      净现金: 'Net cash',
+      非经营资产: 'Non-operating assets',
+      少数股东权益: 'Minority interest',
+      股权价值: 'Equity value',
+    },
+  },
+
+  reverse: {
+    title: 'Reverse DCF: what the market implies',
+    impliedGrowth: 'Implied growth',
+    impliedDiscount: 'Implied discount rate',
+    modeCap: 'Market cap',
+    modePrice: 'Price × shares',
+    marketCap: 'Current market cap',
+    price: 'Share price',
+    shares: 'Shares outstanding',
+    empty: 'Enter a market price to solve automatically',
+    resultGrowth: 'Market-implied high growth rate ({years} years)',
+    resultDiscount: 'Market-implied discount rate',
+    yourAssumption: 'your assumption is',
+    separator: ', ',
+    moreOptimistic: 'The market is more optimistic than you',
+    moreConservative: 'The market is more conservative than you',
+    higherReturn: 'Buying at market price earns more than your required return',
+    lowerReturn: 'Buying at market price earns less than your required return',
+  },
+
+  reverseDcf: {
+    errors: {
+      INVALID_TARGET: 'Please enter a valid market price',
+      NON_POSITIVE_FCF: 'Base free cash flow must be positive: no growth or discount rate can turn zero or negative cash flow into the market price',
+      NO_SOLUTION: 'No solution between {lo}% and {hi}%: the market price is {side} every valuation in that range',
+    },
+  },
+
+  sensitivity: {
+    title: 'Sensitivity analysis',
+    axes: {
+      growth: 'High growth rate g',
+      perpetual: 'Perpetual growth g∞',
+    },
+    cellTitle: 'r={discount}%, {label}={value}%',
+    unitNote: 'Unit: {unit}. Click a cell to load its parameters',
+    noMarket: 'Enter a market price in the reverse DCF to color cells against it',
+    aboveWithMargin: 'Above market even after a 30% discount',
+    above: 'Above market',
+    below: 'Below market',
+  },
+
+  monteCarlo: {
+    title: 'Monte Carlo simulation',
+    reset: 'Reset distributions from current parameters',
+    inputs: {
+      fcf: 'Base FCF',
+      growth: 'High growth rate',
+      discount: 'Discount rate',
+      perpetual: 'Perpetual growth',
+    },
+    distributions: {
+      normal: 'Normal',
+      triangular: 'Triangular',
+      uniform: 'Uniform',
+    },
+    fields: {
+      mean: 'Mean',
+      sd: 'Std. dev.',
+      min: 'Min',
+      mode: 'Mode',
+      max: 'Max',
+    },
+    iterations: 'Iterations',
+    seed: 'Random seed',
+    run: 'Run simulation',
+    running: 'Simulating...',
+    probAboveMarket: 'Probability above market',
+    noMarket: 'No market price entered',
+    count: '{count} runs',
+    samples: 'Samples',
+    approx: '≈ {value}',
+    market: 'Market',
+    summary: '{valid} / {iterations} valid samples, mean {mean}',
+    invalidSamples: ', {count} samples dropped because the discount rate was not far enough above perpetual growth',
+    errors: {
+      NO_VALID_SAMPLES: 'No valid samples, please check the discount rate and perpetual growth distributions',
+      WORKER_FAILED: 'The simulation failed, please try again',
+    },
+    distributionErrors: {
+      normal: 'Requires a valid mean and a non-negative standard deviation',
+      triangular: 'Requires min ≤ mode ≤ max',
+      uniform: 'Min cannot be greater than max',
+    },
+  },
+
+  ownerEarnings: {
+    title: 'Owner earnings calculator',
+    year: 'Year',
+    columns: {
+      netIncome: 'Net income',
+      da: 'D&A',
+      maintenanceCapex: 'Maintenance capex',
+      capex: 'Total capex',
+      wcChange: 'Increase in working capital',
+      operatingCashFlow: 'Operating cash flow',
+    },
+    optionalHint: 'Optional. When left blank, approximated as net income + D&A - increase in working capital',
+    ownerEarnings: 'Owner earnings',
+    addYear: 'Add year',
+    apply: 'Use as base FCF',
+    methods: {
+      latest: 'Latest year',
+      avg3: '3-year average',
+      avg5: '5-year average',
+      median: 'Median',
+    },
+  },
+
+  import: {
+    title: 'Import historical financials',
+    chooseFile: 'Choose a CSV / XLSX file',
+    intro: 'One fiscal year per row. Columns may include: {fields}. Amounts are in {amountUnit}, shares in {sharesUnit}.',
+    readFailed: 'Could not read the file, please check that it is not corrupted',
+    rowCount: '{count} rows',
+    transpose: 'Years run across columns (transpose)',
+    skipColumn: '— Skip —',
+    columnN: 'Column {n}',
+    rowN: 'Row {n}',
+    importable: 'Ready to import',
+    yearsUnit: 'years',
+    yearRange: ' ({from}–{to})',
+    submit: 'Import and update model',
+    cagr: 'Historical {source} CAGR: ',
+    sources: {
+      revenue: 'revenue',
+      fcf: 'FCF',
+      netIncome: 'net income',
+    },
+    applyGrowth: 'Use as high growth rate',
+    fields: {
+      year: 'Year',
+      revenue: 'Revenue',
+      netIncome: 'Net income',
+      operatingCashFlow: 'Operating cash flow',
+      capex: 'Capex',
+      da: 'D&A',
+      shares: 'Shares outstanding',
+      netDebt: 'Net debt',
+    },
+    rowErrors: {
+      MISSING_MAPPING: 'Required field "{field}" is not mapped to a column',
+      UNPARSEABLE: '"{field}" could not be read: {value}',
+      EMPTY_VALUE: '"{field}" is empty',
+      DUPLICATE_YEAR: '{value} appears more than once, this row was used',
+    },
+    errors: {
+      UNSUPPORTED_FILE: 'Only .csv and .xlsx files are supported',
+      EMPTY_FILE: 'The file has no rows to import',
+    },
+  },
+
+  models: {
+    title: 'Valuation model comparison',
+    dcf: 'DCF (current parameters)',
+    inputs: {
+      eps: 'Earnings per share (EPS)',
+      bvps: 'Book value per share (BVPS)',
+      bondYield: 'AAA bond yield Y',
+      normalizedEbit: 'Normalized EBIT',
+      taxRate: 'Tax rate',
+      dividend: 'Next-year dividend per share D1',
+      dividendGrowth: 'Perpetual dividend growth',
+      peerPe: 'Peer P/E',
+      peerEvEbit: 'Peer EV/EBIT',
+    },
+    perShare: '{price}/share',
+    growthSplit: {
+      epv: 'Of the DCF equity value, current earning power (EPV) supports',
+      rest: '; the remaining',
+      growth: 'is the price paid for future growth.',
+    },
+    labels: {
+      grahamFormula: 'Graham formula',
+      grahamNumber: 'Graham number',
+      epv: 'Earnings power value (EPV)',
+      ddm: 'Dividend discount (DDM)',
+      multiples: 'Peer multiples',
+    },
+    missing: {
+      grahamFormula: 'Requires positive EPS and bond yield',
+      grahamNumber: 'Requires positive EPS and book value per share',
+      epv: 'Requires positive normalized EBIT',
+      ddm: 'Requires a positive dividend per share',
+      multiples: 'Requires EPS and share count, or normalized EBIT',
+    },
+    errors: {
+      GROWTH_GTE_DISCOUNT: 'Dividend growth must be lower than the discount rate',
+    },
+  },
+
+  library: {
+    title: 'Valuation library',
+    companyCount: '{count} companies',
+    search: 'Search company / ticker / notes',
+    saveVersion: 'Save new version',
+    saveAsNew: 'Save as new valuation',
+    save: 'Save to library',
+    empty: 'No saved valuations yet',
+    noMatch: 'No matching valuations',
+    company: 'Company',
+    updatedAt: 'Updated',
+    versions: 'Versions',
+    compare: 'Compare',
+    load: 'Load',
+    history: 'Version history',
+    duplicate: 'Duplicate',
+    remove: 'Delete',
+    savedAt: 'Saved',
+    untitled: 'Untitled',
+    confirmRemove: 'Delete all {count} versions of "{company}"?',
+    compareTitle: 'Valuation comparison (latest version of each)',
+    metric: 'Metric',
+    columns: {
+      currency: 'Currency',
+      total: 'Intrinsic value ({unit})',
+      equityValue: 'Equity value ({unit})',
+      perShare: 'Value per share',
+      safetyPrice: 'Margin-of-safety price ({unit})',
+      multiple: 'P/FCF',
+      tvRatio: 'Terminal value share',
+      fcf: 'FCF',
+      growth: 'g',
+      discount: 'r',
+      perpetual: 'g∞',
+    },
+    errors: {
+      STORAGE_FAILED: 'Local storage is full or unavailable, the valuation was not saved',
+    },
+  },
+
+  shareLink: {
+    errors: {
+      UNSUPPORTED_VERSION: 'This share link version is not supported',
+      CORRUPTED: 'The share link is corrupted and cannot be read',
+    },
+  },
+
+  warnings: {
+    INVALID_STATE: 'The model data is malformed; defaults were used',
+    INVALID_SECTION: '{path} is malformed; defaults were used',
+    INVALID_FIELD: '{path} is invalid and was reset to its default',
+    OUT_OF_RANGE: '{path} = {value} is out of range ({min} to {max}) and was set to {clamped}',
+    SCHEDULE_TRUNCATED: '{path} is longer than {max} years and was truncated',
+    INVALID_SCHEDULE: '{path} is invalid and was cleared',
+    SCENARIOS_INCOMPLETE: 'Scenario data is incomplete; scenario analysis was turned off',
+    INVALID_DISTRIBUTION: '{path} is not a valid distribution; the default was used',
+    MODEL_UNREADABLE: 'The full model data could not be read; only the inputs section was restored',
+    INVALID_INPUT_CELL: 'Input "{key}" is not a valid number and was ignored',
+  },
+
+  projection: {
+    title: 'Export projection details',
+    exportFailed: 'File generation failed, please try again',
+    reading: 'Reading...',
+    reimport: 'Re-import',
+    restored: 'Valuation restored from {file}',
+    restoredWithWarnings: 'Restored from {file}; some invalid values were corrected:',
+    intro: 'Includes inputs, the yearly projection (growth, FCF, discount factor, present value), the terminal value calculation and the valuation summary. In the Excel version every calculated cell is a formula referencing the "Inputs" sheet, so editing an input recalculates in Excel; re-importing the exported file restores the valuation, including inputs changed in Excel.',
+    errors: {
+      INVALID_MODEL: 'The current parameters cannot be valued',
+      UNSUPPORTED_FILE: 'Only .csv and .xlsx files exported by this app are supported',
+      NOT_A_PROJECTION: 'No valuation inputs found in the file, please choose a projection exported by this app',
+    },
+  },
+
+  analyst: {
+    fields: {
+      persona: 'Analyst',
+      length: 'Report length',
+      language: 'Output language',
+    },
+    lengths: {
+      short: 'Short',
+      standard: 'Standard',
+      detailed: 'Detailed',
+    },
+  },
+
+  personas: {
+    buffett: { name: 'Buffett', description: 'Moats and long-term compounding, wise and witty' },
+    munger: { name: 'Munger', description: 'Inversion and mental models, blunt' },
+    graham: { name: 'Graham', description: 'Margin of safety and asset value, rigorous and conservative' },
+    shortSeller: { name: 'Short seller', description: 'A skeptic hunting for holes' },
+    explainer: { name: 'Plain-language explainer', description: 'Valuation explained for non-finance readers' },
+  },
+
+  diagnosis: {
+    verdict: 'Overall verdict',
+    adjustments: 'Suggested parameter changes',
+    applied: 'Applied',
+    apply: 'Apply',
+    aspects: {
+      moat: 'Moat',
+      management: 'Management',
+      balanceSheet: 'Balance sheet strength',
+      assumptions: 'Soundness of assumptions',
+    },
+    verdicts: {
+      buy: 'Worth buying',
+      hold: 'Keep watching',
+      avoid: 'Stay away',
+    },
+    params: {
+      fcf: 'Base FCF',
+      growth: 'Growth rate',
+      discount: 'Discount rate',
+      perpetual: 'Perpetual growth',
+      highYears: 'High-growth period',
+      fadeYears: 'Fade period',
+    },
+  },
+
+  chat: {
+    title: 'Ask {name} a follow-up',
+    clear: 'Clear conversation',
+    contextChanged: 'Valuation parameters changed; the AI now sees the new numbers',
+    thinking: 'Thinking...',
+    suggestions: {
+      growth: 'What if growth is only 8%?',
+      terminal: 'Is the terminal value share too high?',
+      discount: 'Is this discount rate conservative enough?',
+    },
+    placeholder: 'Ask about this valuation. Enter to send, Shift + Enter for a new line',
+    send: 'Send',
+  },
+
+  apiErrors: {
+    METHOD_NOT_ALLOWED: 'The connection to Omaha was interrupted, please try again later.',
+    ORIGIN_NOT_ALLOWED: 'This site is not authorized to call the AI service, please use the official address.',
+    PAYLOAD_TOO_LARGE: 'The message is too long. Shorten the question or clear part of the conversation and try again.',
+    INVALID_REQUEST: 'The server rejected the request format: {message}',
+    RATE_LIMITED: 'Too many questions, Buffett needs a Cherry Coke break. Please try again in {retryAfter} seconds.',
+    SERVER_MISCONFIGURED: 'The server\'s AI configuration is invalid: {message}',
+    UPSTREAM_BUSY: 'The AI service is busy, please try again later.',
+    UPSTREAM_ERROR: 'The AI service returned an error and the answer is incomplete, please try again.',
+    STREAM_INTERRUPTED: 'The AI service returned an error and the answer is incomplete, please try again.',
+    GENERIC: 'The connection to Omaha was interrupted, please try again later.',
+  },
+
+  memo: {
+    kicker: 'Investment Memo',
+    untitled: 'Untitled company',
+    method: 'Discounted free cash flow (DCF) valuation',
+    intrinsicValue: 'Intrinsic value (enterprise value)',
+    perShare: 'Intrinsic value per share',
+    safetyPrice: 'Suggested buy price (30% off)',
+    perSharePrice: '{price} per share',
+    numbers: {
+      1: '1. ',
+      2: '2. ',
+      3: '3. ',
+      4: '4. ',
+      5: '5. ',
+      6: '6. ',
+    },
+    sections: {
+      inputs: 'Model inputs',
+      value: 'Value breakdown',
+      projection: 'Yearly cash flow projection',
+      recommendation: 'Buy recommendation',
+      notes: 'Analyst notes',
+      diagnosis: 'Buffett AI diagnosis',
+    },
+    growthCustom: 'Year by year ({years} years)',
+    growthStages: '{growth}% × {years} years',
+    growthFade: ', fading over {years} years',
+    rows: {
+      fcf: 'Base-year free cash flow (FCF)',
+      growth: 'Growth path',
+      discount: 'Discount rate (r)',
+      perpetual: 'Perpetual growth (g∞)',
+      bridge: 'Net cash / non-operating assets / minority interest',
+      shares: 'Diluted shares',
+      marketCap: 'Current market cap',
+      pv1: 'PV1: PV of the first {years} years of cash flow',
+      pv2: 'PV2: PV of the terminal value',
+      enterpriseValue: 'Enterprise value (PV1 + PV2)',
+      equityValue: 'Equity value',
+      multiple: 'Valuation multiple (P/FCF)',
+      tvRatio: 'Terminal value share',
+    },
+    chartLegend: 'Blue: nominal free cash flow; orange: discounted value',
+    columns: {
+      year: 'Year',
+      growth: 'Growth',
+      fcf: 'FCF ({unit})',
+      discountFactor: 'Discount factor',
+      pv: 'PV ({unit})',
+    },
+    terminalValue: 'Terminal value',
+    recommendation: 'With a 30% margin of safety, the suggested buy price is',
+    recommendationPerShare: ' ({price} per share)',
+    period: '.',
+    marketCap: 'Current market cap is {value}; ',
+    withinMargin: 'already within the margin of safety.',
+    needsDrop: 'it needs to fall {percent}% to reach the margin of safety.',
+    disclaimer: 'Generated by the Buffett AI Valuation Assistant. Results depend on the input assumptions and are not investment advice.',
+  },
+};
+
+export default enUS;
@@ -0,0 +1,459 @@
+/**
+ * 简体中文词典 (默认语言，也是其他语言缺失词条时的回退)
+ * lib 中已带中文提示的错误码、人设名称、模型名称等不在此重复，取词时以 lib 的文字作为 fallback。
+ */
+const zhCN = {
+  common: {
+    enable: '启用',
+    enabled: '已启用',
+    stop: '停止',
+    generating: '生成中...',
+    noData: '暂无数据',
+    colon: '：',
+    listSeparator: '、',
+    yearN: '第{n}年',
+    fiscalYear: '{year}年',
+    yearsUnit: '年',
+    valuesIn: '单位：{scale}{currency}',
+  },
+
+  app: {
+    title: '巴菲特 AI 估值助手 2.0',
+    language: '界面语言',
+    printMemo: '打印备忘录',
+    exportPdf: '导出 PDF',
+    pdfFailed: 'PDF 生成失败，可改用浏览器打印另存为 PDF。',
+    banner: '本模型参考沃伦·巴菲特的自由现金流折现 (DCF) 估值方法。',
+    shareWarnings: '分享链接中部分参数无效，已自动修正：',
+    params: '模型参数设置',
+    fcf: '基期自由现金流 (FCF)',
+    discount: '期望折现率(r)',
+    discountSource: '来源：{source}',
+    perpetual: '永续增长率 (g永续)',
+    formula: {
+      title: '估值原理说明',
+      pv1: '① 前{years}年折现 (PV1)',
+      pv2: '② 永续价值折现 (PV2)',
+      terminalSub: '永续',
+    },
+    intrinsicValue: '当前内在价值 (Intrinsic Value)',
+    equityValue: '股权价值 {value}',
+    perShare: '每股',
+    invalidParams: '参数无效',
+    recommendation: '买入建议',
+    safetyPrice: '建议买入参考价 (7折安全边际)',
+    safetyPriceBasis: '建议买入参考价 (7折安全边际，基于{basis})',
+    multiple: '估值倍数 (P/FCF)',
+    tvRatio: '远期价值占比',
+    deepReport: '{name} AI 深度报告',
+    getReview: '获取{name} AI 点评',
+    analyzing: '正在进行深度财务推演...',
+    stopGenerating: '停止生成',
+    cachedResult: '以下为相同参数的缓存结果',
+    regenerate: '重新生成',
+    generatingDiagnosis: '正在生成结构化诊断...',
+    chart: {
+      title: '现金流预测轨迹 (未来{years}年)',
+      historical: '历史现金流',
+      projected: '预计现金流',
+      modes: {
+        fcf: '名义 FCF',
+        pv: '折现值 PV',
+        cumulative: '累计现值',
+        composition: '价值构成',
+      },
+      pv1: 'PV1：预测期现值',
+      pv2: 'PV2：永续价值现值',
+      intrinsicValueLine: '内在价值 {value}',
+      terminalValue: '永续价值',
+      showTable: '显示数据表',
+      hideTable: '收起数据表',
+      copyTable: '复制表格',
+      copied: '已复制',
+      copyFailed: '复制失败',
+      tableCaption: '逐年现金流预测：历史年份、预测期与永续价值',
+      columns: {
+        year: '年份',
+        growth: '增长率',
+        fcf: 'FCF ({unit})',
+        discountFactor: '折现系数',
+        pv: '现值 ({unit})',
+        cumulativePv: '累计现值 ({unit})',
+      },
+    },
+  },
+
+  currency: {
+    fields: {
+      code: '估值货币',
+      scale: '金额单位',
+      quoteCode: '报价货币',
+      fxRate: '汇率 (1 {code} = ? {quote})',
+    },
+    units: {
+      CNY: '元',
+      HKD: '港元',
+      USD: '美元',
+      EUR: '欧元',
+      GBP: '英镑',
+      JPY: '日元',
+    },
+    scaleOptions: {
+      auto: '自动',
+      units: '个位 (不缩写)',
+      thousands: '千',
+      millions: '百万',
+      yi: '亿',
+      billions: '十亿',
+    },
+    scaleNames: {
+      units: '',
+      thousands: '千',
+      millions: '百万',
+      yi: '亿',
+      billions: '十亿',
+    },
+    amountIn: '{unit}{currency}',
+    converted: '约合 {price}',
+    fxNote: '市价按 1 {code} = {rate} {quote} 折算后与估值比较',
+  },
+
+  meta: {
+    title: '估值档案',
+    copied: '已复制',
+    copyFailed: '复制失败',
+    copyLink: '复制分享链接',
+    company: '公司名称',
+    ticker: '代码',
+    notes: '估值备注：护城河、关键假设、待验证问题...',
+  },
+
+  growth: {
+    stages: '三阶段模型',
+    custom: '逐年自定义',
+    year: '年份',
+    rate: '增长率 (%)',
+    highGrowth: '高速增长率 (1-{years}年)(g)',
+    highYears: '高速增长期',
+    fadeYears: '增速渐退期 (线性回落至永续)',
+  },
+
+  discountBuilder: {
+    title: '折现率构建器',
+    buffett: '国债 + 门槛',
+    riskFree: '无风险利率',
+    equityPremium: '股权风险溢价',
+    costOfDebt: '税前债务成本',
+    taxRate: '所得税率',
+    debtWeight: '债务占比 D/(D+E)',
+    bondYield: '长期国债收益率',
+    hurdle: '最低回报门槛',
+    kdAfterTax: 'Kd(税后)',
+    clamped: '超出滑块范围，已按 {rate} 计算',
+  },
+
+  scenario: {
+    title: '情景分析',
+    intro: '以当前参数为基准，生成乐观 / 基准 / 悲观三套参数，并按概率加权得到期望内在价值。',
+    names: {
+      bull: '乐观',
+      base: '基准',
+      bear: '悲观',
+    },
+    editing: '滑块编辑中',
+    edit: '编辑此情景',
+    expected: '概率加权期望价值',
+    safetyBasis: '安全边际基准',
+    basis: {
+      expected: '期望价值',
+      bear: '悲观情景',
+    },
+    errors: {
+      INVALID_SCENARIO: '「{name}」情景：{message}',
+    },
+  },
+
+  bridge: {
+    title: '股权价值桥 (EV → 每股价值)',
+    netCash: '净现金 (负为净负债)',
+    nonOperating: '非经营性资产',
+    minority: '少数股东权益',
+    dilutedShares: '稀释后总股本',
+    enterpriseValue: '企业价值 (EV)',
+    equityValue: '股权价值',
+    perShare: '每股内在价值',
+    perShareValue: '{price} / 股',
+    sharesRequired: '请输入股本',
+    upside: '较股价 {price} 上行 {percent}%',
+    downside: '较股价 {price} 下行 {percent}%',
+  },
+
+  reverse: {
+    title: '反向 DCF：市场隐含预期',
+    impliedGrowth: '隐含增长率',
+    impliedDiscount: '隐含折现率',
+    modeCap: '总市值',
+    modePrice: '股价 × 股本',
+    marketCap: '当前总市值',
+    price: '股价',
+    shares: '总股本',
+    empty: '输入市场价格后自动求解',
+    resultGrowth: '市场隐含高速增长率 ({years}年)',
+    resultDiscount: '市场隐含折现率',
+    yourAssumption: '你的假设为',
+    separator: '，',
+    moreOptimistic: '市场预期比你更乐观',
+    moreConservative: '市场预期比你更保守',
+    higherReturn: '按市价买入可获得高于要求的回报',
+    lowerReturn: '按市价买入的回报低于你的要求',
+  },
+
+  sensitivity: {
+    title: '敏感性分析',
+    axes: {
+      growth: '高速增长率 g',
+      perpetual: '永续增长率 g永续',
+    },
+    cellTitle: 'r={discount}%，{label}={value}%',
+    unitNote: '单位：{unit}，点击单元格载入参数',
+    noMarket: '在反向 DCF 中输入市场价格后按市价着色',
+    aboveWithMargin: '7折后仍高于市价',
+    above: '高于市价',
+    below: '低于市价',
+  },
+
+  monteCarlo: {
+    title: '蒙特卡洛模拟',
+    reset: '按当前参数重置分布',
+    inputs: {
+      fcf: '基期 FCF',
+      growth: '高速增长率',
+      discount: '折现率',
+      perpetual: '永续增长率',
+    },
+    distributions: {
+      normal: '正态分布',
+      triangular: '三角分布',
+      uniform: '均匀分布',
+    },
+    fields: {
+      mean: '均值',
+      sd: '标准差',
+      min: '最小值',
+      mode: '众数',
+      max: '最大值',
+    },
+    iterations: '模拟次数',
+    seed: '随机种子',
+    run: '运行模拟',
+    running: '模拟中...',
+    probAboveMarket: '高于市价概率',
+    noMarket: '未输入市价',
+    count: '{count} 次',
+    samples: '样本数',
+    approx: '约 {value}',
+    market: '市价',
+    summary: '有效样本 {valid} / {iterations}，均值 {mean}',
+    invalidSamples: '，{count} 个样本因折现率未高出永续增长率足够间隔被剔除',
+  },
+
+  ownerEarnings: {
+    title: '所有者盈余计算器',
+    year: '年份',
+    columns: {
+      netIncome: '净利润',
+      da: '折旧摊销',
+      maintenanceCapex: '维持性资本开支',
+      capex: '全部资本开支',
+      wcChange: '营运资本增加',
+      operatingCashFlow: '经营现金流',
+    },
+    optionalHint: '可留空，留空时以 净利润 + 折旧摊销 - 营运资本增加 近似',
+    ownerEarnings: '所有者盈余',
+    addYear: '添加年份',
+    apply: '设为基期 FCF',
+  },
+
+  import: {
+    title: '导入历史财务数据',
+    chooseFile: '选择 CSV / XLSX 文件',
+    intro: '每行一个年度，列可包含：{fields}。金额单位为{amountUnit}，股本为{sharesUnit}。',
+    readFailed: '文件读取失败，请确认文件未损坏',
+    rowCount: '{count} 行数据',
+    transpose: '年份横向排列 (转置)',
+    skipColumn: '— 不导入 —',
+    columnN: '第{n}列',
+    rowN: '第{n}行',
+    importable: '可导入',
+    yearsUnit: '个年度',
+    yearRange: '（{from}–{to}）',
+    submit: '导入并更新模型',
+    cagr: '历史{source}年复合增长率 (CAGR)：',
+    sources: {
+      revenue: '营业收入',
+      fcf: 'FCF',
+      netIncome: '净利润',
+    },
+    applyGrowth: '设为高速增长率',
+  },
+
+  models: {
+    title: '多模型估值对照',
+    dcf: 'DCF (当前参数)',
+    inputs: {
+      eps: '每股收益 EPS',
+      bvps: '每股净资产 BVPS',
+      bondYield: 'AAA 债券收益率 Y',
+      normalizedEbit: '可持续 EBIT',
+      taxRate: '税率',
+      dividend: '下一年每股股利 D1',
+      dividendGrowth: '股利永续增长率',
+      peerPe: '同业 P/E',
+      peerEvEbit: '同业 EV/EBIT',
+    },
+    perShare: '{price}/股',
+    growthSplit: {
+      epv: 'DCF 股权价值中，当前盈利能力 (EPV) 支撑',
+      rest: '，其余',
+      growth: '是在为未来增长付费。',
+    },
+  },
+
+  library: {
+    title: '估值库',
+    companyCount: '{count} 家公司',
+    search: '搜索公司 / 代码 / 备注',
+    saveVersion: '保存新版本',
+    saveAsNew: '另存为新估值',
+    save: '保存到估值库',
+    empty: '还没有保存的估值',
+    noMatch: '没有匹配的估值',
+    company: '公司',
+    updatedAt: '更新时间',
+    versions: '版本',
+    compare: '加入对比',
+    load: '载入',
+    history: '版本历史',
+    duplicate: '复制',
+    remove: '删除',
+    savedAt: '保存时间',
+    untitled: '未命名',
+    confirmRemove: '确定删除「{company}」的全部 {count} 个版本？',
+    compareTitle: '估值对比 (各自最新版本)',
+    metric: '指标',
+    columns: {
+      currency: '货币',
+      total: '内在价值 ({unit})',
+      equityValue: '股权价值 ({unit})',
+      perShare: '每股价值',
+      safetyPrice: '安全边际价格 ({unit})',
+      multiple: 'P/FCF',
+      tvRatio: '远期价值占比',
+      fcf: 'FCF',
+      growth: 'g',
+      discount: 'r',
+      perpetual: 'g永续',
+    },
+  },
+
+  projection: {
+    title: '导出预测明细',
+    exportFailed: '文件生成失败，请重试',
+    reading: '读取中...',
+    reimport: '重新导入',
+    restored: '已从 {file} 还原估值参数',
+    restoredWithWarnings: '已从 {file} 还原，部分数据无效已自动修正：',
+    intro: '包含输入参数、逐年预测 (增长率、FCF、折现系数、现值)、永续价值计算与估值汇总。Excel 版本中的计算单元格均为引用"输入"工作表的公式，修改输入即可在 Excel 中联动重算；把导出的文件重新导入可还原估值，包括在 Excel 中改过的输入。',
+  },
+
+  analyst: {
+    fields: {
+      persona: '分析师',
+      length: '报告长度',
+      language: '输出语言',
+    },
+  },
+
+  diagnosis: {
+    verdict: '总体结论',
+    adjustments: '参数调整建议',
+    applied: '已应用',
+    apply: '应用',
+  },
+
+  chat: {
+    title: '继续追问{name}',
+    clear: '清空对话',
+    contextChanged: '估值参数已更新，新数字已同步给 AI',
+    thinking: '思考中...',
+    suggestions: {
+      growth: '如果增长率只有 8% 呢？',
+      terminal: '永续价值占比是不是太高了？',
+      discount: '这个折现率够保守吗？',
+    },
+    placeholder: '就当前估值继续提问，Enter 发送，Shift + Enter 换行',
+    send: '发送',
+  },
+
+  memo: {
+    kicker: 'Investment Memo · 投资备忘录',
+    untitled: '未命名公司',
+    method: '自由现金流折现 (DCF) 估值',
+    intrinsicValue: '内在价值 (企业价值)',
+    perShare: '每股内在价值',
+    safetyPrice: '建议买入参考价 (7折)',
+    perSharePrice: '每股 {price}',
+    numbers: {
+      1: '一、',
+      2: '二、',
+      3: '三、',
+      4: '四、',
+      5: '五、',
+      6: '六、',
+    },
+    sections: {
+      inputs: '模型输入',
+      value: '价值构成',
+      projection: '逐年现金流预测',
+      recommendation: '买入建议',
+      notes: '分析师备注',
+      diagnosis: '巴菲特 AI 诊断',
+    },
+    growthCustom: '逐年自定义 ({years}年)',
+    growthStages: '{growth}% × {years}年',
+    growthFade: '，渐退 {years}年',
+    rows: {
+      fcf: '基期自由现金流 (FCF)',
+      growth: '增长路径',
+      discount: '折现率 (r)',
+      perpetual: '永续增长率 (g永续)',
+      bridge: '净现金 / 非经营资产 / 少数股东权益',
+      shares: '稀释后总股本',
+      marketCap: '当前市值',
+      pv1: 'PV1：前{years}年现金流现值',
+      pv2: 'PV2：永续价值现值',
+      enterpriseValue: '企业价值 (PV1 + PV2)',
+      equityValue: '股权价值',
+      multiple: '估值倍数 (P/FCF)',
+      tvRatio: '远期价值占比',
+    },
+    chartLegend: '蓝线：名义自由现金流；橙线：折现值',
+    columns: {
+      year: '年份',
+      growth: '增长率',
+      fcf: 'FCF ({unit})',
+      discountFactor: '折现系数',
+      pv: '现值 ({unit})',
+    },
+    terminalValue: '永续价值',
+    recommendation: '按 7 折安全边际，建议买入参考价为',
+    recommendationPerShare: '（每股 {price}）',
+    period: '。',
+    marketCap: '当前市值 {value}，',
+    withinMargin: '已落入安全边际区间。',
+    needsDrop: '需下跌 {percent}% 才进入安全边际区间。',
+    disclaimer: '本备忘录由巴菲特 AI 估值助手生成，估值结果依赖输入假设，不构成投资建议。',
+  },
+};
+
+export default zhCN;
@@ -0,0 +1,10 @@
+/**
+ * 蒙特卡洛模拟 Web Worker
+ * 把成千上万次估值放到后台线程，避免阻塞滑块交互。
+ * 消息格式：{ id, input } → { id, result }，id 用于丢弃过期的结果。
+ */
+import { runMonteCarlo } from '../lib/monteCarlo.js';
+
+self.onmessage = ({ data }) => {
+  self.postMessage({ id: data.id, result: runMonteCarlo(data.input) });
+};
@@ -1,7 +1,35 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// 开发服务器中直接挂载 api/generate.js，补上 Vercel 提供的 req.body / res.status / res.json；
+// 配合 LLM_PROVIDER=mock 可在无网络、无 Key 的情况下调试完整的 AI 流程
+const apiDevServer = () => ({
+  name: 'api-dev-server',
+  configureServer(server) {
+    server.middlewares.use('/api/generate', async (req, res) => {
+      let body = ''
+      for await (const chunk of req) body += chunk
+      try {
+        req.body = body ? JSON.parse(body) : undefined
+      } catch {
+        req.body = undefined
+      }
+      res.status = (code) => {
+        res.statusCode = code
+        return res
+      }
+      res.json = (data) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify(data))
+        return res
+      }
+      const { default: handler } = await server.ssrLoadModule('/api/generate.js')
+      await handler(req, res)
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), apiDevServer()],
 })